@@ -1,6 +1,7 @@
 -- [Clone Schema for Pogokhi]
 -- Based on js/app.js reverse engineering + fix_rls.sql optimizations
--- TABLES: user_roles, basic_schedules, settings, departments, schedules, error_logs
+-- TABLES: user_roles, basic_schedules, settings, departments, venues, schedules, schedule_attachments, row_versions, schedule_rsvps, schedule_tasks, schedule_comments, attachment_purge_queue, error_logs
+-- STORAGE: schedule-attachments (private bucket)
 
 -- crypt() 함수 사용을 위해 암호화 확장기능 활성화
 CREATE EXTENSION IF NOT EXISTS pgcrypto;
@@ -57,10 +58,22 @@ CREATE TABLE IF NOT EXISTS public.settings (
     name_en text,         -- English name
     level_kr text,        -- "학교"
     level_en text,        -- "School"
+    periods jsonb,        -- 교시 시간표 (e.g. [{"period":1,"start":"09:00","end":"09:45"}, ...])
+    conflict_policy text DEFAULT 'warn', -- 'warn' or 'block' (schedule conflicts with exams/vacations/other schedules)
+    trash_retention_days integer DEFAULT 30, -- Soft-deleted schedules/departments are purged after this many days
+    require_approval boolean DEFAULT false, -- Schedules of 'dept' users stay pending until a head/admin approves them
+    week_vacation_mode text DEFAULT 'skip', -- 학기 주차: 'skip' (vacation weeks unnumbered) or 'count'
     created_at timestamp with time zone DEFAULT now(),
     updated_at timestamp with time zone DEFAULT now()
 );
 
+-- [Migration] 기존에 settings 테이블이 이미 있는 경우 아래 명령어로 컬럼을 추가하세요:
+-- ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS periods jsonb;
+-- ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS conflict_policy text DEFAULT 'warn';
+-- ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS trash_retention_days integer DEFAULT 30;
+-- ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS require_approval boolean DEFAULT false;
+-- ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS week_vacation_mode text DEFAULT 'skip';
+
 ALTER TABLE public.settings ENABLE ROW LEVEL SECURITY;
 
 -- settings Policies (Optimized)
@@ -108,11 +121,15 @@ CREATE TABLE IF NOT EXISTS public.departments (
     sort_order integer DEFAULT 0,
     is_active boolean DEFAULT true,
     is_printable boolean DEFAULT true,
+    deleted_at timestamp with time zone, -- Soft delete (trash); NULL = live row
+    deleted_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
     created_at timestamp with time zone DEFAULT now()
 );
 
 -- [Migration] 기존에 departments 테이블이 이미 있는 경우 아래 명령어로 컬럼을 추가하세요:
 -- ALTER TABLE public.departments ADD COLUMN IF NOT EXISTS dept_id_en text;
+-- ALTER TABLE public.departments ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone;
+-- ALTER TABLE public.departments ADD COLUMN IF NOT EXISTS deleted_by uuid REFERENCES auth.users(id) ON DELETE SET NULL;
 
 ALTER TABLE public.departments ENABLE ROW LEVEL SECURITY;
 
@@ -126,6 +143,26 @@ CREATE POLICY "Admin Delete Departments" ON public.departments FOR DELETE TO aut
     USING ((select auth.uid()) IS NOT NULL);
 
 
+-- 4-1. Table: venues (Facilities such as 강당, 시청각실, 운동장)
+CREATE TABLE IF NOT EXISTS public.venues (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    academic_year integer NOT NULL,
+    name text NOT NULL,
+    sort_order integer DEFAULT 0,
+    is_active boolean DEFAULT true, -- Removed venues are deactivated to keep past bookings intact
+    created_at timestamp with time zone DEFAULT now()
+);
+
+ALTER TABLE public.venues ENABLE ROW LEVEL SECURITY;
+
+-- venues Policies
+CREATE POLICY "Public Read Venues" ON public.venues FOR SELECT TO public USING (true);
+CREATE POLICY "Admin Insert Venues" ON public.venues FOR INSERT TO authenticated 
+    WITH CHECK (is_admin());
+CREATE POLICY "Admin Update Venues" ON public.venues FOR UPDATE TO authenticated 
+    USING (is_admin()) WITH CHECK (is_admin());
+
+
 -- 5. Table: schedules (Main Calendar Events)
 CREATE TABLE IF NOT EXISTS public.schedules (
     id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
@@ -135,24 +172,624 @@ CREATE TABLE IF NOT EXISTS public.schedules (
     dept_id bigint REFERENCES public.departments(id) ON DELETE SET NULL,
     dept_name text,        -- Backup name in case of dept deletion
     description text,
-    visibility text DEFAULT 'public', -- 'public', 'internal', 'dept'
+    visibility text DEFAULT 'public', -- 'public', 'internal', 'dept', 'private' (author only)
     author_id uuid REFERENCES auth.users(id) ON DELETE SET NULL, -- Allow user deletion while keeping schedules
     is_printable boolean DEFAULT true,
     weekend text,          -- 'on' or null
+    series_id uuid,        -- Shared by all occurrences of one recurring schedule
+    recurrence_rule jsonb, -- Original rule of the series (e.g. {"freq":"weekly","until":"2026-07-15"})
+    start_time time,       -- Optional time of day (NULL = all-day)
+    end_time time,
+    start_period smallint, -- Optional 교시 (start/end_time are filled from the period table)
+    end_period smallint,
+    venue_id bigint REFERENCES public.venues(id) ON DELETE SET NULL,
+    co_dept_ids bigint[] DEFAULT '{}', -- Co-hosting departments (dept_id stays the owning department)
+    target_grades smallint[] DEFAULT '{}', -- 대상 학년 (e.g. {3}); empty = whole school
+    target_classes text[] DEFAULT '{}',    -- Optional 대상 반 as 'grade-class' (e.g. {'1-3','1-4'}); empty = every class of the grades
+    assignee_ids uuid[] DEFAULT '{}',      -- 담당자 (user_roles.user_id); may edit the description
+    rsvp_enabled boolean DEFAULT false,    -- Collect 참석 응답 from staff (internal schedules only, see schedule_rsvps)
+    deleted_at timestamp with time zone, -- Soft delete (trash); NULL = live row
+    deleted_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    approval_status text NOT NULL DEFAULT 'approved', -- 'pending', 'approved', 'rejected' (set by trg_schedules_approval)
+    review_comment text,   -- Approver's note (required when rejecting)
+    reviewed_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewed_at timestamp with time zone,
     created_at timestamp with time zone DEFAULT now(),
     updated_at timestamp with time zone DEFAULT now()
 );
 
+-- [Migration] 기존에 schedules 테이블이 이미 있는 경우 아래 명령어로 컬럼을 추가하세요:
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS series_id uuid;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS recurrence_rule jsonb;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS start_time time;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS end_time time;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS start_period smallint;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS end_period smallint;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS venue_id bigint REFERENCES public.venues(id) ON DELETE SET NULL;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS co_dept_ids bigint[] DEFAULT '{}';
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS target_grades smallint[] DEFAULT '{}';
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS target_classes text[] DEFAULT '{}';
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS assignee_ids uuid[] DEFAULT '{}';
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS rsvp_enabled boolean DEFAULT false;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS deleted_at timestamp with time zone;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS deleted_by uuid REFERENCES auth.users(id) ON DELETE SET NULL;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS approval_status text NOT NULL DEFAULT 'approved';
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS review_comment text;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS reviewed_by uuid REFERENCES auth.users(id) ON DELETE SET NULL;
+-- ALTER TABLE public.schedules ADD COLUMN IF NOT EXISTS reviewed_at timestamp with time zone;
+
 ALTER TABLE public.schedules ENABLE ROW LEVEL SECURITY;
 
+-- Heads and admins approve department submissions
+CREATE OR REPLACE FUNCTION public.is_approver()
+RETURNS boolean AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.user_roles
+    WHERE user_id = auth.uid() AND role IN ('admin', 'head')
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- 'dept' accounts belong to the department whose dept_id_en is their email's local part
+CREATE OR REPLACE FUNCTION public.is_dept_member(p_dept_ids bigint[])
+RETURNS boolean AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.user_roles r
+    JOIN public.departments d ON d.id = ANY(p_dept_ids)
+    WHERE r.user_id = auth.uid()
+      AND r.role = 'dept'
+      AND d.dept_id_en = split_part(r.email, '@', 1)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
 -- schedules Policies (Optimized)
-CREATE POLICY "Public Read Schedules" ON public.schedules FOR SELECT TO public USING (true);
+-- Trashed rows are only visible to their author and admins (trash view).
+-- Pending/rejected rows are only visible to their department(s), assignees, the author and approvers.
+CREATE POLICY "Public Read Schedules" ON public.schedules FOR SELECT TO public 
+    USING ((deleted_at IS NULL AND (
+            approval_status = 'approved'
+            OR is_approver()
+            OR is_dept_member(array_prepend(dept_id, co_dept_ids))
+            OR (select auth.uid()) = ANY(assignee_ids)
+        ))
+        OR author_id = (select auth.uid()) OR is_admin());
 CREATE POLICY "Authenticated Insert Schedules" ON public.schedules FOR INSERT TO authenticated 
     WITH CHECK ((select auth.uid()) IS NOT NULL);
 CREATE POLICY "Owner Update Schedules" ON public.schedules FOR UPDATE TO authenticated 
     USING (author_id = (select auth.uid())) WITH CHECK (author_id = (select auth.uid()));
 CREATE POLICY "Owner Delete Schedules" ON public.schedules FOR DELETE TO authenticated 
     USING (author_id = (select auth.uid()));
+-- Admins can move any schedule to the trash, restore and purge it
+CREATE POLICY "Admin Update Schedules" ON public.schedules FOR UPDATE TO authenticated 
+    USING (is_admin()) WITH CHECK (is_admin());
+CREATE POLICY "Admin Delete Schedules" ON public.schedules FOR DELETE TO authenticated 
+    USING (is_admin());
+-- Approvers review (and may correct) schedules that are not approved yet
+CREATE POLICY "Approver Update Schedules" ON public.schedules FOR UPDATE TO authenticated 
+    USING (is_approver() AND approval_status <> 'approved') WITH CHECK (is_approver());
+-- Assignees may update their schedules; trg_schedules_assignee limits them to the description
+CREATE POLICY "Assignee Update Schedules" ON public.schedules FOR UPDATE TO authenticated 
+    USING ((select auth.uid()) = ANY(assignee_ids)) WITH CHECK ((select auth.uid()) = ANY(assignee_ids));
+-- Personal schedules belong to their author alone: no other user (admins included) can read,
+-- change or create them. RESTRICTIVE, so it narrows every permissive policy above.
+CREATE POLICY "Private Schedules Author Only" ON public.schedules AS RESTRICTIVE FOR ALL TO public 
+    USING (visibility IS DISTINCT FROM 'private' OR author_id = (select auth.uid()))
+    WITH CHECK (visibility IS DISTINCT FROM 'private' OR author_id = (select auth.uid()));
+
+-- Only approvers set approval_status / review fields. When the academic year requires approval,
+-- inserts and content edits by 'dept' users (re)enter review as 'pending'.
+-- The author of a schedule never changes through the API, whoever edits it.
+-- Direct DB edits (no auth.uid()) are left untouched.
+CREATE OR REPLACE FUNCTION public.enforce_schedule_approval()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_year integer;
+  v_required boolean;
+  v_skip text[] := ARRAY['deleted_at', 'deleted_by', 'updated_at', 'approval_status', 'review_comment', 'reviewed_by', 'reviewed_at'];
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    NEW.author_id := OLD.author_id;
+  END IF;
+
+  IF public.is_approver() THEN
+    RETURN NEW;
+  END IF;
+
+  -- Personal schedules are never reviewed
+  IF NEW.visibility = 'private' THEN
+    NEW.approval_status := 'approved';
+    IF TG_OP = 'UPDATE' THEN
+      NEW.review_comment := OLD.review_comment;
+      NEW.reviewed_by := OLD.reviewed_by;
+      NEW.reviewed_at := OLD.reviewed_at;
+    ELSE
+      NEW.review_comment := NULL;
+      NEW.reviewed_by := NULL;
+      NEW.reviewed_at := NULL;
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  -- Academic year runs from March to February
+  v_year := extract(year FROM NEW.start_date)::integer - CASE WHEN extract(month FROM NEW.start_date) < 3 THEN 1 ELSE 0 END;
+  SELECT coalesce(bool_or(require_approval), false) INTO v_required
+    FROM public.settings WHERE academic_year = v_year;
+  v_required := v_required AND EXISTS (
+    SELECT 1 FROM public.user_roles WHERE user_id = auth.uid() AND role = 'dept'
+  );
+
+  IF TG_OP = 'INSERT' THEN
+    NEW.approval_status := CASE WHEN v_required THEN 'pending' ELSE 'approved' END;
+    NEW.review_comment := NULL;
+    NEW.reviewed_by := NULL;
+    NEW.reviewed_at := NULL;
+  ELSE
+    NEW.review_comment := OLD.review_comment;
+    NEW.reviewed_by := OLD.reviewed_by;
+    NEW.reviewed_at := OLD.reviewed_at;
+    -- Moving to/from the trash is not an edit
+    IF (to_jsonb(NEW) - v_skip) IS DISTINCT FROM (to_jsonb(OLD) - v_skip) THEN
+      NEW.approval_status := CASE WHEN v_required THEN 'pending' ELSE 'approved' END;
+    ELSE
+      NEW.approval_status := OLD.approval_status;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_schedules_approval ON public.schedules;
+CREATE TRIGGER trg_schedules_approval
+  BEFORE INSERT OR UPDATE ON public.schedules
+  FOR EACH ROW EXECUTE PROCEDURE public.enforce_schedule_approval();
+
+-- Users who may update a schedule only because they are assigned to it can change nothing but the description.
+-- Review fields are skipped: trg_schedules_approval runs first and may send the edit back to review.
+CREATE OR REPLACE FUNCTION public.enforce_assignee_edit()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_skip text[] := ARRAY['description', 'updated_at', 'approval_status', 'review_comment', 'reviewed_by', 'reviewed_at'];
+BEGIN
+  IF auth.uid() IS NULL OR public.is_admin()
+     OR OLD.author_id = auth.uid()
+     OR (public.is_approver() AND OLD.approval_status <> 'approved')
+     OR NOT (auth.uid() = ANY(coalesce(OLD.assignee_ids, '{}'))) THEN
+    RETURN NEW;
+  END IF;
+
+  IF (to_jsonb(NEW) - v_skip) IS DISTINCT FROM (to_jsonb(OLD) - v_skip) THEN
+    RAISE EXCEPTION '담당자는 상세 내용만 수정할 수 있습니다.';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_schedules_assignee ON public.schedules;
+CREATE TRIGGER trg_schedules_assignee
+  BEFORE UPDATE ON public.schedules
+  FOR EACH ROW EXECUTE PROCEDURE public.enforce_assignee_edit();
+
+
+-- 5-1. Table: schedule_attachments (Files in Storage bucket 'schedule-attachments')
+-- One uploaded file may be linked to every occurrence of a recurring series (same file_path).
+CREATE TABLE IF NOT EXISTS public.schedule_attachments (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    schedule_id bigint NOT NULL REFERENCES public.schedules(id) ON DELETE CASCADE,
+    file_name text NOT NULL, -- Original file name (e.g. "가정통신문.pdf")
+    file_path text NOT NULL, -- Object key in the bucket: '<schedule_id>/<uuid>.<ext>'
+    mime_type text,
+    size bigint,
+    uploaded_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at timestamp with time zone DEFAULT now()
+);
+
+ALTER TABLE public.schedule_attachments ENABLE ROW LEVEL SECURITY;
+
+-- Mirrors the client-side visibility rules of schedules:
+-- public = everyone, internal = signed-in users, dept = admin or members of the owning/co-hosting departments,
+-- private = author only. Authors and admins always see their (non-private) schedules.
+CREATE OR REPLACE FUNCTION public.can_view_schedule(p_schedule_id bigint)
+RETURNS boolean AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.schedules s
+    WHERE s.id = p_schedule_id
+      AND (s.visibility IS DISTINCT FROM 'private' OR s.author_id = auth.uid())
+      AND (s.deleted_at IS NULL OR s.author_id = auth.uid() OR public.is_admin())
+      AND (s.approval_status = 'approved' OR s.author_id = auth.uid() OR public.is_approver()
+           OR public.is_dept_member(array_prepend(s.dept_id, s.co_dept_ids))
+           OR auth.uid() = ANY(s.assignee_ids))
+      AND (
+        s.visibility = 'public'
+        OR (auth.uid() IS NOT NULL AND (
+          s.visibility = 'internal'
+          OR s.author_id = auth.uid()
+          OR public.is_admin()
+          OR auth.uid() = ANY(s.assignee_ids)
+          OR (s.visibility = 'dept' AND public.is_dept_member(array_prepend(s.dept_id, s.co_dept_ids)))
+        ))
+      )
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Same rule as the schedules update policy (owner), plus admins (except on personal schedules)
+CREATE OR REPLACE FUNCTION public.can_edit_schedule(p_schedule_id bigint)
+RETURNS boolean AS $$
+  SELECT auth.uid() IS NOT NULL AND EXISTS (
+    SELECT 1 FROM public.schedules s
+    WHERE s.id = p_schedule_id
+      AND (s.author_id = auth.uid() OR (public.is_admin() AND s.visibility IS DISTINCT FROM 'private'))
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- schedule_attachments Policies
+CREATE POLICY "Visibility Read Attachments" ON public.schedule_attachments FOR SELECT TO public 
+    USING (can_view_schedule(schedule_id));
+CREATE POLICY "Editor Insert Attachments" ON public.schedule_attachments FOR INSERT TO authenticated 
+    WITH CHECK (can_edit_schedule(schedule_id) AND uploaded_by = (select auth.uid()));
+CREATE POLICY "Editor Delete Attachments" ON public.schedule_attachments FOR DELETE TO authenticated 
+    USING (can_edit_schedule(schedule_id));
+
+-- Deleted rows (incl. cascades from purged schedules) queue their file; the file itself is removed by
+-- purge_attachment_files once no row points to it, since clients can't see every row sharing a path.
+CREATE OR REPLACE FUNCTION public.queue_attachment_purge()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.attachment_purge_queue (file_path) VALUES (OLD.file_path);
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_schedule_attachments_purge ON public.schedule_attachments;
+CREATE TRIGGER trg_schedule_attachments_purge
+  AFTER DELETE ON public.schedule_attachments
+  FOR EACH ROW EXECUTE PROCEDURE public.queue_attachment_purge();
+
+-- Storage bucket (private: files are served through signed URLs only)
+-- Works the same on a hosted project and on a local stack (`supabase start`).
+INSERT INTO storage.buckets (id, name, public, file_size_limit)
+VALUES ('schedule-attachments', 'schedule-attachments', false, 20971520)
+ON CONFLICT (id) DO NOTHING;
+
+-- storage.objects Policies
+-- Read: anyone who can see a schedule the file is attached to (uploader/admin for cleanup)
+CREATE POLICY "Schedule Attachments Read" ON storage.objects FOR SELECT TO public 
+    USING (bucket_id = 'schedule-attachments' AND (
+        EXISTS (
+            SELECT 1 FROM public.schedule_attachments a
+            WHERE a.file_path = storage.objects.name AND public.can_view_schedule(a.schedule_id)
+        )
+        OR owner_id = (select auth.uid()::text)
+        OR public.is_admin()
+    ));
+-- Upload: only into the folder of a schedule the user may edit ('<schedule_id>/...')
+CREATE POLICY "Schedule Attachments Upload" ON storage.objects FOR INSERT TO authenticated 
+    WITH CHECK (bucket_id = 'schedule-attachments'
+        AND public.can_edit_schedule(substring(name from '^([0-9]+)/')::bigint));
+CREATE POLICY "Schedule Attachments Delete" ON storage.objects FOR DELETE TO authenticated 
+    USING (bucket_id = 'schedule-attachments' AND (
+        owner_id = (select auth.uid()::text)
+        OR public.is_admin()
+        OR public.can_edit_schedule(substring(name from '^([0-9]+)/')::bigint)
+    ));
+
+
+-- 5-2. Table: row_versions (Full before/after snapshots, written by triggers only)
+-- Covers every INSERT/UPDATE/DELETE on schedules, basic_schedules and departments,
+-- including edits made directly in the DB. Versions are kept as long as their row, and for a year
+-- after it was deleted (DELETE snapshot included; pruned by purge_expired_trash).
+CREATE TABLE IF NOT EXISTS public.row_versions (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    table_name text NOT NULL,  -- 'schedules', 'basic_schedules', 'departments'
+    row_id bigint NOT NULL,
+    operation text NOT NULL,   -- 'INSERT', 'UPDATE', 'DELETE'
+    old_data jsonb,            -- NULL for INSERT
+    new_data jsonb,            -- NULL for DELETE
+    changed_by uuid,           -- auth.uid() of the request (NULL for direct DB edits)
+    changed_at timestamp with time zone DEFAULT now()
+);
+
+ALTER TABLE public.row_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.capture_row_version()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO public.row_versions (table_name, row_id, operation, new_data, changed_by)
+    VALUES (TG_TABLE_NAME, NEW.id, TG_OP, to_jsonb(NEW), auth.uid());
+    RETURN NEW;
+  ELSIF TG_OP = 'UPDATE' THEN
+    -- Upserts of unchanged rows (e.g. saving the admin form) are not versions
+    IF to_jsonb(OLD) = to_jsonb(NEW) THEN
+      RETURN NEW;
+    END IF;
+    INSERT INTO public.row_versions (table_name, row_id, operation, old_data, new_data, changed_by)
+    VALUES (TG_TABLE_NAME, NEW.id, TG_OP, to_jsonb(OLD), to_jsonb(NEW), auth.uid());
+    RETURN NEW;
+  ELSE
+    INSERT INTO public.row_versions (table_name, row_id, operation, old_data, changed_by)
+    VALUES (TG_TABLE_NAME, OLD.id, TG_OP, to_jsonb(OLD), auth.uid());
+    RETURN OLD;
+  END IF;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_schedules_version ON public.schedules;
+CREATE TRIGGER trg_schedules_version
+  AFTER INSERT OR UPDATE OR DELETE ON public.schedules
+  FOR EACH ROW EXECUTE PROCEDURE public.capture_row_version();
+
+DROP TRIGGER IF EXISTS trg_basic_schedules_version ON public.basic_schedules;
+CREATE TRIGGER trg_basic_schedules_version
+  AFTER INSERT OR UPDATE OR DELETE ON public.basic_schedules
+  FOR EACH ROW EXECUTE PROCEDURE public.capture_row_version();
+
+DROP TRIGGER IF EXISTS trg_departments_version ON public.departments;
+CREATE TRIGGER trg_departments_version
+  AFTER INSERT OR UPDATE OR DELETE ON public.departments
+  FOR EACH ROW EXECUTE PROCEDURE public.capture_row_version();
+
+-- row_versions Policies (read-only for clients; rows are written by the trigger)
+-- Snapshots of personal schedules stay with their author, like the schedules themselves (admins included).
+CREATE POLICY "Admins Read Versions" ON public.row_versions FOR SELECT TO authenticated 
+    USING (is_admin() AND (
+        table_name <> 'schedules'
+        OR (old_data->>'visibility' IS DISTINCT FROM 'private' AND new_data->>'visibility' IS DISTINCT FROM 'private')
+        OR coalesce(new_data, old_data)->>'author_id' = (select auth.uid())::text
+    ));
+CREATE POLICY "Viewers Read Schedule Versions" ON public.row_versions FOR SELECT TO authenticated 
+    USING (table_name = 'schedules' AND can_view_schedule(row_id));
+
+
+-- 5-3. Table: schedule_rsvps (Staff attendance responses for internal schedules with rsvp_enabled)
+CREATE TABLE IF NOT EXISTS public.schedule_rsvps (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    schedule_id bigint NOT NULL REFERENCES public.schedules(id) ON DELETE CASCADE,
+    user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    status text NOT NULL, -- 'attending', 'absent', 'undecided'
+    updated_at timestamp with time zone DEFAULT now(),
+    CONSTRAINT schedule_rsvps_status_check CHECK (status IN ('attending', 'absent', 'undecided')),
+    CONSTRAINT schedule_rsvps_unique UNIQUE (schedule_id, user_id)
+);
+
+ALTER TABLE public.schedule_rsvps ENABLE ROW LEVEL SECURITY;
+
+-- Organizers (author, assignees) and admins see the whole roster
+CREATE OR REPLACE FUNCTION public.can_view_rsvps(p_schedule_id bigint)
+RETURNS boolean AS $$
+  SELECT auth.uid() IS NOT NULL AND EXISTS (
+    SELECT 1 FROM public.schedules s
+    WHERE s.id = p_schedule_id
+      AND (s.author_id = auth.uid() OR auth.uid() = ANY(s.assignee_ids) OR public.is_admin())
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Staff respond only for themselves, and only while the schedule collects responses
+CREATE OR REPLACE FUNCTION public.can_rsvp_schedule(p_schedule_id bigint)
+RETURNS boolean AS $$
+  SELECT auth.uid() IS NOT NULL AND EXISTS (
+    SELECT 1 FROM public.schedules s
+    WHERE s.id = p_schedule_id
+      AND s.rsvp_enabled AND s.visibility = 'internal' AND s.deleted_at IS NULL
+  ) AND public.can_view_schedule(p_schedule_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE POLICY "Read Own Or Organized RSVPs" ON public.schedule_rsvps FOR SELECT TO authenticated 
+    USING (user_id = (select auth.uid()) OR can_view_rsvps(schedule_id));
+CREATE POLICY "Insert Own RSVP" ON public.schedule_rsvps FOR INSERT TO authenticated 
+    WITH CHECK (user_id = (select auth.uid()) AND can_rsvp_schedule(schedule_id));
+CREATE POLICY "Update Own RSVP" ON public.schedule_rsvps FOR UPDATE TO authenticated 
+    USING (user_id = (select auth.uid())) WITH CHECK (user_id = (select auth.uid()) AND can_rsvp_schedule(schedule_id));
+CREATE POLICY "Delete Own RSVP" ON public.schedule_rsvps FOR DELETE TO authenticated 
+    USING (user_id = (select auth.uid()));
+
+
+-- 5-4. Table: schedule_tasks (Preparation checklist of a schedule, split across departments)
+CREATE TABLE IF NOT EXISTS public.schedule_tasks (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    schedule_id bigint NOT NULL REFERENCES public.schedules(id) ON DELETE CASCADE,
+    title text NOT NULL,
+    dept_id bigint REFERENCES public.departments(id) ON DELETE SET NULL, -- Owner department
+    dept_name text,        -- Backup name in case of dept deletion
+    offset_days integer NOT NULL DEFAULT 0, -- Due date = schedule start_date - offset_days (7 = D-7, -1 = D+1)
+    done boolean NOT NULL DEFAULT false,
+    done_at timestamp with time zone, -- Set by trg_schedule_tasks_edit
+    done_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    sort_order integer DEFAULT 0,
+    created_at timestamp with time zone DEFAULT now()
+);
+
+ALTER TABLE public.schedule_tasks ENABLE ROW LEVEL SECURITY;
+
+-- Besides the schedule's editors, the owner department and the schedule's assignees tick tasks off
+CREATE OR REPLACE FUNCTION public.can_complete_task(p_schedule_id bigint, p_dept_id bigint)
+RETURNS boolean AS $$
+  SELECT public.can_edit_schedule(p_schedule_id)
+    OR public.is_dept_member(ARRAY[p_dept_id])
+    OR EXISTS (SELECT 1 FROM public.schedules s WHERE s.id = p_schedule_id AND auth.uid() = ANY(s.assignee_ids));
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Stamps completion and keeps anyone who cannot edit the schedule to the completion state
+CREATE OR REPLACE FUNCTION public.enforce_task_edit()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_skip text[] := ARRAY['done', 'done_at', 'done_by'];
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.done IS DISTINCT FROM OLD.done THEN
+    NEW.done_at := CASE WHEN NEW.done THEN now() END;
+    NEW.done_by := CASE WHEN NEW.done THEN auth.uid() END;
+  ELSE
+    NEW.done_at := OLD.done_at;
+    NEW.done_by := OLD.done_by;
+  END IF;
+
+  IF TG_OP = 'UPDATE' AND auth.uid() IS NOT NULL AND NOT public.can_edit_schedule(OLD.schedule_id)
+     AND (to_jsonb(NEW) - v_skip) IS DISTINCT FROM (to_jsonb(OLD) - v_skip) THEN
+    RAISE EXCEPTION '준비 업무는 완료 여부만 바꿀 수 있습니다.';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_schedule_tasks_edit ON public.schedule_tasks;
+CREATE TRIGGER trg_schedule_tasks_edit
+  BEFORE INSERT OR UPDATE ON public.schedule_tasks
+  FOR EACH ROW EXECUTE PROCEDURE public.enforce_task_edit();
+
+CREATE POLICY "Viewers Read Tasks" ON public.schedule_tasks FOR SELECT TO public 
+    USING (can_view_schedule(schedule_id));
+CREATE POLICY "Editors Insert Tasks" ON public.schedule_tasks FOR INSERT TO authenticated 
+    WITH CHECK (can_edit_schedule(schedule_id));
+CREATE POLICY "Owners Update Tasks" ON public.schedule_tasks FOR UPDATE TO authenticated 
+    USING (can_complete_task(schedule_id, dept_id)) WITH CHECK (can_complete_task(schedule_id, dept_id));
+CREATE POLICY "Editors Delete Tasks" ON public.schedule_tasks FOR DELETE TO authenticated 
+    USING (can_edit_schedule(schedule_id));
+
+
+-- 5-5. Table: schedule_comments (Discussion thread of a schedule)
+CREATE TABLE IF NOT EXISTS public.schedule_comments (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    schedule_id bigint NOT NULL REFERENCES public.schedules(id) ON DELETE CASCADE,
+    author_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+    body text NOT NULL,
+    created_at timestamp with time zone DEFAULT now()
+);
+
+ALTER TABLE public.schedule_comments ENABLE ROW LEVEL SECURITY;
+
+-- Staff who can see a schedule read and join its thread (guests never see comments, even on public schedules)
+CREATE POLICY "Viewers Read Comments" ON public.schedule_comments FOR SELECT TO authenticated 
+    USING (can_view_schedule(schedule_id));
+CREATE POLICY "Viewers Insert Comments" ON public.schedule_comments FOR INSERT TO authenticated 
+    WITH CHECK (author_id = (select auth.uid()) AND can_view_schedule(schedule_id));
+CREATE POLICY "Author Delete Comments" ON public.schedule_comments FOR DELETE TO authenticated 
+    USING (author_id = (select auth.uid()) OR is_admin());
+
+
+-- 5-6. Table: attachment_purge_queue (Files of deleted schedule_attachments rows, see queue_attachment_purge)
+-- Drained by purge_attachment_files, which the daily retention job runs.
+CREATE TABLE IF NOT EXISTS public.attachment_purge_queue (
+    id bigint GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    file_path text NOT NULL,
+    queued_at timestamp with time zone DEFAULT now()
+);
+
+ALTER TABLE public.attachment_purge_queue ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins Read Purge Queue" ON public.attachment_purge_queue FOR SELECT TO authenticated 
+    USING (is_admin());
+
+-- Removes queued files that no schedule_attachments row references anymore. Storage objects can only
+-- be removed through the Storage API, so the requests go out through pg_net with the service role key
+-- kept in Vault (secrets 'project_url' and 'service_role_key').
+CREATE OR REPLACE FUNCTION public.purge_attachment_files()
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_url text;
+  v_key text;
+  v_last_id bigint;
+  v_path text;
+BEGIN
+  SELECT decrypted_secret INTO v_url FROM vault.decrypted_secrets WHERE name = 'project_url';
+  SELECT decrypted_secret INTO v_key FROM vault.decrypted_secrets WHERE name = 'service_role_key';
+  IF v_url IS NULL OR v_key IS NULL THEN
+    RAISE WARNING 'purge_attachment_files: Vault secrets project_url / service_role_key are not set';
+    RETURN;
+  END IF;
+
+  -- Paths queued while this runs wait for the next run
+  SELECT max(id) INTO v_last_id FROM public.attachment_purge_queue;
+  IF v_last_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  FOR v_path IN
+    SELECT DISTINCT q.file_path FROM public.attachment_purge_queue q
+    WHERE q.id <= v_last_id
+      AND NOT EXISTS (SELECT 1 FROM public.schedule_attachments a WHERE a.file_path = q.file_path)
+  LOOP
+    PERFORM net.http_delete(
+      url := v_url || '/storage/v1/object/schedule-attachments/' || v_path,
+      headers := jsonb_build_object('apikey', v_key, 'Authorization', 'Bearer ' || v_key)
+    );
+  END LOOP;
+
+  DELETE FROM public.attachment_purge_queue WHERE id <= v_last_id;
+END;
+$$;
+
+-- [Trash Retention]
+-- Purges schedules and departments that have been in the trash longer than the retention period
+-- of their academic year (settings.trash_retention_days, default 30). Runs as the owner, so trashed
+-- personal schedules (hidden from admins by RLS) are purged as well. Attachment rows go with their
+-- schedule (ON DELETE CASCADE) and queue their files, which are removed at the end of the run.
+-- Version history of rows deleted more than a year ago is pruned as well.
+CREATE OR REPLACE FUNCTION public.purge_expired_trash()
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_schedule_ids bigint[];
+BEGIN
+  -- Academic year of a schedule = year of its start date, Jan/Feb belonging to the year before
+  SELECT array_agg(s.id) INTO v_schedule_ids
+  FROM public.schedules s
+  WHERE s.deleted_at IS NOT NULL
+    AND s.deleted_at < now() - make_interval(days => coalesce((
+      SELECT st.trash_retention_days FROM public.settings st
+      WHERE st.academic_year = extract(year FROM s.start_date)::int - CASE WHEN extract(month FROM s.start_date) < 3 THEN 1 ELSE 0 END
+      LIMIT 1
+    ), 30));
+
+  IF v_schedule_ids IS NOT NULL THEN
+    DELETE FROM public.schedules WHERE id = ANY(v_schedule_ids);
+  END IF;
+
+  DELETE FROM public.departments d
+  WHERE d.deleted_at IS NOT NULL
+    AND d.deleted_at < now() - make_interval(days => coalesce((
+      SELECT st.trash_retention_days FROM public.settings st WHERE st.academic_year = d.academic_year LIMIT 1
+    ), 30));
+
+  -- History of rows deleted more than a year ago
+  DELETE FROM public.row_versions v
+  WHERE EXISTS (
+    SELECT 1 FROM public.row_versions d
+    WHERE d.table_name = v.table_name AND d.row_id = v.row_id
+      AND d.operation = 'DELETE' AND d.changed_at < now() - interval '1 year'
+  );
+
+  -- Files of these and of attachments deleted since the last run
+  PERFORM public.purge_attachment_files();
+END;
+$$;
+
+-- Daily at 03:30 (requires the pg_cron and pg_net extensions: Dashboard > Database > Extensions).
+-- Scheduling again under the same name replaces the job.
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+SELECT cron.schedule('purge-expired-trash', '30 3 * * *', 'SELECT public.purge_expired_trash()');
 
 
 -- 6. Table: error_logs
@@ -178,6 +815,21 @@ CREATE POLICY "Admins Read Logs" ON public.error_logs FOR SELECT TO authenticate
 CREATE INDEX IF NOT EXISTS idx_basic_schedules_year ON public.basic_schedules(academic_year);
 CREATE INDEX IF NOT EXISTS idx_departments_year ON public.departments(academic_year);
 CREATE INDEX IF NOT EXISTS idx_schedules_date ON public.schedules(start_date);
+CREATE INDEX IF NOT EXISTS idx_schedules_series ON public.schedules(series_id);
+CREATE INDEX IF NOT EXISTS idx_schedules_venue ON public.schedules(venue_id);
+CREATE INDEX IF NOT EXISTS idx_schedules_co_depts ON public.schedules USING gin(co_dept_ids);
+CREATE INDEX IF NOT EXISTS idx_schedules_grades ON public.schedules USING gin(target_grades);
+CREATE INDEX IF NOT EXISTS idx_schedules_assignees ON public.schedules USING gin(assignee_ids);
+CREATE INDEX IF NOT EXISTS idx_schedules_deleted ON public.schedules(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_schedules_pending ON public.schedules(start_date) WHERE approval_status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_departments_deleted ON public.departments(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_venues_year ON public.venues(academic_year);
+CREATE INDEX IF NOT EXISTS idx_schedule_attachments_schedule ON public.schedule_attachments(schedule_id);
+CREATE INDEX IF NOT EXISTS idx_schedule_attachments_path ON public.schedule_attachments(file_path);
+CREATE INDEX IF NOT EXISTS idx_schedule_tasks_schedule ON public.schedule_tasks(schedule_id);
+CREATE INDEX IF NOT EXISTS idx_schedule_tasks_dept ON public.schedule_tasks(dept_id) WHERE NOT done;
+CREATE INDEX IF NOT EXISTS idx_schedule_comments_schedule ON public.schedule_comments(schedule_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_row_versions_row ON public.row_versions(table_name, row_id, changed_at DESC);
 
 
 -- [Fix Permissions for PogokLink]
@@ -190,6 +842,9 @@ GRANT SELECT, UPDATE ON public.user_roles TO anon, authenticated;
 GRANT ALL ON ALL TABLES IN SCHEMA public TO anon, authenticated, service_role;
 GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO anon, authenticated, service_role;
 GRANT ALL ON ALL ROUTINES IN SCHEMA public TO anon, authenticated, service_role;
+-- Retention purge runs from pg_cron only
+REVOKE EXECUTE ON FUNCTION public.purge_expired_trash() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.purge_attachment_files() FROM PUBLIC, anon, authenticated;
 
 ALTER DEFAULT PRIVILEGES FOR ROLE postgres IN SCHEMA public GRANT ALL ON TABLES TO anon, authenticated, service_role;
 ALTER DEFAULT PRIVILEGES FOR ROLE postgres IN SCHEMA public GRANT ALL ON SEQUENCES TO anon, authenticated, service_role;
@@ -8,15 +8,24 @@ const App = {
         user: null, // Auth User Object
         role: null, // 'admin' | 'teacher' | 'head' | 'dept'
         status: null, // 'active' | 'pending' | 'rejected'
+        lastLogin: null, // last_login before this session (unread comments)
         currentYear: new Date().getFullYear(),
         viewMode: 'calendar',
         listViewStart: null,
         departments: [],
         templates: {},
+        bulkMode: false, // Checkboxes shown in the weekly plan / department grid
+        bulkSelection: new Set(), // Selected schedule ids (strings)
+        filters: null, // Saved schedule filters of the current user (see getFilters)
+        pendingRoute: null, // Link opened before login, followed once signed in
         cache: {
             schedules: null,
             departments: null,
             basicSchedules: {},
+            periods: {}, // academic_year -> 교시 시간표
+            venues: {}, // academic_year -> active venues
+            users: null, // user_roles rows offered as assignees
+            academicWeeks: {}, // academic_year -> { Monday 'YYYY-MM-DD': { semester, week } }
         },
         _lastFetchId: 0,
         _syncPromise: null,
@@ -42,6 +51,59 @@ const App = {
         { id: 'principal', name: '교장' },
     ],
 
+    // 학년 (target_grades of schedules)
+    GRADES: [1, 2, 3],
+
+    // Used when an academic year has no 교시 시간표 of its own
+    DEFAULT_PERIODS: [
+        { period: 1, start: '09:00', end: '09:45' },
+        { period: 2, start: '09:55', end: '10:40' },
+        { period: 3, start: '10:50', end: '11:35' },
+        { period: 4, start: '11:45', end: '12:30' },
+        { period: 5, start: '13:30', end: '14:15' },
+        { period: 6, start: '14:25', end: '15:10' },
+        { period: 7, start: '15:20', end: '16:05' },
+    ],
+
+    // Max occurrences generated for one recurring series
+    RECURRENCE_LIMIT: 400,
+
+    // Days a soft-deleted row stays in the trash when the academic year has no setting
+    TRASH_RETENTION_DAYS: 30,
+
+    // 법정 최소 수업일수 (초·중등교육법 시행령 제45조)
+    MIN_SCHOOL_DAYS: 190,
+
+    // 참석 응답 (schedule_rsvps.status)
+    RSVP_STATUS: {
+        attending: '참석',
+        absent: '불참',
+        undecided: '미정'
+    },
+
+    // Views that can be opened from the URL hash (see parseRoute)
+    ROUTE_VIEWS: ['calendar', 'list', 'dept_list', 'year', 'my_duties', 'tasks', 'admin', 'login'],
+
+    // 일정 필터 종류 (see matchesTypeFilter)
+    FILTER_TYPES: {
+        normal: '일반 일정',
+        basic: '학사 일정',
+        exam: '고사',
+        holiday: '공휴일·휴업일',
+        env: '환경 기념일'
+    },
+
+    // 공개 범위 filter; personal schedules follow the "내 개인 일정" toggle instead
+    FILTER_VISIBILITIES: {
+        public: '전체 공개',
+        internal: '교직원 내부용',
+        dept: '부서 공개'
+    },
+
+    // Storage bucket for schedule attachments (created by data/schema.sql)
+    ATTACHMENT_BUCKET: 'schedule-attachments',
+    ATTACHMENT_MAX_SIZE: 20 * 1024 * 1024,
+
     FIXED_ENV_EVENTS: {
         "02-02": "세계 습지의 날",
         "03-22": "세계 물의 날",
@@ -89,11 +151,12 @@ const App = {
         return true;
     },
 
-    findPrevSchoolDay: function (startDateStr, parsedHolidays = null) {
+    // limitStr: search back to this date (inclusive) instead of the default 30 days
+    findPrevSchoolDay: function (startDateStr, parsedHolidays = null, limitStr = null) {
         let d = this.parseLocal(startDateStr);
         d.setDate(d.getDate() - 1);
         let safety = 0;
-        while (safety < 30) {
+        while (limitStr ? this.formatLocal(d) >= limitStr : safety < 30) {
             if (this.isSchoolDay(d, parsedHolidays)) return this.formatLocal(d);
             d.setDate(d.getDate() - 1);
             safety++;
@@ -101,11 +164,12 @@ const App = {
         return startDateStr;
     },
 
-    findNextSchoolDay: function (endDateStr, parsedHolidays = null) {
+    // limitStr: search up to this date (inclusive) instead of the default 30 days
+    findNextSchoolDay: function (endDateStr, parsedHolidays = null, limitStr = null) {
         let d = this.parseLocal(endDateStr);
         d.setDate(d.getDate() + 1);
         let safety = 0;
-        while (safety < 30) {
+        while (limitStr ? this.formatLocal(d) <= limitStr : safety < 30) {
             if (this.isSchoolDay(d, parsedHolidays)) return this.formatLocal(d);
             d.setDate(d.getDate() + 1);
             safety++;
@@ -113,6 +177,39 @@ const App = {
         return endDateStr;
     },
 
+    // 수업일수 of an academic year: 1학기 개학 through the end of February, split by month, semester and weekday
+    // nonSchoolDays: vacations/휴업일 in isSchoolDay()'s parsedHolidays shape
+    countSchoolDays: function (academicYear, { term1Start = null, term2Start = null, nonSchoolDays = [] } = {}) {
+        const ay = parseInt(academicYear);
+        const result = {
+            total: 0,
+            months: [], // [{ year, month, days }] March -> February
+            semesters: [0, 0],
+            weekdays: [0, 0, 0, 0, 0] // 월 -> 금
+        };
+        for (let i = 0; i < 12; i++) {
+            const m = new Date(ay, 2 + i, 1);
+            result.months.push({ year: m.getFullYear(), month: m.getMonth() + 1, days: 0 });
+        }
+
+        const from = term1Start || `${ay}-03-01`;
+        const to = this.formatLocal(new Date(ay + 1, 2, 0));
+        const term2 = term2Start || `${ay}-09-01`;
+
+        const d = this.parseLocal(from);
+        while (this.formatLocal(d) <= to) {
+            if (this.isSchoolDay(d, nonSchoolDays)) {
+                const dStr = this.formatLocal(d);
+                result.total++;
+                result.months[(d.getMonth() + 10) % 12].days++;
+                result.semesters[dStr < term2 ? 0 : 1]++;
+                result.weekdays[d.getDay() - 1]++;
+            }
+            d.setDate(d.getDate() + 1);
+        }
+        return result;
+    },
+
     // Clear Cache
     // Clear Cache
     clearCache: function () {
@@ -122,6 +219,7 @@ const App = {
         this.state.cache.schedules = null;
         this.state.cache.departments = null;
         this.state.cache.basicSchedules = {};
+        this.state.cache.academicWeeks = {};
         console.log("🧹 Cache cleared & Auth State Reset");
     },
 
@@ -156,30 +254,15 @@ const App = {
 
             // 3. Routing & History Setup
             window.addEventListener('popstate', (event) => {
-                // Handle Back/Forward Button
-                const viewName = event.state?.view || 'calendar';
-                // Update internal state directly to avoid recursion or double-pushing
-                this.state.viewMode = viewName;
-                localStorage.setItem('pogok_last_view', viewName);
-                this.loadView(viewName);
+                // Handle Back/Forward Button: the hash carries view, date and filters
+                const route = this.parseRoute(window.location.hash) || { view: event.state?.view || 'calendar' };
+                this.followRoute(route, true); // true = replace (the entry already exists)
             });
 
             // 4. Load Initial View
             // Force 'calendar' on root load (ignore localStorage to prevent auto-redirect to dept_list etc for guests)
-            let initialView = 'calendar';
-
-            if (window.location.hash) {
-                const hashView = window.location.hash.substring(1);
-                // Allow dept_list explicitly in hash handling
-                if (['calendar', 'login', 'admin', 'dept_list'].includes(hashView)) {
-                    initialView = hashView;
-                }
-            }
-
-            // Replace current state (initial load) - Keep URL clean
-            // If we loaded from a hash, we consume it and clean the URL
-            history.replaceState({ view: initialView }, '', window.location.pathname);
-            this.navigate(initialView, true); // true = replace (don't push again)
+            const initialRoute = this.parseRoute(window.location.hash) || { view: 'calendar' };
+            this.followRoute(initialRoute, true); // true = replace (don't push again)
 
             console.log("PogokLink Ready.");
         } catch (error) {
@@ -205,6 +288,9 @@ const App = {
             if (this.state.viewMode === 'dept_list' && this.state.deptViewDate) {
                 return new Date(this.state.deptViewDate);
             }
+            if (this.state.viewMode === 'year' && this.state.yearViewDate) {
+                return new Date(this.state.yearViewDate);
+            }
             if (this.state.viewMode === 'list' && this.state.listViewStart) {
                 // Use the Representative Date (e.g. Wednesday of the week)
                 const d = new Date(this.state.listViewStart);
@@ -217,38 +303,27 @@ const App = {
         return new Date(); // Default to Now
     },
 
-    navigate: function (viewName, replace = false) {
+    navigate: function (viewName, replace = false, date = null) {
         try {
-            // [SYNC] Capture date from current view before switching
-            const sharedDate = this.captureCurrentDate();
-
-            // [SYNC] Propagate to Target View State
-            if (viewName === 'calendar') {
-                this.state.initialDate = sharedDate;
-            } else if (viewName === 'dept_list') {
-                // Set 1st of month for Dept View logic usually, but specific date is fine
-                this.state.deptViewDate = sharedDate;
-            } else if (viewName === 'list') {
-                // Calculate Monday of the week containing sharedDate
-                const d = new Date(sharedDate);
-                const day = d.getDay();
-                const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Adjust to Monday
-                this.state.listViewStart = new Date(d.setDate(diff));
-                this.state.listViewWeeks = this.state.listViewWeeks || 1; // Maintain week count preference
-            }
+            // [SYNC] Capture date from current view before switching (unless a link names one)
+            const sharedDate = date || this.captureCurrentDate();
+            this.setViewDate(viewName, sharedDate);
 
             this.state.viewMode = viewName;
-            
+            // A link waiting for login is dropped once the user goes elsewhere
+            if (viewName !== 'login') this.state.pendingRoute = null;
+
             try {
                 localStorage.setItem('pogok_last_view', viewName);
             } catch (e) {
                 console.warn("LocalStorage failed (safely ignored):", e);
             }
 
+            const url = window.location.pathname + this.routeHash(viewName, sharedDate);
             if (replace) {
-                history.replaceState({ view: viewName }, '', window.location.pathname);
+                history.replaceState({ view: viewName }, '', url);
             } else {
-                history.pushState({ view: viewName }, '', window.location.pathname);
+                history.pushState({ view: viewName }, '', url);
             }
 
             this.loadView(viewName);
@@ -259,6 +334,154 @@ const App = {
         }
     },
 
+    // [SYNC] Propagate a date to the target view's state
+    setViewDate: function (viewName, sharedDate) {
+        if (viewName === 'calendar') {
+            this.state.initialDate = sharedDate;
+        } else if (viewName === 'dept_list') {
+            // Set 1st of month for Dept View logic usually, but specific date is fine
+            this.state.deptViewDate = sharedDate;
+        } else if (viewName === 'year') {
+            this.state.yearViewDate = sharedDate;
+        } else if (viewName === 'list') {
+            // Calculate Monday of the week containing sharedDate
+            const d = new Date(sharedDate);
+            const day = d.getDay();
+            const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Adjust to Monday
+            this.state.listViewStart = new Date(d.setDate(diff));
+            this.state.listViewWeeks = this.state.listViewWeeks || 1; // Maintain week count preference
+        }
+    },
+
+    // --- Deep Links (URL hash) ---
+
+    // #<view>?date=2026-05&hide_dept=3,4&schedule=<id>
+    // date: YYYY-MM-DD (calendar, list = Monday of the week) or YYYY-MM (dept_list, year)
+    // weeks=2 (list), grid=venue (dept_list), hide_dept / hide_type / hide_vis / grade (filters)
+    routeHash: function (viewName, date = null, { withFilters = true, scheduleId = null } = {}) {
+        const params = [];
+        const join = (values) => values.map(v => encodeURIComponent(v)).join(',');
+
+        if (date && ['calendar', 'list', 'dept_list', 'year'].includes(viewName)) {
+            const d = new Date(date);
+            if (viewName === 'list') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+            const dateStr = this.formatLocal(d);
+            params.push(`date=${viewName === 'dept_list' || viewName === 'year' ? dateStr.slice(0, 7) : dateStr}`);
+
+            if (viewName === 'list' && this.state.listViewWeeks === 2) params.push('weeks=2');
+            if (viewName === 'dept_list' && this.state.deptGridMode === 'venue') params.push('grid=venue');
+
+            if (withFilters) {
+                const filters = this.getFilters();
+                if (filters.hiddenDepts.length > 0) params.push(`hide_dept=${join(filters.hiddenDepts)}`);
+                if (filters.hiddenTypes.length > 0) params.push(`hide_type=${join(filters.hiddenTypes)}`);
+                if (this.state.user && filters.hiddenVisibilities.length > 0) params.push(`hide_vis=${join(filters.hiddenVisibilities)}`);
+                if (viewName === 'calendar' && (this.state.gradeFilter || []).length > 0) params.push(`grade=${this.state.gradeFilter.join(',')}`);
+            }
+        }
+        if (scheduleId) params.push(`schedule=${encodeURIComponent(scheduleId)}`);
+
+        return `#${viewName}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+    },
+
+    // Inverse of routeHash (null for unknown views). Filters are only part of the route when the link names them.
+    parseRoute: function (hash) {
+        const [view, query = ''] = (hash || '').replace(/^#/, '').split('?');
+        if (!this.ROUTE_VIEWS.includes(view)) return null;
+
+        const params = {};
+        query.split('&').filter(Boolean).forEach(pair => {
+            const [key, value = ''] = pair.split('=');
+            params[key] = value;
+        });
+        const list = (key) => (params[key] || '').split(',').filter(Boolean).map(v => decodeURIComponent(v));
+
+        const route = { view };
+        const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(params.date || '');
+        if (match) route.date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3] || 1));
+        // Dated links spell out the week count and grid mode only when they differ from the default
+        if (route.date && view === 'list') route.weeks = params.weeks === '2' ? 2 : 1;
+        if (route.date && view === 'dept_list') route.grid = params.grid === 'venue' ? 'venue' : 'dept';
+        if (['hide_dept', 'hide_type', 'hide_vis'].some(key => key in params)) {
+            route.filters = {
+                hiddenDepts: list('hide_dept'),
+                hiddenTypes: list('hide_type').filter(t => t in this.FILTER_TYPES),
+                hiddenVisibilities: list('hide_vis').filter(v => v in this.FILTER_VISIBILITIES)
+            };
+        }
+        if ('grade' in params) route.grades = list('grade').map(Number).filter(g => this.GRADES.includes(g));
+        if (params.schedule) route.scheduleId = decodeURIComponent(params.schedule);
+        return route;
+    },
+
+    // Opens a parsed route: link state first, then the view, then the linked schedule
+    followRoute: function (route, replace = false) {
+        if (route.weeks) this.state.listViewWeeks = route.weeks;
+        if (route.grid) this.state.deptGridMode = route.grid;
+        // Link filters apply to this session only; the saved ones change only through the filter dialog
+        if (route.filters) this.state.filters = { key: this.getFilterKey(), ...route.filters };
+        if (route.grades) this.state.gradeFilter = route.grades;
+
+        // Schedules only open for signed-in users: log in first, then come back here
+        if (route.scheduleId && !this.state.user) {
+            this.navigate('login', replace);
+            this.state.pendingRoute = route;
+            return;
+        }
+
+        this.navigate(route.view, replace, route.date || null);
+        if (route.scheduleId) this.openLinkedSchedule(route.scheduleId);
+    },
+
+    openLinkedSchedule: async function (scheduleId) {
+        const schedule = await this.fetchScheduleById(scheduleId);
+        if (schedule) {
+            this.openScheduleModal(schedule.id);
+            return;
+        }
+
+        // Trashed schedules are only visible to their author and admins (who may restore them)
+        const { data: trashed } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .select('id, title')
+            .eq('id', scheduleId)
+            .not('deleted_at', 'is', null)
+            .limit(1);
+        if (!trashed || trashed.length === 0) {
+            alert('일정을 찾을 수 없거나 볼 권한이 없습니다.');
+            return;
+        }
+        if (!confirm(`'${trashed[0].title}' 일정은 휴지통에 있습니다. 복원할까요?`)) return;
+
+        const { error } = await this.restoreSchedules([trashed[0].id]);
+        if (error) {
+            alert('복원 실패: ' + error.message);
+            return;
+        }
+        this.reloadCalendar();
+        this.openScheduleModal(trashed[0].id);
+    },
+
+    // Keeps the address bar on the date and filters being looked at (replace: paging doesn't pile up history)
+    syncRoute: function () {
+        const hash = this.routeHash(this.state.viewMode, this.captureCurrentDate());
+        if (window.location.hash !== hash) {
+            history.replaceState({ view: this.state.viewMode }, '', window.location.pathname + hash);
+        }
+    },
+
+    copyScheduleLink: async function (schedule) {
+        const hash = this.routeHash('calendar', this.parseLocal(schedule.start_date), { withFilters: false, scheduleId: schedule.id });
+        const url = window.location.origin + window.location.pathname + hash;
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('일정 링크를 복사했습니다.');
+        } catch (e) {
+            // Clipboard API needs a secure context; let the user copy it by hand
+            prompt('아래 링크를 복사하세요.', url);
+        }
+    },
+
     checkAuth: async function () {
         try {
             const { data, error } = await window.SupabaseClient.supabase.auth.getSession();
@@ -289,7 +512,10 @@ const App = {
             this.updateAuthUI(session);
 
             if (session && this.state.viewMode === 'login') {
-                this.navigate('calendar');
+                const route = this.state.pendingRoute;
+                this.state.pendingRoute = null;
+                if (route) this.followRoute(route, true);
+                else this.navigate('calendar');
             }
         });
     },
@@ -360,6 +586,7 @@ const App = {
             this.state.user = null;
             this.state.role = null;
             this.state.status = null;
+            this.state.lastLogin = null;
             this.state._syncPromise = null;
             this.state._authInitialized = false;
             return;
@@ -373,7 +600,7 @@ const App = {
                 // 1. Fetch current role/status
                 const { data, error } = await window.SupabaseClient.supabase
                     .from('user_roles')
-                    .select('role, status')
+                    .select('role, status, last_login')
                     .eq('user_id', authUser.id)
                     .maybeSingle();
 
@@ -382,6 +609,8 @@ const App = {
                     // [PRIORITY] Set state IMMEDIATELY after fetch succeeds (Normalized)
                     self.state.role = String(data.role || '').trim().toLowerCase();
                     self.state.status = String(data.status || '').trim().toLowerCase();
+                    // Previous visit (unread comment markers), read before it is overwritten below
+                    self.state.lastLogin = data.last_login;
 
                     // Update metadata in background
                     window.SupabaseClient.supabase
@@ -476,9 +705,19 @@ const App = {
             const adminBtn = isAdmin
                 ? `<button id="btn-admin" class="text-sm px-3 py-1 border border-purple-200 text-purple-700 rounded bg-purple-50 hover:bg-purple-100">관리자</button>`
                 : '';
+            // Admins use the trash on the admin page; other authors get their own
+            const trashBtn = (!isAdmin && this.canAddSchedule())
+                ? `<button id="btn-trash" class="text-sm px-3 py-1 border border-gray-300 rounded hover:bg-gray-100" title="휴지통">휴지통</button>`
+                : '';
+            const dutiesBtn = `<button id="btn-my-duties" class="text-sm px-3 py-1 border border-gray-300 rounded hover:bg-gray-100">내 업무</button>` +
+                `<button id="btn-tasks" class="text-sm px-3 py-1 border border-gray-300 rounded hover:bg-gray-100">준비 업무</button>`;
+            // Heads review department submissions from here (admins on the admin page)
+            const approvalsBtn = (!isAdmin && this.canReviewSchedules())
+                ? `<button id="btn-approvals" class="text-sm px-3 py-1 border border-gray-300 rounded hover:bg-gray-100 flex items-center gap-1">승인 대기<span id="approvals-count" class="hidden bg-amber-500 text-white text-[10px] font-bold rounded-full px-1.5"></span></button>`
+                : '';
 
         // [FIX] Trim whitespace to prevent anonymous flex items
-        infoContainer.innerHTML = `<span class="text-sm text-gray-700 hidden sm:inline">안녕하세요, <strong>${userEmail}</strong>님</span>${adminBtn}`;
+        infoContainer.innerHTML = `<span class="text-sm text-gray-700 hidden sm:inline">안녕하세요, <strong>${userEmail}</strong>님</span>${adminBtn}${dutiesBtn}${approvalsBtn}${trashBtn}`;
         authBtnContainer.innerHTML = `<button id="btn-logout" class="text-sm px-3 py-1 border border-gray-300 rounded hover:bg-gray-100">로그아웃</button>`;
 
         const logoutBtn = document.getElementById('btn-logout');
@@ -497,6 +736,17 @@ const App = {
                 btnAdmin.onclick = () => this.navigate('admin');
             }
         }
+        const btnDuties = document.getElementById('btn-my-duties');
+        if (btnDuties) btnDuties.onclick = () => this.navigate('my_duties');
+        const btnTasks = document.getElementById('btn-tasks');
+        if (btnTasks) btnTasks.onclick = () => this.navigate('tasks');
+        const btnTrash = document.getElementById('btn-trash');
+        if (btnTrash) btnTrash.onclick = () => this.openTrashModal();
+        const btnApprovals = document.getElementById('btn-approvals');
+        if (btnApprovals) {
+            btnApprovals.onclick = () => this.openApprovalsModal();
+            this.updateApprovalBadge();
+        }
     } else {
         infoContainer.innerHTML = '';
         authBtnContainer.innerHTML = `<button id="btn-header-login" class="text-sm px-3 py-1 border border-gray-300 rounded hover:bg-gray-100" onclick="App.navigate('login')">로그인</button>`;
@@ -549,10 +799,12 @@ const App = {
 
         // Cleanup content
         container.innerHTML = '';
+        this.state.bulkMode = false;
+        this.clearBulkSelection();
 
         // Mobile Calendar Button Layout Hook
         // Adds a class to body so CSS can adjust header button spacing dynamically
-        if (viewName === 'list' || viewName === 'dept_list') {
+        if (viewName === 'list' || viewName === 'dept_list' || viewName === 'my_duties' || viewName === 'tasks' || viewName === 'year') {
             document.body.classList.add('view-has-calendar-btn');
         } else {
             document.body.classList.remove('view-has-calendar-btn');
@@ -568,7 +820,17 @@ const App = {
                 console.error("Failed to load calendar", e);
                 container.innerHTML = `<p class="text-red-500">캘린더 로딩 실패</p>`;
             }
-        } else if (viewName === 'list' || viewName === 'dept_list' || viewName === 'admin') {
+        } else if (viewName === 'year') {
+            try {
+                const response = await fetch('pages/year.html');
+                const html = await response.text();
+                container.innerHTML = html;
+                this.initYearView();
+            } catch (e) {
+                console.error("Failed to load year view", e);
+                container.innerHTML = `<p class="text-red-500">연간 일정 로딩 실패</p>`;
+            }
+        } else if (viewName === 'list' || viewName === 'dept_list' || viewName === 'my_duties' || viewName === 'tasks' || viewName === 'admin') {
             // [STATUS CHECK] Block access to internal views if not (Active OR Admin)
             const role = String(this.state.role || '').trim().toLowerCase();
             const status = String(this.state.status || '').trim().toLowerCase();
@@ -583,7 +845,10 @@ const App = {
             // Double check for actual session to be safe
             const { data: { session } } = await window.SupabaseClient.supabase.auth.getSession();
             if (!session && viewName !== 'calendar') {
+                // Come back to the linked view after login
+                const route = this.parseRoute(window.location.hash);
                 this.navigate('login', true);
+                this.state.pendingRoute = route;
                 return;
             }
 
@@ -607,6 +872,26 @@ const App = {
                     console.error("Failed to load dept list view", e);
                     container.innerHTML = `<p class="text-red-500">부서별 보기 로딩 실패</p>`;
                 }
+            } else if (viewName === 'my_duties') {
+                try {
+                    const response = await fetch('pages/my-duties.html');
+                    const html = await response.text();
+                    container.innerHTML = html;
+                    this.initMyDutiesView();
+                } catch (e) {
+                    console.error("Failed to load my duties view", e);
+                    container.innerHTML = `<p class="text-red-500">내 업무 로딩 실패</p>`;
+                }
+            } else if (viewName === 'tasks') {
+                try {
+                    const response = await fetch('pages/tasks.html');
+                    const html = await response.text();
+                    container.innerHTML = html;
+                    this.initTasksView();
+                } catch (e) {
+                    console.error("Failed to load tasks view", e);
+                    container.innerHTML = `<p class="text-red-500">준비 업무 로딩 실패</p>`;
+                }
             } else if (viewName === 'admin') {
                 // Check Admin Auth (Simple client-side check, real security via RLS)
                 const currentRole = String(this.state.role || '').trim().toLowerCase();
@@ -669,7 +954,7 @@ const App = {
         headerActions.innerHTML = '';
 
         // Check if current view has a calendar return button (e.g. #btn-dept-calendar)
-        const viewCalendarBtn = document.querySelector('#btn-dept-calendar, #btn-list-calendar');
+        const viewCalendarBtn = document.querySelector('#btn-dept-calendar, #btn-list-calendar, #btn-duties-calendar, #btn-tasks-calendar, #btn-year-calendar');
         if (viewCalendarBtn) {
             // Un-hide if it was hidden by some mobile-specific toggle logic
             viewCalendarBtn.style.display = 'flex';
@@ -919,6 +1204,7 @@ const App = {
         this.refreshAdminView = loadAndPopulate;
 
         await loadAndPopulate(); // Initial load
+        this.renderSchoolDaysReport();
 
         // Academic Year Change Listener (Manual Confirm)
         const btnChangeYear = document.getElementById('btn-change-year');
@@ -927,6 +1213,7 @@ const App = {
                 const newYear = parseInt(yearSelect.value);
                 if (confirm(`${newYear}학년도로 전환하시겠습니까?\n저장하지 않은 내용은 사라질 수 있습니다.`)) {
                     await loadAndPopulate(newYear);
+                    this.renderSchoolDaysReport();
                 }
             };
         }
@@ -1009,10 +1296,16 @@ const App = {
             container.addEventListener('change', (e) => {
                 if (e.target.classList.contains('holiday-date')) {
                     this.triggerSmartCalc();
+                    this.renderSchoolDaysReport();
                 }
             });
         }
 
+        // 수업일수 follows the form as it is edited (before saving)
+        schedIds.forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.renderSchoolDaysReport());
+        });
+
         const btnAddHol = document.getElementById('btn-add-holiday');
         if (btnAddHol) {
             btnAddHol.onclick = () => {
@@ -1023,6 +1316,25 @@ const App = {
             };
         }
 
+        const btnAddVenue = document.getElementById('btn-add-venue');
+        if (btnAddVenue) {
+            btnAddVenue.onclick = () => this.renderAdminVenues([...this.collectAdminVenues(), { name: '' }]);
+        }
+        const btnSaveVenues = document.getElementById('btn-save-venues');
+        if (btnSaveVenues) {
+            btnSaveVenues.onclick = () => this.handleSaveVenues();
+        }
+
+        const btnAddPeriod = document.getElementById('btn-add-period');
+        if (btnAddPeriod) {
+            btnAddPeriod.onclick = () => {
+                const periods = this.collectPeriods();
+                const last = periods[periods.length - 1];
+                periods.push({ period: periods.length + 1, start: last ? last.end : '', end: '' });
+                this.renderPeriods(periods);
+            };
+        }
+
         // Major Events Container
         const majorContainer = document.getElementById('major-events-container');
         if (majorContainer) {
@@ -1100,6 +1412,16 @@ const App = {
         setVal('setting-school-level-kr', data.level_kr || '');
         setVal('setting-school-level-en', data.level_en || '');
 
+        // 2-1. 교시 시간표
+        this.renderPeriods(data.periods && data.periods.length ? data.periods : this.DEFAULT_PERIODS);
+
+        // 2-2. Conflict Policy
+        setVal('setting-conflict-policy', data.conflict_policy || 'warn');
+        setVal('setting-week-vacation-mode', data.week_vacation_mode || 'skip');
+        setVal('setting-trash-retention', data.trash_retention_days || this.TRASH_RETENTION_DAYS);
+        const approvalCheck = document.getElementById('setting-require-approval');
+        if (approvalCheck) approvalCheck.checked = !!data.require_approval;
+
         // 3. Departments
         const deptList = document.getElementById('admin-dept-list');
         if (deptList) {
@@ -1189,6 +1511,18 @@ const App = {
             }
         }
 
+        // 3-1. Venues
+        const venueYear = targetYear || data.academic_year || new Date().getFullYear();
+        this.renderAdminVenues(await this.fetchVenues(venueYear));
+
+        // 3-2. Trash of the same academic year
+        const trashList = document.getElementById('admin-trash-list');
+        if (trashList) this.renderTrashList(trashList, parseInt(venueYear));
+
+        // 3-3. Approval queue of the same academic year
+        const approvalList = document.getElementById('admin-approval-list');
+        if (approvalList) this.renderApprovalQueue(approvalList, parseInt(venueYear));
+
         // Special Departments (Same logic as before, just kept for completeness)
         const specList = document.getElementById('admin-special-dept-list');
         if (specList) {
@@ -1397,6 +1731,76 @@ const App = {
         this.renderFixedEnvEvents();
     },
 
+    // Unsaved admin form state: vacations from the date fields, fixed/variable holidays from the lists
+    collectAdminNonSchoolDays: function () {
+        const getVal = (id) => (document.getElementById(id) || {}).value || '';
+        this.syncVariableHolidaysFromUI();
+
+        const list = [];
+        Object.entries(this.currentFixedHolidays || {}).forEach(([date, name]) => {
+            list.push({ is_holiday: true, start_date: date, end_date: date, name });
+        });
+        (this.currentVariableHolidays || []).forEach(h => {
+            if (h.date) list.push({ is_holiday: true, start_date: h.date, end_date: h.date, name: h.name });
+        });
+        [['sched-summer-start', 'sched-summer-end', '여름방학'], ['sched-winter-start', 'sched-winter-end', '겨울방학'], ['sched-spring-start', 'sched-spring-end', '봄방학']]
+            .forEach(([s, e, name]) => {
+                if (getVal(s)) list.push({ is_holiday: true, start_date: getVal(s), end_date: getVal(e) || getVal(s), name });
+            });
+        return list;
+    },
+
+    renderSchoolDaysReport: function () {
+        const container = document.getElementById('school-days-report');
+        if (!container) return;
+
+        const getVal = (id) => (document.getElementById(id) || {}).value || '';
+        const ay = parseInt(this.state.currentYear) || new Date().getFullYear();
+        const summerEnd = getVal('sched-summer-end');
+        const report = this.countSchoolDays(ay, {
+            term1Start: getVal('sched-sem1-start') || null,
+            term2Start: getVal('sched-sem2-start') || (summerEnd ? this.findNextSchoolDay(summerEnd) : null),
+            nonSchoolDays: this.collectAdminNonSchoolDays()
+        });
+
+        const short = report.total < this.MIN_SCHOOL_DAYS;
+        const cell = 'border px-2 py-1 text-center';
+        container.innerHTML = `
+            <div class="rounded border px-3 py-2 mb-3 font-bold ${short ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}">
+                ${ay}학년도 수업일수 ${report.total}일
+                ${short ? `· 법정 최소 ${this.MIN_SCHOOL_DAYS}일보다 ${this.MIN_SCHOOL_DAYS - report.total}일 부족합니다.` : `(법정 최소 ${this.MIN_SCHOOL_DAYS}일 충족)`}
+            </div>
+            <div class="overflow-x-auto">
+                <table class="w-full border-collapse text-xs bg-white mb-3">
+                    <thead class="bg-gray-100 text-gray-600">
+                        <tr>${report.months.map(m => `<th class="${cell}">${m.month}월</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        <tr>${report.months.map(m => `<td class="${cell}">${m.days}</td>`).join('')}</tr>
+                    </tbody>
+                </table>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <table class="w-full border-collapse text-xs bg-white">
+                    <thead class="bg-gray-100 text-gray-600">
+                        <tr><th class="${cell}">1학기</th><th class="${cell}">2학기</th></tr>
+                    </thead>
+                    <tbody>
+                        <tr><td class="${cell}">${report.semesters[0]}</td><td class="${cell}">${report.semesters[1]}</td></tr>
+                    </tbody>
+                </table>
+                <table class="w-full border-collapse text-xs bg-white">
+                    <thead class="bg-gray-100 text-gray-600">
+                        <tr>${['월', '화', '수', '목', '금'].map(n => `<th class="${cell}">${n}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        <tr>${report.weekdays.map(n => `<td class="${cell}">${n}</td>`).join('')}</tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
     renderFixedHolidays: function (holidays) {
         const container = document.getElementById('fixed-holidays-list');
         if (!container) return;
@@ -1600,6 +2004,7 @@ const App = {
                     this.syncVariableHolidaysFromUI();
                     this.currentVariableHolidays.splice(idx, 1);
                     this.renderVariableHolidays(this.currentVariableHolidays);
+                    this.renderSchoolDaysReport();
                 };
             }
         });
@@ -1630,6 +2035,116 @@ const App = {
         this.currentVariableHolidays = newList;
     },
 
+    renderAdminVenues: function (venues) {
+        const container = document.getElementById('admin-venue-list');
+        if (!container) return;
+
+        const list = venues.length > 0 ? venues : [{ name: '강당' }, { name: '시청각실' }, { name: '운동장' }];
+        container.innerHTML = list.map((v, idx) => `
+            <div class="venue-row flex items-center gap-2" ${v.id ? `data-id="${v.id}"` : ''}>
+                <input type="text" value="${v.name || ''}" placeholder="장소명" class="venue-name-input border rounded px-2 py-1 flex-grow" />
+                <button type="button" class="btn-delete-venue text-red-500 hover:text-red-700" data-idx="${idx}">
+                    <span class="material-symbols-outlined text-xl">delete</span>
+                </button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.btn-delete-venue').forEach(btn => {
+            btn.onclick = () => {
+                const current = this.collectAdminVenues();
+                current.splice(parseInt(btn.dataset.idx), 1);
+                // Keep an empty slot so the default list is not restored
+                this.renderAdminVenues(current.length > 0 ? current : [{ name: '' }]);
+            };
+        });
+    },
+
+    collectAdminVenues: function () {
+        const rows = document.querySelectorAll('#admin-venue-list .venue-row');
+        return Array.from(rows).map(row => ({
+            id: row.dataset.id ? parseInt(row.dataset.id) : null,
+            name: row.querySelector('.venue-name-input').value.trim()
+        }));
+    },
+
+    handleSaveVenues: async function () {
+        const academicYear = parseInt(document.getElementById('setting-academic-year').value);
+        const venues = this.collectAdminVenues().filter(v => v.name);
+
+        const { data: existing, error: fetchError } = await window.SupabaseClient.supabase
+            .from('venues')
+            .select('id')
+            .eq('academic_year', academicYear)
+            .eq('is_active', true);
+        if (fetchError) {
+            alert('장소 저장 실패: ' + fetchError.message);
+            return;
+        }
+
+        const rows = venues.map((v, idx) => {
+            const row = { academic_year: academicYear, name: v.name, sort_order: idx, is_active: true };
+            if (v.id) row.id = v.id;
+            return row;
+        });
+
+        // Removed venues are deactivated, not deleted, so past bookings keep their venue
+        const keptIds = new Set(rows.filter(r => r.id).map(r => String(r.id)));
+        const removedIds = (existing || []).map(v => v.id).filter(id => !keptIds.has(String(id)));
+
+        const updates = rows.filter(r => r.id);
+        const inserts = rows.filter(r => !r.id);
+        const results = await Promise.all([
+            updates.length > 0 ? window.SupabaseClient.supabase.from('venues').upsert(updates) : { error: null },
+            inserts.length > 0 ? window.SupabaseClient.supabase.from('venues').insert(inserts) : { error: null },
+            removedIds.length > 0 ? window.SupabaseClient.supabase.from('venues').update({ is_active: false }).in('id', removedIds) : { error: null }
+        ]);
+
+        const failed = results.find(r => r.error);
+        if (failed) {
+            alert('장소 저장 실패: ' + failed.error.message);
+            return;
+        }
+
+        this.logAction('UPDATE', 'venues', null, { academic_year: academicYear, count: rows.length, removed: removedIds.length });
+        delete this.state.cache.venues[academicYear];
+        this.renderAdminVenues(await this.fetchVenues(academicYear));
+        alert('장소 설정이 저장되었습니다.');
+    },
+
+    renderPeriods: function (periods) {
+        const container = document.getElementById('periods-container');
+        if (!container) return;
+
+        container.innerHTML = periods.map((p, idx) => `
+            <div class="period-row flex items-center gap-2 bg-white px-3 py-1 rounded border border-gray-100 shadow-sm">
+                <span class="w-12 text-sm font-bold text-gray-700">${idx + 1}교시</span>
+                <input type="time" value="${p.start || ''}" class="period-start border rounded-lg px-3 py-1 text-sm">
+                <span class="text-gray-400 text-sm">~</span>
+                <input type="time" value="${p.end || ''}" class="period-end border rounded-lg px-3 py-1 text-sm">
+                <button type="button" class="btn-del-period text-red-400 hover:text-red-600 ml-auto" data-idx="${idx}">
+                    <span class="material-symbols-outlined text-xl">delete</span>
+                </button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.btn-del-period').forEach(btn => {
+            btn.onclick = () => {
+                const list = this.collectPeriods();
+                list.splice(parseInt(btn.dataset.idx), 1);
+                this.renderPeriods(list);
+            };
+        });
+    },
+
+    collectPeriods: function () {
+        const rows = document.querySelectorAll('#periods-container .period-row');
+        return Array.from(rows).map((row, idx) => ({
+            period: idx + 1,
+            start: row.querySelector('.period-start').value,
+            end: row.querySelector('.period-end').value
+        }));
+    },
+
     renderMajorEvents: function (list) {
         const container = document.getElementById('major-events-container');
         if (!container) return;
@@ -1985,7 +2500,12 @@ const App = {
                 full_name_kr: schoolNameKR ? (schoolNameKR + getVal('setting-school-level-kr')) : null,
                 name_en: schoolNameEN || null,
                 level_kr: getVal('setting-school-level-kr'),
-                level_en: getVal('setting-school-level-en')
+                level_en: getVal('setting-school-level-en'),
+                periods: this.collectPeriods().filter(p => p.start && p.end),
+                conflict_policy: getVal('setting-conflict-policy') || 'warn',
+                week_vacation_mode: getVal('setting-week-vacation-mode') || 'skip',
+                trash_retention_days: Math.max(1, parseInt(getVal('setting-trash-retention')) || this.TRASH_RETENTION_DAYS),
+                require_approval: !!(document.getElementById('setting-require-approval') || {}).checked
             };
 
             if (existing) settingsPayload.id = existing.id;
@@ -2000,6 +2520,7 @@ const App = {
                 .upsert(settingsPayload);
 
             if (settingsError) throw settingsError;
+            delete this.state.cache.periods[academicYear];
 
             // --- Basic Schedules Migration ---
 
@@ -2123,8 +2644,9 @@ const App = {
             // 1. Get existing IDs in DB for this year
             const { data: dbDepts } = await window.SupabaseClient.supabase
                 .from('departments')
-                .select('id')
-                .eq('academic_year', academicYear);
+                .select('id, dept_name')
+                .eq('academic_year', academicYear)
+                .is('deleted_at', null);
 
             const dbIds = (dbDepts || []).map(d => d.id);
 
@@ -2172,11 +2694,16 @@ const App = {
             const payloadIds = deptPayload.filter(p => p.id).map(p => p.id);
             const toDelete = dbIds.filter(id => !payloadIds.includes(id));
 
+            // Removed departments go to the trash (restorable from the admin page)
             if (toDelete.length > 0) {
-                await window.SupabaseClient.supabase
+                const { error: trashErr } = await window.SupabaseClient.supabase
                     .from('departments')
-                    .delete()
+                    .update(this.getTrashMark())
                     .in('id', toDelete);
+                if (trashErr) throw trashErr;
+
+                const names = (dbDepts || []).filter(d => toDelete.includes(d.id)).map(d => d.dept_name);
+                this.logAction('DELETE', 'departments', null, { academic_year: academicYear, ids: toDelete, names, trash: true });
             }
 
             if (deptPayload.length > 0) {
@@ -2234,6 +2761,7 @@ const App = {
                 .from('schedules')
                 .select('id, dept_name, start_date, end_date, title, academic_year, weekend, is_printable, description, visibility, author_id')
                 .is('dept_id', null)
+                .is('deleted_at', null)
                 .neq('dept_name', null)
                 .neq('dept_name', ''); // Ensure valid name
 
@@ -2267,7 +2795,8 @@ const App = {
                 const { data: depts } = await window.SupabaseClient.supabase
                     .from('departments')
                     .select('id, dept_name')
-                    .eq('academic_year', ay);
+                    .eq('academic_year', ay)
+                    .is('deleted_at', null);
 
                 if (!depts || depts.length === 0) continue;
 
@@ -2527,6 +3056,12 @@ const App = {
                         this.state.calendar.gotoDate(target);
                     }
                 },
+                customYear: {
+                    text: '연간',
+                    click: () => {
+                        this.navigate('year');
+                    }
+                },
                 customDept: {
                     text: '부서별',
                     click: () => {
@@ -2543,7 +3078,7 @@ const App = {
             headerToolbar: {
                 left: 'customPrev,customNext today',
                 center: '', // REMOVED 'title' to prevent FullCalendar from managing it
-                right: 'extendedMonth,customDept,customList'
+                right: 'extendedMonth,customYear,customDept,customList'
             },
             height: '100%', // Fill container for interior scroll on screen
             expandRows: true, // Stretch rows to fill available space (memo space)
@@ -2635,6 +3170,7 @@ const App = {
                     }
                 }
 
+                this.syncRoute();
                 await this.refreshCalendarData(info.start, info.end);
 
                 this.distributeVerticalSpace();
@@ -2702,6 +3238,21 @@ const App = {
                     };
                 }
 
+                // [DND] Day cells accept dragged schedule items / resize handles
+                arg.el.addEventListener('dragover', (e) => {
+                    if (!this._scheduleDrag) return;
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'move';
+                    arg.el.classList.add('schedule-drop-target');
+                });
+                arg.el.addEventListener('dragleave', () => arg.el.classList.remove('schedule-drop-target'));
+                arg.el.addEventListener('drop', (e) => {
+                    arg.el.classList.remove('schedule-drop-target');
+                    if (!this._scheduleDrag) return;
+                    e.preventDefault();
+                    this.handleScheduleDrop(dateStr);
+                });
+
                 // Remove default FullCalendar containers that might cause whitespace or layout issues
                 const eventsContainer = arg.el.querySelector('.fc-daygrid-day-events');
                 // const bottomContainer = arg.el.querySelector('.fc-daygrid-day-bottom'); // KEEP: Used for spacing
@@ -2770,8 +3321,21 @@ const App = {
             });
         }
 
+        // 6. Personal Schedules Toggle (signed-in users only)
+        const privateChk = document.getElementById('chk-show-private');
+        if (privateChk) {
+            privateChk.closest('label').classList.toggle('hidden', !this.state.user);
+            privateChk.checked = localStorage.getItem('show-private-schedules') !== 'false';
+            privateChk.onchange = () => {
+                localStorage.setItem('show-private-schedules', privateChk.checked);
+                this.state.initialDate = this.captureCurrentDate();
+                this.initCalendar();
+            };
+        }
+
         // 3. Search Initialization
         this.bindCalendarSearch();
+        this.renderGradeFilters();
 
         // 5. Button Bindings (Header)
         const btnAdd = document.getElementById('btn-add-schedule');
@@ -2783,6 +3347,15 @@ const App = {
         if (btnPrint) {
             btnPrint.onclick = () => this.openPrintModal();
         }
+
+        const btnFilter = document.getElementById('btn-calendar-filter');
+        if (btnFilter) {
+            btnFilter.onclick = () => this.openFilterModal(() => {
+                this.state.initialDate = this.captureCurrentDate();
+                this.initCalendar();
+            });
+        }
+        this.updateFilterButtons();
     },
 
     // --- List View Logic ---
@@ -2838,15 +3411,6 @@ const App = {
             this.renderListView();
         };
 
-        // Initialize Router/History
-        window.onpopstate = (event) => {
-            if (event.state && event.state.view) {
-                this.loadView(event.state.view);
-            } else {
-                this.loadView('calendar'); // Default
-            }
-        };
-
         // [FIX] Global Event Delegation for Login Button
         // Catches click on #btn-header-login even if it is dynamic
         document.addEventListener('click', (e) => {
@@ -2877,6 +3441,32 @@ const App = {
             };
         }
 
+        this.setupBulkToggle(document.getElementById('btn-list-select'), () => this.renderListView());
+
+        const btnFilter = document.getElementById('btn-list-filter');
+        if (btnFilter) btnFilter.onclick = () => this.openFilterModal(() => this.renderListView());
+        this.updateFilterButtons();
+
+        // Grade column (target grades of each schedule)
+        const chkPrivate = document.getElementById('chk-list-private');
+        if (chkPrivate) {
+            chkPrivate.closest('label').classList.toggle('hidden', !this.state.user);
+            chkPrivate.checked = localStorage.getItem('show-private-schedules') !== 'false';
+            chkPrivate.onchange = () => {
+                localStorage.setItem('show-private-schedules', chkPrivate.checked);
+                this.renderListView();
+            };
+        }
+
+        const chkGrades = document.getElementById('chk-list-grades');
+        if (chkGrades) {
+            chkGrades.checked = localStorage.getItem('list-show-grades') === 'true';
+            chkGrades.onchange = () => {
+                localStorage.setItem('list-show-grades', chkGrades.checked);
+                this.renderListView();
+            };
+        }
+
         // --- Dropdown Navigation ---
         const selYear = document.getElementById('list-nav-year');
         const selMonth = document.getElementById('list-nav-month');
@@ -2977,6 +3567,8 @@ const App = {
         const printRangeDisplay = document.getElementById('list-print-date-range');
         const screenRangeDisplay = document.getElementById('list-screen-date-range');
 
+        this.syncRoute();
+
         // 1. Calculate Week Range
         const weeks = this.state.listViewWeeks || 1;
         const start = new Date(this.state.listViewStart);
@@ -3034,6 +3626,7 @@ const App = {
         const settings = await this.fetchSettings(targetAcademicYear);
         const basicSchedules = settings.basic_schedules || [];
         const sName = settings.full_name_kr || settings.school_name || "학교명 미설정";
+        await this.loadAcademicWeeks(this.formatLocal(start), this.formatLocal(end));
 
         // Helper: Get Holiday String for a Date Range
         const getHolidayString = (rStart, rEnd) => {
@@ -3058,7 +3651,8 @@ const App = {
 
         // Helper: Generate Page Header (Print & Screen)
         const generateHeaderHtml = (rStart, rEnd, isScreenOnly = false, isPrintOnly = false) => {
-            const rangeBase = `${fmt(rStart)} ~${fmt(rEnd)} `;
+            const weekLabel = this.getAcademicWeekLabel(this.formatLocal(rStart));
+            const rangeBase = `${fmt(rStart)} ~${fmt(rEnd)} ${weekLabel ? `(${weekLabel}) ` : ''}`;
             const holidays = getHolidayString(rStart, rEnd);
             // rangeFull removed, we separate them now
 
@@ -3102,6 +3696,7 @@ const App = {
         // 2. Fetch Data
         const schedules = await this.fetchSchedules();
         const departments = this.state.departments || [];
+        const allDepts = this.state.allDepartmentsCached || departments;
 
         // 3. Process Days
         const dates = [];
@@ -3114,6 +3709,7 @@ const App = {
 
         const dayHtmls = [];
         const dayNames = ['일', '월', '화', '수', '목', '금', '토'];
+        const showGrades = localStorage.getItem('list-show-grades') === 'true';
 
         const checkOverlap = (evStart, evEnd, targetDateStr) => {
             if (evStart === targetDateStr) return true;
@@ -3136,24 +3732,20 @@ const App = {
                 const overlaps = checkOverlap(sStart, sEnd, dateStr);
                 if (!overlaps) return false;
 
-                // [DEPT SCOPING]
-                if (this.state.role === 'dept') {
-                    const isMyDept = (this.state.myDeptId && String(this.state.myDeptId) === String(s.dept_id));
-                    if (!isMyDept) return false;
-                }
+                // [STRICT PRIVATE CHECK] (author only)
+                if (!this.matchesPrivateFilter(s)) return false;
+                if (!this.matchesScheduleFilters(s)) return false;
 
-                // [STRICT PRIVATE CHECK]
-                if (s.visibility === 'private') {
-                    const isAdmin = this.state.role === 'admin';
-                    const isCreator = this.state.user && s.user_id && String(s.user_id) === String(this.state.user.id);
-                    if (!isAdmin && !isCreator) return false;
+                // [DEPT SCOPING] (co-hosted schedules count for every participating department)
+                if (this.state.role === 'dept' && s.visibility !== 'private') {
+                    if (!this.isMyDeptSchedule(s)) return false;
                 }
 
                 // [STRICT DEPT PRIVACY]
                 // If visibility is 'dept', ONLY Admin or Member of that Dept can see it.
                 if (s.visibility === 'dept') {
                     const isAdmin = this.state.role === 'admin';
-                    const isMyDept = (this.state.role === 'dept' && this.state.myDeptId && String(this.state.myDeptId) === String(s.dept_id));
+                    const isMyDept = this.state.role === 'dept' && this.isMyDeptSchedule(s);
                     if (!isAdmin && !isMyDept) return false; // HIDDEN
                 }
 
@@ -3170,6 +3762,7 @@ const App = {
             const dailyBasics = [];
             basicSchedules.forEach(b => {
                 if (b.type === 'term' || b.type === 'vacation') return;
+                if (!this.matchesTypeFilter(this.basicScheduleType(b))) return;
                 const bStart = b.start_date;
                 const bEnd = b.end_date || b.start_date;
                 if (checkOverlap(bStart, bEnd, dateStr)) {
@@ -3178,10 +3771,21 @@ const App = {
             });
 
             const groups = {};
+            const hiddenDepts = this.getFilters().hiddenDepts;
             dailySchedules.forEach(s => {
-                const deptName = s.dept_name || '기타';
-                if (!groups[deptName]) groups[deptName] = [];
-                groups[deptName].push({ title: s.title, desc: s.description });
+                // Co-hosted schedules are listed under the owner and every participating department
+                const coDepts = (s.co_dept_ids || [])
+                    .map(id => allDepts.find(d => String(d.id) === String(id)))
+                    .filter(Boolean);
+                const isJoint = coDepts.length > 0;
+                // ...except the departments filtered out (the schedule passed through another one)
+                const ownerName = s.dept_id && hiddenDepts.includes(String(s.dept_id)) ? null : (s.dept_name || '기타');
+                const coNames = coDepts.filter(d => !hiddenDepts.includes(String(d.id))).map(d => d.dept_name);
+                [ownerName, ...coNames].filter(Boolean).forEach(deptName => {
+                    if (!groups[deptName]) groups[deptName] = [];
+                    if (groups[deptName].some(ev => ev.id === s.id)) return;
+                    groups[deptName].push({ id: s.id, title: s.title, desc: s.description, time: this.formatScheduleTime(s), start_time: s.start_time, isJoint, isPrivate: s.visibility === 'private', audience: this.formatAudience(s), gradeClass: this.gradeClassNames(s), raw: s });
+                });
             });
 
             if (dailyBasics.length > 0) {
@@ -3237,8 +3841,13 @@ const App = {
                             </div>
                             <ul class="list-disc list-inside text-[11px] leading-[1.3] text-gray-700 pl-4 space-y-[3px]">
                     `;
-                    groups[deptName].forEach(ev => {
-                        dayHtml += `<li><span class="font-medium text-gray-900">${ev.title}</span>${ev.desc ? ` <span class="text-gray-500 text-[11px]">(${ev.desc})</span>` : ''}</li>`;
+                    groups[deptName].sort((a, b) => this.compareScheduleTime(a, b)).forEach(ev => {
+                        const time = ev.time ? `<span class="schedule-time font-bold text-gray-600">${ev.time}</span> ` : '';
+                        const joint = ev.isJoint ? `<span class="text-gray-500">[공동]</span> ` : '';
+                        const check = ev.raw ? this.bulkCheckboxHtml(ev.raw) : '';
+                        const grade = showGrades ? `<span class="list-grade-col">${ev.audience || '전체'}</span>` : '';
+                        const personal = ev.isPrivate ? `<span class="private-badge">개인</span> ` : '';
+                        dayHtml += `<li class="${ev.gradeClass || ''}${ev.isPrivate ? ' no-print' : ''}">${check}${grade}${personal}${time}${joint}<span class="font-medium text-gray-900">${ev.title}</span>${ev.desc ? ` <span class="text-gray-500 text-[11px]">(${ev.desc})</span>` : ''}</li>`;
                     });
                     dayHtml += `</ul></div>`;
                 });
@@ -3290,7 +3899,7 @@ const App = {
         }
 
         container.innerHTML = finalHtml;
-
+        this.bindBulkChecks(container);
     },
 
     // --- Dept List View ---
@@ -3331,6 +3940,33 @@ const App = {
             this.initDeptListView();
         };
         if (btnPrint) btnPrint.onclick = () => this.openPrintModal('dept_list');
+        this.setupBulkToggle(document.getElementById('btn-dept-select'), () => this.renderDeptListView());
+
+        const btnFilter = document.getElementById('btn-dept-filter');
+        if (btnFilter) btnFilter.onclick = () => this.openFilterModal(() => this.renderDeptListView());
+        this.updateFilterButtons();
+
+        // Department grid <-> venue grid
+        const btnGridDept = document.getElementById('btn-grid-dept');
+        const btnGridVenue = document.getElementById('btn-grid-venue');
+        const syncGridButtons = () => {
+            const isVenue = this.state.deptGridMode === 'venue';
+            if (btnGridDept) btnGridDept.className = `px-3 py-1.5 transition ${isVenue ? 'bg-white text-gray-700 hover:bg-gray-50' : 'bg-purple-600 text-white'}`;
+            if (btnGridVenue) btnGridVenue.className = `px-3 py-1.5 border-l border-gray-300 transition ${isVenue ? 'bg-purple-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`;
+            const title = isVenue ? '장소별 일정' : '부서별 일정';
+            const titleEl = document.getElementById('dept-view-title');
+            if (titleEl) titleEl.innerHTML = `&nbsp;${title}`;
+            const printTitle = document.querySelector('#dept-print-header h1');
+            if (printTitle) printTitle.textContent = title;
+        };
+        const setGridMode = (mode) => {
+            this.state.deptGridMode = mode;
+            syncGridButtons();
+            this.renderDeptListView();
+        };
+        if (btnGridDept) btnGridDept.onclick = () => setGridMode('dept');
+        if (btnGridVenue) btnGridVenue.onclick = () => setGridMode('venue');
+        syncGridButtons();
 
         const selYear = document.getElementById('dept-nav-year');
         const selMonth = document.getElementById('dept-nav-month');
@@ -3370,6 +4006,7 @@ const App = {
         const wrapper = document.getElementById('dept-view-table-scroll');
 
         if (!thead || !tbody) return;
+        this.syncRoute();
 
         const date = this.state.deptViewDate;
         const year = date.getFullYear();
@@ -3377,7 +4014,8 @@ const App = {
         if (selYear) selYear.value = year;
         if (selMonth) selMonth.value = month + 1;
 
-        const activeDepts = (this.state.departments || []).filter(d => d.is_active);
+        const hiddenDepts = this.getFilters().hiddenDepts;
+        const activeDepts = (this.state.departments || []).filter(d => d.is_active && !hiddenDepts.includes(String(d.id)));
 
         // Determine Range
         const startOfMonth = new Date(year, month, 1);
@@ -3398,6 +4036,12 @@ const App = {
             printSchool.textContent = s ? (s.full_name_kr || s.school_name || "") : "";
         }
 
+        if (this.state.deptGridMode === 'venue') {
+            await this.renderVenueGrid(thead, tbody, finalStart, finalEnd);
+            if (wrapper) wrapper.scrollTop = 0;
+            return;
+        }
+
         // 1. Header
         let headerHtml = `<tr><th class="col-date" style="padding: 0 4px; vertical-align: middle; box-shadow: inset 0 -5px 0 #6b7280; height: 50px;">날짜</th>`;
         activeDepts.forEach(d => {
@@ -3419,6 +4063,7 @@ const App = {
         let query = window.SupabaseClient.supabase
             .from('schedules')
             .select('*')
+            .is('deleted_at', null)
             .gte('start_date', startStr)
             .lte('start_date', endStr);
 
@@ -3432,6 +4077,7 @@ const App = {
         const mm = month + 1;
         const ay = (mm < 3) ? year - 1 : year;
         const holidays = this.calculateMergedHolidays(ay);
+        await this.loadAcademicWeeks(startStr, endStr);
 
         let bodyHtml = '';
         const dayNames = ['일', '월', '화', '수', '목', '금', '토'];
@@ -3455,21 +4101,25 @@ const App = {
             }
 
             bodyHtml += `<tr class="${rowClass}">`;
-            bodyHtml += `<td class="col-date">${d} <br class="print:hidden"><span class="text-[10px] print:text-inherit">(${dayNames[dayNum]})</span></td>`;
+            bodyHtml += `<td class="col-date">${d} <br class="print:hidden"><span class="text-[10px] print:text-inherit">(${dayNames[dayNum]})</span>${dayNum === 1 ? this.academicWeekTag(dateStr) : ''}</td>`;
             activeDepts.forEach(dept => {
                 // 1. Get DB Schedules (Clone to allow injection)
                 // [FIX] 2-Step Matching: ID-based OR Name-based fallback for orphaned data
                 let deptSchedules = (schedules || []).filter(s => {
                     if (s.start_date !== dateStr) return false;
+                    // Personal schedules are not part of the department grid
+                    if (s.visibility === 'private') return false;
+                    if (!this.matchesScheduleFilters(s)) return false;
 
                     // [STRICT DEPT PRIVACY]
                     if (s.visibility === 'dept') {
                         const isAdmin = this.state.role === 'admin';
-                        const isMyDept = (this.state.role === 'dept' && this.state.myDeptId && String(this.state.myDeptId) === String(s.dept_id));
+                        const isMyDept = this.state.role === 'dept' && this.isMyDeptSchedule(s);
                         if (!isAdmin && !isMyDept) return false;
                     }
 
-                    if (s.dept_id) return String(s.dept_id) == String(dept.id);
+                    // Co-hosted schedules show up in every participating department's column
+                    if (s.dept_id) return this.getScheduleDeptIds(s).includes(String(dept.id));
                     // Fallback: match by name if ID is missing
                     return s.dept_name === dept.dept_name || s.dept_name === dept.dept_short;
                 });
@@ -3478,7 +4128,7 @@ const App = {
 
                 // 2. Inject Virtual Events
                 // Kyomu -> Holidays
-                if (dept.dept_short === '교무' && holidayName) {
+                if (dept.dept_short === '교무' && holidayName && this.matchesTypeFilter('holiday')) {
                     // Check duplicate to avoid double showing if manually added
                     if (!deptSchedules.some(s => s.title === holidayName)) {
                         deptSchedules.push({ title: holidayName, description: '' });
@@ -3486,7 +4136,7 @@ const App = {
                 }
 
                 // Science -> Env Events
-                if (dept.dept_short === '과학') {
+                if (dept.dept_short === '과학' && this.matchesTypeFilter('env')) {
                     const mm = String(curr.getMonth() + 1).padStart(2, '0');
                     const dd = String(curr.getDate()).padStart(2, '0');
                     const envKey = `${mm} -${dd} `;
@@ -3532,9 +4182,14 @@ const App = {
                 }
 
                 bodyHtml += `<td class="col-dept">`;
-                deptSchedules.forEach(s => {
+                deptSchedules.sort((a, b) => this.compareScheduleTime(a, b)).forEach(s => {
                     const desc = s.description ? ` (${s.description})` : '';
-                    bodyHtml += `<div class="dept-event-item" style="border-left-color: ${dept.dept_color}">${s.title}${desc}</div>`;
+                    const timeLabel = this.formatScheduleTime(s);
+                    const time = timeLabel ? `<b class="schedule-time">${timeLabel}</b> ` : '';
+                    const joint = (s.co_dept_ids || []).length > 0 ? `<span class="text-gray-500">[공동]</span> ` : '';
+                    const audience = this.formatAudience(s);
+                    const grade = audience ? `<span class="schedule-audience">[${audience}]</span> ` : '';
+                    bodyHtml += `<div class="dept-event-item ${this.gradeClassNames(s)}" style="border-left-color: ${dept.dept_color}">${this.bulkCheckboxHtml(s)}${time}${grade}${joint}${s.title}${desc}</div>`;
                 });
                 bodyHtml += `</td>`;
             });
@@ -3543,698 +4198,4522 @@ const App = {
             curr.setDate(curr.getDate() + 1);
         }
         tbody.innerHTML = bodyHtml;
+        this.bindBulkChecks(tbody);
 
         // Reset scroll position on month change
         if (wrapper) wrapper.scrollTop = 0;
     },
 
-    // --- UI Updates ---
+    // Facility usage: one column per venue, bookings spanning their whole date range
+    renderVenueGrid: async function (thead, tbody, finalStart, finalEnd) {
+        const ay = this.getAcademicYear(this.formatLocal(finalStart));
+        const venues = await this.fetchVenues(ay);
+        const startStr = this.formatLocal(finalStart);
+        const endStr = this.formatLocal(finalEnd);
+        await this.loadAcademicWeeks(startStr, endStr);
 
+        let headerHtml = `<tr><th class="col-date" style="padding: 0 4px; vertical-align: middle; box-shadow: inset 0 -5px 0 #6b7280; height: 50px;">날짜</th>`;
+        venues.forEach(v => {
+            headerHtml += `<th class="col-dept" style="padding: 0 4px; vertical-align: middle; box-shadow: inset 0 -5px 0 #7c3aed; height: 50px;">${v.name}</th>`;
+        });
+        headerHtml += `</tr>`;
+        thead.innerHTML = headerHtml;
 
-    // --- Data Fetching ---
+        if (venues.length === 0) {
+            tbody.innerHTML = `<tr><td class="p-8 text-center text-gray-400">${ay}학년도에 등록된 장소가 없습니다. 관리자 페이지에서 장소를 추가하세요.</td></tr>`;
+            return;
+        }
 
-    fetchSettings: async function (targetYear = null) {
         let query = window.SupabaseClient.supabase
-            .from('settings')
-            .select('*');
+            .from('schedules')
+            .select('*')
+            .is('deleted_at', null)
+            .not('venue_id', 'is', null)
+            .lte('start_date', endStr)
+            .gte('end_date', startStr);
+        if (!this.state.user) query = query.eq('visibility', 'public');
+        const { data: schedules, error } = await query;
+        if (error) console.error('Error fetching venue bookings:', error);
 
-        if (targetYear) {
-            query = query.eq('academic_year', targetYear).limit(1);
-        } else {
-            // Use limit(1) instead of single()/maybeSingle() to strictly avoid 406 console errors
-            query = query.order('academic_year', { ascending: false }).limit(1);
-        }
+        const deptMap = {};
+        (this.state.departments || []).forEach(d => deptMap[String(d.id)] = d);
+        const holidays = this.calculateMergedHolidays(ay);
+        const dayNames = ['일', '월', '화', '수', '목', '금', '토'];
 
-        const { data: settingsItems, error } = await query;
-        if (error) {
-            console.error('Error fetching settings:', error);
-            return {};
-        }
+        let bodyHtml = '';
+        const curr = new Date(finalStart);
+        while (curr <= finalEnd) {
+            const dateStr = this.formatLocal(curr);
+            const dayNum = curr.getDay();
 
-        const settings = (settingsItems && settingsItems.length > 0) ? settingsItems[0] : null;
+            let rowClass = dayNum === 0 ? 'row-sunday' : (dayNum === 1 ? 'row-monday' : (dayNum === 6 ? 'row-saturday' : ''));
+            if (holidays[dateStr]) rowClass = rowClass ? `${rowClass} row-holiday` : 'row-holiday';
 
-        const result = settings || {};
+            bodyHtml += `<tr class="${rowClass}">`;
+            bodyHtml += `<td class="col-date">${curr.getDate()} <br class="print:hidden"><span class="text-[10px] print:text-inherit">(${dayNames[dayNum]})</span>${dayNum === 1 ? this.academicWeekTag(dateStr) : ''}</td>`;
+
+            venues.forEach(v => {
+                const bookings = (schedules || [])
+                    .filter(s => String(s.venue_id) === String(v.id) && s.start_date <= dateStr && (s.end_date || s.start_date) >= dateStr)
+                    .filter(s => s.visibility !== 'dept' || this.state.role === 'admin' || this.isMyDeptSchedule(s))
+                    .sort((a, b) => this.compareScheduleTime(a, b));
+
+                // More than one all-day booking, or overlapping times, is a double booking
+                const isDouble = bookings.some((a, i) => bookings.slice(i + 1).some(b =>
+                    !a.start_time || !b.start_time ||
+                    (this.formatTime(a.start_time) < (this.formatTime(b.end_time) || this.formatTime(b.start_time)) &&
+                        this.formatTime(b.start_time) < (this.formatTime(a.end_time) || this.formatTime(a.start_time))) ||
+                    this.formatTime(a.start_time) === this.formatTime(b.start_time)
+                ));
+
+                bodyHtml += `<td class="col-dept${isDouble ? ' bg-red-50' : ''}">`;
+                bookings.forEach(s => {
+                    const dept = deptMap[String(s.dept_id)];
+                    const color = dept ? dept.dept_color : '#9ca3af';
+                    const deptName = dept ? (dept.dept_short || dept.dept_name) : (s.dept_name || '');
+                    const timeLabel = this.formatScheduleTime(s);
+                    const time = timeLabel ? `<b class="schedule-time">${timeLabel}</b> ` : '';
+                    bodyHtml += `<div class="dept-event-item" style="border-left-color: ${color}">${time}${s.title}${deptName ? ` <span class="text-gray-500">(${deptName})</span>` : ''}</div>`;
+                });
+                bodyHtml += `</td>`;
+            });
+            bodyHtml += `</tr>`;
+            curr.setDate(curr.getDate() + 1);
+        }
+        tbody.innerHTML = bodyHtml;
+    },
 
-        // [DYNAMIC TITLE] Update Header & Tab Title based on settings
-        this.updateBrand(result);
+    // --- Year View (학년도 한눈에 보기: March - February) ---
 
-        // Fetch Basic Schedules (DB Refactor)
-        if (result.academic_year) {
-            const { data: basicSchedules } = await window.SupabaseClient.supabase
-                .from('basic_schedules')
-                .select('*')
-                .eq('academic_year', result.academic_year);
+    initYearView: async function () {
+        if (!this.state.yearViewDate) this.state.yearViewDate = new Date();
 
-            result.basic_schedules = basicSchedules || [];
-        }
+        const shiftYear = (delta) => {
+            const ay = this.getAcademicYear(this.formatLocal(this.state.yearViewDate)) + delta;
+            this.state.yearViewDate = new Date(ay, 2, 1);
+            this.renderYearView();
+        };
+        document.getElementById('btn-year-prev').onclick = () => shiftYear(-1);
+        document.getElementById('btn-year-next').onclick = () => shiftYear(1);
+        document.getElementById('btn-year-today').onclick = () => {
+            this.state.yearViewDate = new Date();
+            this.renderYearView();
+        };
+        document.getElementById('btn-year-calendar').onclick = () => this.navigate('calendar');
+        document.getElementById('btn-year-print').onclick = () => this.openPrintModal('year');
+        document.getElementById('btn-year-filter').onclick = () => this.openFilterModal(() => this.renderYearView());
 
-        return result;
+        await this.renderYearView();
+        this.updateFilterButtons();
     },
 
-    fetchDepartments: async function (year = null) {
-        const targetYear = year || this.state.currentYear || new Date().getFullYear();
+    // Twelve mini months tinted from the same day maps as the month view, with schedule counts per day
+    renderYearView: async function () {
+        const grid = document.getElementById('year-grid');
+        if (!grid) return;
+        this.syncRoute();
+
+        const ay = this.getAcademicYear(this.formatLocal(this.state.yearViewDate));
+        const start = new Date(ay, 2, 1);
+        const end = new Date(ay + 1, 2, 1);
+
+        document.getElementById('year-view-title').textContent = `${ay}학년도 (${ay}.3 ~ ${ay + 1}.2)`;
+        document.getElementById('year-print-title').textContent = `${ay}학년도 연간 일정`;
+        const settings = await this.fetchSettings(ay);
+        document.getElementById('year-print-school').textContent = settings ? (settings.full_name_kr || settings.school_name || '') : '';
+
+        const data = await this.buildCalendarData(start, end);
+        if (!data || !document.getElementById('year-grid')) return; // Superseded or left the view
+
+        const todayStr = this.formatLocal(new Date());
+        const dayNames = ['월', '화', '수', '목', '금', '토', '일'];
+        let html = '';
+
+        for (let i = 0; i < 12; i++) {
+            const first = new Date(ay, 2 + i, 1);
+            const daysInMonth = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+            const lead = (first.getDay() + 6) % 7; // Monday-first offset
+
+            let cells = '<tr>' + '<td></td>'.repeat(lead);
+            for (let d = 1; d <= daysInMonth; d++) {
+                const date = new Date(first.getFullYear(), first.getMonth(), d);
+                const dateStr = this.formatLocal(date);
+                const dow = date.getDay();
+                const count = Object.values(data.scheduleMap[dateStr] || {}).reduce((sum, group) => sum + group.events.length, 0);
+                const labels = data.holidayMap[dateStr] || [];
+                const classes = ['year-day'];
+                if (data.redDayMap[dateStr] || dow === 0 || dow === 6) classes.push('is-holiday');
+                if (dateStr === todayStr) classes.push('is-today');
+                const tip = labels.concat(count > 0 ? [`일정 ${count}건`] : []).join(', ');
+
+                cells += `<td class="${classes.join(' ')}" data-date="${dateStr}" style="background-color: ${data.bgColorMap[dateStr] || '#ffffff'}"${tip ? ` title="${this.escapeHtml(tip)}"` : ''}>
+                    <span class="year-day-num">${d}</span>${count > 0 ? `<span class="year-day-count">${count}</span>` : ''}
+                </td>`;
+                if ((lead + d) % 7 === 0 && d < daysInMonth) cells += '</tr><tr>';
+            }
+            cells += '<td></td>'.repeat((7 - (lead + daysInMonth) % 7) % 7) + '</tr>';
+
+            html += `
+                <div class="year-month">
+                    <button type="button" class="year-month-title" data-date="${this.formatLocal(first)}">${first.getMonth() + 1}월${first.getMonth() === 0 ? ` <span class="text-gray-400 font-normal">${first.getFullYear()}</span>` : ''}</button>
+                    <table class="year-month-table">
+                        <thead><tr>${dayNames.map((n, idx) => `<th class="${idx >= 5 ? 'text-red-500' : ''}">${n}</th>`).join('')}</tr></thead>
+                        <tbody>${cells}</tbody>
+                    </table>
+                </div>`;
+        }
+        grid.innerHTML = html;
 
-        const { data: results, error } = await window.SupabaseClient.supabase
-            .from('departments')
-            .select('*')
-            .eq('academic_year', targetYear)
-            .eq('is_active', true)
-            .order('sort_order', { ascending: true });
+        // Click-through to the month view at that date
+        grid.querySelectorAll('[data-date]').forEach(el => {
+            el.onclick = () => {
+                this.state.yearViewDate = this.parseLocal(el.dataset.date);
+                this.navigate('calendar');
+            };
+        });
+    },
+
+    // --- My Duties (내 업무: schedules assigned to me) ---
+
+    // Every registered user except guests (cached); callers filter by status
+    fetchAssignableUsers: async function () {
+        if (this.state.cache.users) return this.state.cache.users;
+
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('user_roles')
+            .select('user_id, email, role, status')
+            .neq('role', 'guest')
+            .order('email', { ascending: true });
 
         if (error) {
-            console.error('Error fetching departments:', error);
+            console.error('Error fetching users:', error);
             return [];
         }
+        this.state.cache.users = data || [];
+        return this.state.cache.users;
+    },
 
-        return results || [];
+    userDisplayName: function (user) {
+        return (user.email || '').split('@')[0];
     },
 
-    fetchDepartmentsWithFallback: async function (year = null) {
-        const targetYear = year || this.state.currentYear || new Date().getFullYear();
+    // From the cache when loaded, otherwise straight from the DB (e.g. opened from 내 업무)
+    fetchScheduleById: async function (id) {
+        const cached = (this.state.cache.schedules || []).find(s => String(s.id) === String(id) && !s.deleted_at);
+        if (cached) return cached;
 
-        // 1. Try Target Year
-        let depts = await this.fetchDepartments(targetYear);
-        if (depts && depts.length > 0) return depts;
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .select('*')
+            .eq('id', id)
+            .is('deleted_at', null)
+            .limit(1);
+        if (error || !data || data.length === 0) {
+            if (error) console.error('Error fetching schedule:', error);
+            return null;
+        }
+        const { data: files } = await window.SupabaseClient.supabase
+            .from('schedule_attachments')
+            .select('id, schedule_id, file_name, file_path, mime_type, size, uploaded_by')
+            .eq('schedule_id', id);
+        return { ...data[0], attachments: files || [] };
+    },
 
-        console.log(`No active departments for ${targetYear}.Searching for fallback...`);
+    // Assignees change nothing but the description (trg_schedules_assignee rejects anything else)
+    updateAssignedDescription: async function (id, description) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .update({ description })
+            .eq('id', id)
+            .select('id');
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '수정 권한이 없습니다.' } };
+        return { error: null };
+    },
 
-        // 2. Find Closest Available Year
-        const { data: years, error: yErr } = await window.SupabaseClient.supabase
-            .from('departments')
-            .select('academic_year')
-            .eq('is_active', true);
+    initMyDutiesView: async function () {
+        const saved = parseInt(localStorage.getItem('duties-weeks'));
+        this.state.dutiesWeeks = isNaN(saved) ? 4 : saved;
 
-        if (yErr || !years || years.length === 0) return [];
+        document.querySelectorAll('.btn-duties-range').forEach(btn => {
+            btn.onclick = () => {
+                this.state.dutiesWeeks = parseInt(btn.dataset.weeks);
+                localStorage.setItem('duties-weeks', this.state.dutiesWeeks);
+                this.renderMyDuties();
+            };
+        });
+        const btnCalendar = document.getElementById('btn-duties-calendar');
+        if (btnCalendar) btnCalendar.onclick = () => this.navigate('calendar');
 
-        const uniqueYears = [...new Set(years.map(y => y.academic_year))];
-        const closestYear = uniqueYears.sort((a, b) => Math.abs(a - targetYear) - Math.abs(b - targetYear))[0];
+        await this.renderMyDuties();
+    },
 
-        if (!closestYear) return [];
+    // Upcoming assigned schedules grouped by week (Mon-Sun), like the weekly plan
+    renderMyDuties: async function () {
+        const container = document.getElementById('duties-container');
+        if (!container || !this.state.user) return;
+
+        const weeks = this.state.dutiesWeeks;
+        document.querySelectorAll('.btn-duties-range').forEach(btn => {
+            const active = parseInt(btn.dataset.weeks) === weeks;
+            btn.classList.toggle('bg-white', active);
+            btn.classList.toggle('shadow', active);
+            btn.classList.toggle('text-gray-800', active);
+            btn.classList.toggle('text-gray-500', !active);
+        });
 
-        console.log(`Using fallback departments from academic year: ${closestYear} `);
-        return await this.fetchDepartments(closestYear);
-    },
+        const today = new Date();
+        const monday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - ((today.getDay() + 6) % 7));
+        const todayStr = this.formatLocal(today);
 
-    fetchSchedules: async function () {
-        // Fetch all public schedules + visible internal ones
-        let query = window.SupabaseClient.supabase.from('schedules').select('*');
+        let query = window.SupabaseClient.supabase
+            .from('schedules')
+            .select('*')
+            .is('deleted_at', null)
+            .contains('assignee_ids', [this.state.user.id])
+            .gte('end_date', todayStr)
+            .order('start_date', { ascending: true });
+        if (weeks > 0) query = query.lt('start_date', this.shiftDateStr(this.formatLocal(monday), weeks * 7));
 
-        // Guest visibility filter
-        if (!this.state.user) {
-            query = query.eq('visibility', 'public');
+        const { data: schedules, error } = await query;
+        if (error) {
+            console.error('Error fetching duties:', error);
+            container.innerHTML = `<p class="text-red-500 text-sm">내 업무를 불러오지 못했습니다: ${this.escapeHtml(error.message)}</p>`;
+            return;
         }
 
-        const { data, error } = await query;
+        const deptIds = [...new Set((schedules || []).flatMap(s => this.getScheduleDeptIds(s)))];
+        const { data: depts } = deptIds.length > 0
+            ? await window.SupabaseClient.supabase.from('departments').select('id, dept_name, dept_short, dept_color').in('id', deptIds)
+            : { data: [] };
+        const deptMap = {};
+        (depts || []).forEach(d => deptMap[String(d.id)] = d);
 
-        if (error) console.error('Error fetching schedules:', error);
+        const summary = document.getElementById('duties-summary');
+        if (summary) summary.textContent = `${(schedules || []).length}건`;
+
+        if (!schedules || schedules.length === 0) {
+            container.innerHTML = `<p class="text-center text-gray-400 py-12">담당자로 지정된 다가오는 일정이 없습니다.</p>`;
+            return;
+        }
+
+        // Ongoing items that started before this week are listed in the current week
+        const weekOf = (dateStr) => {
+            const d = this.parseLocal(dateStr < todayStr ? todayStr : dateStr);
+            return this.formatLocal(new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7)));
+        };
+        const groups = {};
+        schedules.forEach(s => (groups[weekOf(s.start_date)] = groups[weekOf(s.start_date)] || []).push(s));
+
+        const dayNames = ['일', '월', '화', '수', '목', '금', '토'];
+        const fmt = (dateStr) => {
+            const d = this.parseLocal(dateStr);
+            return `${d.getMonth() + 1}/${d.getDate()}(${dayNames[d.getDay()]})`;
+        };
+
+        container.innerHTML = Object.keys(groups).sort().map(weekStart => {
+            const weekEnd = this.shiftDateStr(weekStart, 6);
+            const items = groups[weekStart].sort((a, b) => a.start_date.localeCompare(b.start_date) || this.compareScheduleTime(a, b)).map(s => {
+                const dept = deptMap[String(s.dept_id)];
+                const deptName = dept ? (dept.dept_short || dept.dept_name) : (s.dept_name || '');
+                const range = s.end_date && s.end_date !== s.start_date ? `${fmt(s.start_date)} ~ ${fmt(s.end_date)}` : fmt(s.start_date);
+                const timeLabel = this.formatScheduleTime(s);
+                const audience = this.formatAudience(s);
+                return `
+                    <li class="duty-item flex items-start gap-3 px-2 py-1.5 rounded hover:bg-gray-50 cursor-pointer" data-id="${s.id}">
+                        <span class="w-32 shrink-0 text-gray-600 font-bold">${range}</span>
+                        <span class="flex-grow">
+                            ${this.approvalBadgeHtml(s.approval_status)}${timeLabel ? `<b class="schedule-time">${timeLabel}</b> ` : ''}${audience ? `<span class="schedule-audience">[${audience}]</span> ` : ''}<span class="font-medium text-gray-900">${this.escapeHtml(s.title)}</span>
+                            ${s.description ? `<span class="text-gray-500">(${this.escapeHtml(s.description)})</span>` : ''}
+                        </span>
+                        ${deptName ? `<span class="shrink-0 text-xs px-1.5 rounded border" style="border-color: ${dept ? dept.dept_color : '#d1d5db'}">${this.escapeHtml(deptName)}</span>` : ''}
+                    </li>
+                `;
+            }).join('');
+            return `
+                <div class="break-inside-avoid">
+                    <div class="border-t-[3px] border-black bg-white pt-1 px-1 mb-2 text-[13px] font-bold text-gray-900">
+                        ${fmt(weekStart)} ~ ${fmt(weekEnd)}${weekStart === this.formatLocal(monday) ? ' <span class="text-purple-600">이번 주</span>' : ''}
+                    </div>
+                    <ul class="text-sm space-y-0.5">${items}</ul>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.duty-item').forEach(li => {
+            li.onclick = () => this.openScheduleModal(li.dataset.id);
+        });
+    },
+
+    // --- RSVP (staff attendance for internal schedules) ---
+
+    isRsvpSchedule: function (schedule) {
+        return !!schedule && !!schedule.rsvp_enabled && schedule.visibility === 'internal';
+    },
+
+    // Organizers (author, assignees) and admins see the roster (same rule as can_view_rsvps)
+    canViewRsvpRoster: function (schedule) {
+        return this.state.role === 'admin' || this.isOwnSchedule(schedule) || this.isAssignedToMe(schedule);
+    },
+
+    // RLS returns only the caller's own response unless they may see the roster
+    fetchRsvps: async function (scheduleId) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedule_rsvps')
+            .select('user_id, status, updated_at')
+            .eq('schedule_id', scheduleId);
+        if (error) console.error('Error fetching RSVPs:', error);
         return data || [];
     },
 
-    // --- Data Transformation ---
+    saveRsvp: async function (scheduleId, status) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedule_rsvps')
+            .upsert({
+                schedule_id: scheduleId,
+                user_id: this.state.user.id,
+                status,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'schedule_id,user_id' })
+            .select();
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '응답 권한이 없습니다.' } };
+        return { error: null };
+    },
 
-    transformEvents: function (schedules, settings, departments, basicSchedules) {
-        const events = [];
+    // Responders first (by status), then active staff who have not answered yet
+    buildRsvpRoster: async function (rsvps) {
+        const users = await this.fetchAssignableUsers();
+        const byId = {};
+        users.forEach(u => byId[String(u.user_id)] = u);
+        const order = Object.keys(this.RSVP_STATUS);
+
+        const answered = rsvps
+            .map(r => ({ name: byId[String(r.user_id)] ? this.userDisplayName(byId[String(r.user_id)]) : '(알 수 없음)', status: r.status, updated_at: r.updated_at }))
+            .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status) || a.name.localeCompare(b.name));
+        const answeredIds = new Set(rsvps.map(r => String(r.user_id)));
+        // Shared department accounts are not people
+        const missing = users
+            .filter(u => u.status === 'active' && u.role !== 'dept' && !answeredIds.has(String(u.user_id)))
+            .map(u => ({ name: this.userDisplayName(u), status: null, updated_at: null }));
+        return answered.concat(missing);
+    },
 
-        // --- 1. Admin Event Deduplication Setup ---
-        // We track all titles from Admin settings to skip duplicate DB schedules later.
-        const normalize = (s) => (s || '').normalize('NFC').replace(/[\s\(\)\[\]\{\}\-\.~!@#$%^&*_=+|;:'",.<>?/]/g, '').toLowerCase();
-        const adminEventMap = {}; // { 'YYYY-MM-DD': Set(normalizedTitles) }
+    formatRsvpTime: function (iso) {
+        if (!iso) return '';
+        const d = new Date(iso);
+        return `${d.getMonth() + 1}/${d.getDate()} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    },
 
-        const addAdminRef = (date, name) => {
-            if (!date || !name) return;
-            if (!adminEventMap[date]) adminEventMap[date] = new Set();
-            adminEventMap[date].add(normalize(name));
-        };
+    exportRsvpRoster: function (schedule, roster) {
+        const wb = XLSX.utils.book_new();
+        const ws_data = [
+            ['일정명', schedule.title],
+            ['날짜', schedule.end_date && schedule.end_date !== schedule.start_date ? `${schedule.start_date} ~ ${schedule.end_date}` : schedule.start_date],
+            [],
+            ['번호', '이름', '응답', '응답 시각', '서명'],
+            ...roster.map((r, i) => [i + 1, r.name, r.status ? this.RSVP_STATUS[r.status] : '미응답', this.formatRsvpTime(r.updated_at), ''])
+        ];
+        const ws = XLSX.utils.aoa_to_sheet(ws_data);
+        XLSX.utils.book_append_sheet(wb, ws, '참석명단');
+        XLSX.writeFile(wb, `참석명단_${schedule.start_date}_${schedule.title.replace(/[\\/:*?"<>|]/g, '_')}.xlsx`);
+    },
 
-        // basicSchedules is array of { type, code, name, start_date, end_date, is_holiday, academic_year }
-        if (basicSchedules && Array.isArray(basicSchedules)) {
-            // A-0. Collect all holiday dates first to use for exam filtering
-            const holidayDates = new Set();
-            basicSchedules.forEach(item => {
-                if (item.is_holiday || item.type === 'holiday') {
-                    if (item.start_date === item.end_date || !item.end_date) {
-                        holidayDates.add(item.start_date);
-                    } else {
-                        let curr = this.parseLocal(item.start_date);
-                        const last = this.parseLocal(item.end_date);
-                        let l = 0;
-                        while (curr <= last && l < 366) {
-                            holidayDates.add(this.formatLocal(curr));
-                            curr.setDate(curr.getDate() + 1);
-                            l++;
-                        }
-                    }
-                }
+    openRsvpModal: async function (schedule) {
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['rsvp']) {
+                const response = await fetch('pages/modal-rsvp.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status} `);
+                this.state.templates['rsvp'] = await response.text();
+            }
+            modalContainer.innerHTML = this.state.templates['rsvp'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load RSVP modal", e);
+            alert('모달을 불러올 수 없습니다. (' + e.message + ')');
+            return;
+        }
+
+        document.getElementById('btn-rsvp-close').onclick = () => this.closeModal();
+        document.getElementById('btn-rsvp-done').onclick = () => this.closeModal();
+
+        const timeLabel = this.formatScheduleTime(schedule);
+        const range = schedule.end_date && schedule.end_date !== schedule.start_date ? `${schedule.start_date} ~ ${schedule.end_date}` : schedule.start_date;
+        document.getElementById('rsvp-info').innerHTML = `
+            <div class="font-bold text-gray-900 text-base">${this.escapeHtml(schedule.title)}</div>
+            <div class="text-gray-500">${range}${timeLabel ? ` · ${timeLabel}` : ''}</div>
+            ${schedule.description ? `<div class="mt-1">${this.escapeHtml(schedule.description)}</div>` : ''}
+        `;
+
+        const canViewRoster = this.canViewRsvpRoster(schedule);
+        const myStatusEl = document.getElementById('rsvp-my-status');
+        const buttons = document.querySelectorAll('.btn-rsvp-status');
+        let roster = [];
+
+        const render = async () => {
+            const rsvps = await this.fetchRsvps(schedule.id);
+            const mine = rsvps.find(r => String(r.user_id) === String(this.state.user.id));
+            buttons.forEach(btn => {
+                const active = mine && mine.status === btn.dataset.status;
+                btn.classList.toggle('bg-purple-600', !!active);
+                btn.classList.toggle('text-white', !!active);
+                btn.classList.toggle('border-purple-600', !!active);
             });
+            myStatusEl.textContent = mine
+                ? `${this.RSVP_STATUS[mine.status]}(으)로 응답했습니다. (${this.formatRsvpTime(mine.updated_at)})`
+                : '아직 응답하지 않았습니다.';
+
+            if (!canViewRoster) return;
+            document.getElementById('rsvp-roster-section').classList.remove('hidden');
+            roster = await this.buildRsvpRoster(rsvps);
+            const counts = Object.keys(this.RSVP_STATUS).map(st => `${this.RSVP_STATUS[st]} ${rsvps.filter(r => r.status === st).length}`);
+            counts.push(`미응답 ${roster.filter(r => !r.status).length}`);
+            document.getElementById('rsvp-counts').textContent = counts.join(' · ');
+            document.getElementById('rsvp-roster-body').innerHTML = roster.map(r => `
+                <tr class="border-t">
+                    <td class="px-2 py-1">${this.escapeHtml(r.name)}</td>
+                    <td class="px-2 py-1 ${r.status === 'attending' ? 'text-green-700 font-bold' : (r.status ? 'text-gray-700' : 'text-gray-400')}">${r.status ? this.RSVP_STATUS[r.status] : '미응답'}</td>
+                    <td class="px-2 py-1 text-gray-500">${this.formatRsvpTime(r.updated_at)}</td>
+                </tr>
+            `).join('');
+        };
 
-            basicSchedules.forEach(item => {
-                // --- 1.5 Academic Year Consistency Check ---
-                // Basic schedules must fall within their academic year (Mar 1 to Feb 29 of next year)
-                if (item.academic_year && item.start_date) {
-                    const ay = parseInt(item.academic_year);
-                    const ayStart = `${ay}-03-01`;
-                    const ayEnd = `${ay + 1}-02 - 29`;
-                    if (item.start_date < ayStart || item.start_date > ayEnd) {
-                        return; // Skip ghost data inconsistent with its academic year
-                    }
+        buttons.forEach(btn => {
+            btn.onclick = async () => {
+                buttons.forEach(b => b.disabled = true);
+                const { error } = await this.saveRsvp(schedule.id, btn.dataset.status);
+                buttons.forEach(b => b.disabled = false);
+                if (error) {
+                    alert('응답 저장 실패: ' + error.message);
+                    return;
                 }
+                this.logAction('RSVP', 'schedules', schedule.id, { title: schedule.title, status: btn.dataset.status });
+                render();
+            };
+        });
+        document.getElementById('btn-rsvp-export').onclick = () => this.exportRsvpRoster(schedule, roster);
 
-                // Determine styling based on type
-                let className = 'holiday-bg-event';
-                let bgColor = '';
-                let isExam = false;
-
-                // Forced Holiday from DB flag
-                if (item.is_holiday) {
-                    className = 'holiday-bg-event';
-                } else if (item.type === 'vacation') {
-                    className = 'vacation-bg-event';
-                } else if (item.type === 'term') {
-                    className = 'event-term-text';
-                } else if (item.type === 'holiday') {
-                    className = 'holiday-bg-event';
-                } else if (item.type === 'exam') {
-                    isExam = true;
-                    className = 'event-exam-text';
-                    bgColor = 'transparent';
-                } else if (item.type === 'event') {
-                    // Major Events
-                    className = 'event-major-text';
-                    bgColor = 'transparent';
-                }
+        render();
+    },
 
-                // Add to Reference Map
-                if (item.start_date === item.end_date || !item.end_date) {
-                    // Filter: Skip exams on weekends/holidays
-                    if (isExam) {
-                        const d = this.parseLocal(item.start_date);
-                        const day = d.getDay();
-                        if (day === 0 || day === 6 || holidayDates.has(item.start_date)) {
-                            return; // Don't show exam info on non-school days
-                        }
-                    }
+    // --- Preparation Tasks (준비 업무 per schedule) ---
 
-                    addAdminRef(item.start_date, item.name);
-                    events.push({
-                        start: item.start_date,
-                        display: 'background',
-                        title: '',
-                        className: className,
-                        backgroundColor: 'transparent', // Always transparent for FC, painted manually in renderer
-                        allDay: true,
-                        extendedProps: { label: item.name }
-                    });
-                } else {
-                    // Range Event (Exams, Multi-day Events)
-                    // We need to add refs for every day
-                    let current = this.parseLocal(item.start_date);
-                    const endDate = this.parseLocal(item.end_date);
-                    let loop = 0;
+    // Due date of a task: offset_days before the schedule starts (negative = after)
+    taskDueDate: function (task, schedule) {
+        return this.shiftDateStr(schedule.start_date, -(task.offset_days || 0));
+    },
 
-                    while (current <= endDate && loop < 365) {
-                        const dStr = this.formatLocal(current);
+    formatTaskOffset: function (offset) {
+        if (!offset) return 'D-day';
+        return offset > 0 ? `D-${offset}` : `D+${-offset}`;
+    },
 
-                        // Filter: Skip exams on weekends/holidays
-                        if (isExam) {
-                            const day = current.getDay();
-                            if (day === 0 || day === 6 || holidayDates.has(dStr)) {
-                                current.setDate(current.getDate() + 1);
-                                loop++;
-                                continue;
-                            }
-                        }
+    isTaskOverdue: function (task, schedule) {
+        return !task.done && this.taskDueDate(task, schedule) < this.formatLocal(new Date());
+    },
 
-                        addAdminRef(dStr, item.name);
-                        events.push({
-                            start: dStr,
-                            display: 'background',
-                            title: '',
-                            className: className,
-                            backgroundColor: 'transparent', // Always transparent for FC, painted manually in renderer
-                            allDay: true,
-                            extendedProps: { label: item.name }
-                        });
-                        current.setDate(current.getDate() + 1);
-                        loop++;
-                    }
-                }
-            });
+    // Editors manage the list; the owner department and assignees tick tasks off (same rule as can_complete_task)
+    canManageTasks: function (schedule) {
+        return !schedule || this.state.role === 'admin' || this.isOwnSchedule(schedule);
+    },
 
-            // A-2. Standard Holiday Injection (Deduplicated)
-            // Ensures legal holidays (Samil-jeol, etc) are shown only if NOT in DB.
-            const ayCollection = new Set();
-            basicSchedules.forEach(item => { if (item.academic_year) ayCollection.add(parseInt(item.academic_year)); });
+    canCompleteTask: function (task, schedule) {
+        if (this.canManageTasks(schedule) || this.isAssignedToMe(schedule)) return true;
+        return this.state.role === 'dept' && !!task.dept_id && String(task.dept_id) === String(this.state.myDeptId);
+    },
 
-            // If we have NO data at all for a range (e.g. browsing future year), fallback to current
-            if (ayCollection.size === 0) ayCollection.add(this.state.currentYear || new Date().getFullYear());
+    fetchScheduleTasks: async function (scheduleIds) {
+        if (scheduleIds.length === 0) return [];
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedule_tasks')
+            .select('*')
+            .in('schedule_id', scheduleIds)
+            .order('sort_order', { ascending: true });
+        if (error) console.error('Error fetching tasks:', error);
+        return data || [];
+    },
 
-            ayCollection.forEach(ay => {
-                // IMPORTANT: If this year ALREADY has data in basicSchedules (from DB), 
-                // it means the user has "initialized" or "saved" this year.
-                // In this case, we respect the DB as the source of truth and skip auto-injection.
-                const hasDbData = basicSchedules.some(item => parseInt(item.academic_year) === ay);
-                if (hasDbData) return;
+    setTaskDone: async function (taskId, done) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedule_tasks')
+            .update({ done })
+            .eq('id', taskId)
+            .select();
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '변경 권한이 없습니다.' } };
+        return { data: data[0], error: null };
+    },
 
-                const holidays = this.calculateMergedHolidays(ay);
-                Object.entries(holidays).forEach(([dateStr, name]) => {
-                    const names = name.split(", ");
-                    names.forEach(n => {
-                        if (adminEventMap[dateStr] && adminEventMap[dateStr].has(normalize(n))) return;
+    // Same tasks on every given schedule (new schedules, every occurrence of a series)
+    insertScheduleTasks: async function (scheduleIds, tasks) {
+        const rows = scheduleIds.flatMap(id => tasks.filter(t => t.title.trim()).map((t, i) => ({
+            schedule_id: id,
+            title: t.title.trim(),
+            dept_id: t.dept_id || null,
+            dept_name: t.dept_name || null,
+            offset_days: t.offset_days || 0,
+            done: false,
+            sort_order: i
+        })));
+        if (rows.length === 0) return { error: null };
+        const { error } = await window.SupabaseClient.supabase.from('schedule_tasks').insert(rows);
+        return { error };
+    },
 
-                        addAdminRef(dateStr, n);
-                        events.push({
-                            start: dateStr,
-                            display: 'background',
-                            title: '',
-                            className: 'holiday-bg-event',
-                            backgroundColor: 'transparent',
-                            allDay: true,
-                            extendedProps: { label: n }
-                        });
-                    });
-                });
-            });
+    // Applies the editor's list to a saved schedule: removed rows are deleted, the rest updated or inserted
+    syncScheduleTasks: async function (scheduleId, tasks, originalIds) {
+        const supabase = window.SupabaseClient.supabase;
+        const kept = tasks.filter(t => t.title.trim());
+        const removed = originalIds.filter(id => !kept.some(t => String(t.id) === String(id)));
+        if (removed.length > 0) {
+            const { error } = await supabase.from('schedule_tasks').delete().in('id', removed);
+            if (error) return { error };
+        }
+        for (const [i, t] of kept.entries()) {
+            const row = { title: t.title.trim(), dept_id: t.dept_id || null, dept_name: t.dept_name || null, offset_days: t.offset_days || 0, sort_order: i };
+            const { error } = t.id
+                ? await supabase.from('schedule_tasks').update(row).eq('id', t.id)
+                : await supabase.from('schedule_tasks').insert({ ...row, schedule_id: scheduleId, done: false });
+            if (error) return { error };
+        }
+        return { error: null };
+    },
 
-            // A-3. Env Events (Fixed from App Constant)
-            // These are NOT in DB currently, still calculated manually or should we move to DB?
-            // Plan says "Recalculate Env Events", user didn't explicitly ask to DB them.
-            // But logic says "Recalculate Env Events for newYear".
-            // Let's keep them as code-based for now since they are permanent fixed dates (Earth Day etc)
-            const yearVal = this.state.currentYear || new Date().getFullYear();
-            const envs = this.FIXED_ENV_EVENTS || {};
-            [yearVal - 1, yearVal, yearVal + 1].forEach(yVal => {
-                Object.entries(envs).forEach(([mmdd, name]) => {
-                    const mm = parseInt(mmdd.split('-')[0]);
-                    const y = (mm < 3) ? yVal + 1 : yVal;
-                    const dateStr = `${y} -${mmdd} `;
-                    addAdminRef(dateStr, name);
-                    events.push({
-                        start: dateStr,
-                        display: 'block',
-                        title: name,
-                        className: 'event-env-text',
-                        backgroundColor: 'transparent',
-                        borderColor: 'transparent',
-                        textColor: '#16a34a',
-                        allDay: true
-                    });
+    // Copied schedules get the source's tasks (not done), owner departments matched by name in the target year
+    copyScheduleTasks: async function (sourceIds, targets) {
+        const tasks = await this.fetchScheduleTasks(sourceIds);
+        if (tasks.length === 0) return { error: null };
+
+        const rows = [];
+        for (const [i, sourceId] of sourceIds.entries()) {
+            const target = targets[i];
+            const own = tasks.filter(t => String(t.schedule_id) === String(sourceId));
+            if (!target || own.length === 0) continue;
+            const depts = await this.fetchDepartments(this.getAcademicYear(target.start_date));
+            own.forEach(t => {
+                const dept = depts.find(d => (d.dept_name || '').trim() === (t.dept_name || '').trim());
+                rows.push({
+                    schedule_id: target.id,
+                    title: t.title,
+                    dept_id: dept ? dept.id : null,
+                    dept_name: dept ? dept.dept_name : t.dept_name,
+                    offset_days: t.offset_days,
+                    done: false,
+                    sort_order: t.sort_order
                 });
             });
         }
+        if (rows.length === 0) return { error: null };
+        const { error } = await window.SupabaseClient.supabase.from('schedule_tasks').insert(rows);
+        return { error };
+    },
 
-        // --- 3. Process Database Schedules (User created) ---
+    // Task rows of the schedule modal; `tasks` is edited in place
+    renderTaskEditor: function (listEl, tasks, { departments, schedule, canManage }) {
+        if (tasks.length === 0) {
+            listEl.innerHTML = `<li class="text-xs text-gray-400">등록된 준비 업무가 없습니다.</li>`;
+            return;
+        }
+        const deptOptions = (selected) => '<option value="">(부서 없음)</option>' + departments.map(d =>
+            `<option value="${d.id}" ${String(d.id) === String(selected) ? 'selected' : ''}>${d.dept_short || d.dept_name}</option>`
+        ).join('');
+
+        listEl.innerHTML = tasks.map((t, i) => {
+            const overdue = schedule && t.id && this.isTaskOverdue(t, schedule);
+            return `
+                <li class="flex items-center gap-2" data-index="${i}">
+                    <input type="checkbox" class="task-done rounded text-purple-600 focus:ring-purple-500" ${t.done ? 'checked' : ''}
+                        ${t.id && this.canCompleteTask(t, schedule) ? '' : 'disabled'} title="${t.id ? '완료' : '저장 후 완료 처리할 수 있습니다'}">
+                    <input type="text" class="task-title flex-grow min-w-0 border rounded px-2 py-1 text-xs ${t.done ? 'line-through text-gray-400' : ''}"
+                        value="${this.escapeHtml(t.title)}" placeholder="업무 내용" ${canManage ? '' : 'disabled'}>
+                    <select class="task-dept border rounded px-1 py-1 text-xs w-24 bg-white" ${canManage ? '' : 'disabled'}>${deptOptions(t.dept_id)}</select>
+                    <label class="flex items-center text-xs text-gray-500 shrink-0" title="행사 며칠 전까지 (음수는 행사 후)">
+                        D-<input type="number" class="task-offset w-12 border rounded px-1 py-1 text-xs" value="${t.offset_days || 0}" ${canManage ? '' : 'disabled'}>
+                    </label>
+                    ${overdue ? '<span class="task-overdue-badge">지연</span>' : ''}
+                    ${canManage ? `<button type="button" class="task-remove text-gray-400 hover:text-red-600" title="삭제"><span class="material-symbols-outlined text-base">close</span></button>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        listEl.querySelectorAll('li[data-index]').forEach(li => {
+            const task = tasks[parseInt(li.dataset.index)];
+            li.querySelector('.task-title').oninput = (e) => { task.title = e.target.value; };
+            li.querySelector('.task-offset').oninput = (e) => { task.offset_days = parseInt(e.target.value) || 0; };
+            li.querySelector('.task-dept').onchange = (e) => {
+                const dept = departments.find(d => String(d.id) === e.target.value);
+                task.dept_id = dept ? dept.id : null;
+                task.dept_name = dept ? dept.dept_name : null;
+            };
+            // Completion is saved right away (owners may not be able to save the schedule itself)
+            li.querySelector('.task-done').onchange = async (e) => {
+                const { error } = await this.setTaskDone(task.id, e.target.checked);
+                if (error) {
+                    alert('변경 실패: ' + error.message);
+                    e.target.checked = !e.target.checked;
+                    return;
+                }
+                task.done = e.target.checked;
+                this.state.cache.schedules = null;
+                this.renderTaskEditor(listEl, tasks, { departments, schedule, canManage });
+            };
+            const btnRemove = li.querySelector('.task-remove');
+            if (btnRemove) btnRemove.onclick = () => {
+                tasks.splice(parseInt(li.dataset.index), 1);
+                this.renderTaskEditor(listEl, tasks, { departments, schedule, canManage });
+            };
+        });
+    },
+
+    initTasksView: async function () {
+        const deptSelect = document.getElementById('tasks-dept');
+        const statusSelect = document.getElementById('tasks-status');
+        const departments = await this.fetchDepartmentsWithFallback(this.getAcademicYear(this.formatLocal(new Date())));
+
+        deptSelect.innerHTML = '<option value="">전체 부서</option>' +
+            departments.map(d => `<option value="${d.id}">${d.dept_name}</option>`).join('');
+        // Departments land on their own tasks
+        const saved = localStorage.getItem('tasks-dept');
+        if (this.state.role === 'dept' && this.state.myDeptId) deptSelect.value = this.state.myDeptId;
+        else if (saved) deptSelect.value = saved;
+        statusSelect.value = localStorage.getItem('tasks-status') || 'open';
+
+        deptSelect.onchange = () => {
+            localStorage.setItem('tasks-dept', deptSelect.value);
+            this.renderTaskDashboard();
+        };
+        statusSelect.onchange = () => {
+            localStorage.setItem('tasks-status', statusSelect.value);
+            this.renderTaskDashboard();
+        };
+        const btnCalendar = document.getElementById('btn-tasks-calendar');
+        if (btnCalendar) btnCalendar.onclick = () => this.navigate('calendar');
+
+        await this.renderTaskDashboard();
+    },
+
+    // Tasks of live schedules, bucketed by due date: overdue, this week, later
+    renderTaskDashboard: async function () {
+        const container = document.getElementById('tasks-container');
+        if (!container) return;
+
+        const deptId = document.getElementById('tasks-dept').value;
+        const status = document.getElementById('tasks-status').value;
+        const todayStr = this.formatLocal(new Date());
+
+        let query = window.SupabaseClient.supabase
+            .from('schedule_tasks')
+            .select('*, schedules!inner(id, title, start_date, end_date, author_id, assignee_ids, deleted_at)')
+            .is('schedules.deleted_at', null)
+            .gte('schedules.end_date', this.shiftDateStr(todayStr, -30));
+        if (deptId) query = query.eq('dept_id', deptId);
+        if (status === 'open') query = query.eq('done', false);
+
+        const { data, error } = await query;
+        if (error) {
+            console.error('Error fetching tasks:', error);
+            container.innerHTML = `<p class="text-red-500 text-sm">준비 업무를 불러오지 못했습니다: ${this.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        const tasks = (data || []).map(t => ({ ...t, due: this.taskDueDate(t, t.schedules) }))
+            .sort((a, b) => a.due.localeCompare(b.due) || a.schedules.start_date.localeCompare(b.schedules.start_date));
+
+        const summary = document.getElementById('tasks-summary');
+        const overdueCount = tasks.filter(t => this.isTaskOverdue(t, t.schedules)).length;
+        if (summary) summary.innerHTML = `${tasks.length}건${overdueCount > 0 ? ` · <span class="text-red-600 font-bold">지연 ${overdueCount}건</span>` : ''}`;
+
+        if (tasks.length === 0) {
+            container.innerHTML = `<p class="text-center text-gray-400 py-12">표시할 준비 업무가 없습니다.</p>`;
+            return;
+        }
+
+        const weekEnd = this.shiftDateStr(todayStr, 7);
+        const buckets = [
+            { label: '기한 지남', items: tasks.filter(t => this.isTaskOverdue(t, t.schedules)) },
+            { label: '7일 이내', items: tasks.filter(t => !this.isTaskOverdue(t, t.schedules) && t.due <= weekEnd) },
+            { label: '이후', items: tasks.filter(t => !this.isTaskOverdue(t, t.schedules) && t.due > weekEnd) }
+        ].filter(b => b.items.length > 0);
+
+        const dayNames = ['일', '월', '화', '수', '목', '금', '토'];
+        const fmt = (dateStr) => {
+            const d = this.parseLocal(dateStr);
+            return `${d.getMonth() + 1}/${d.getDate()}(${dayNames[d.getDay()]})`;
+        };
         const deptMap = {};
-        if (departments) departments.forEach(d => deptMap[String(d.id)] = d);
+        (this.state.allDepartmentsCached || this.state.departments || []).forEach(d => deptMap[String(d.id)] = d);
+
+        container.innerHTML = buckets.map(b => `
+            <div class="break-inside-avoid">
+                <div class="border-t-[3px] border-black bg-white pt-1 px-1 mb-2 text-[13px] font-bold ${b.label === '기한 지남' ? 'text-red-600' : 'text-gray-900'}">${b.label} (${b.items.length})</div>
+                <ul class="text-sm space-y-0.5">
+                    ${b.items.map(t => {
+                        const dept = deptMap[String(t.dept_id)];
+                        const canComplete = this.canCompleteTask(t, t.schedules);
+                        return `
+                            <li class="flex items-center gap-3 px-2 py-1.5 rounded hover:bg-gray-50">
+                                <input type="checkbox" class="task-dash-done rounded text-purple-600 focus:ring-purple-500" data-id="${t.id}" ${t.done ? 'checked' : ''} ${canComplete ? '' : 'disabled'}>
+                                <span class="w-28 shrink-0 font-bold ${this.isTaskOverdue(t, t.schedules) ? 'text-red-600' : 'text-gray-600'}">${fmt(t.due)} <span class="text-xs font-normal">${this.formatTaskOffset(t.offset_days)}</span></span>
+                                <span class="flex-grow ${t.done ? 'line-through text-gray-400' : 'text-gray-900'}">${this.escapeHtml(t.title)}</span>
+                                <span class="shrink-0 text-xs text-gray-500">${this.escapeHtml(dept ? (dept.dept_short || dept.dept_name) : (t.dept_name || ''))}</span>
+                                <button type="button" class="task-dash-open shrink-0 text-xs text-purple-700 hover:underline" data-schedule="${t.schedule_id}">${this.escapeHtml(t.schedules.title)} · ${fmt(t.schedules.start_date)}</button>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.task-dash-done').forEach(cb => {
+            cb.onchange = async () => {
+                const { error } = await this.setTaskDone(cb.dataset.id, cb.checked);
+                if (error) {
+                    alert('변경 실패: ' + error.message);
+                    cb.checked = !cb.checked;
+                    return;
+                }
+                this.state.cache.schedules = null;
+                this.renderTaskDashboard();
+            };
+        });
+        container.querySelectorAll('.task-dash-open').forEach(btn => {
+            btn.onclick = () => this.openScheduleModal(btn.dataset.schedule);
+        });
+    },
 
-        if (schedules) {
+    // --- Comments (discussion thread per schedule) ---
+
+    // RLS returns the thread only to staff who can see the schedule
+    fetchComments: async function (scheduleId) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedule_comments')
+            .select('id, author_id, body, created_at')
+            .eq('schedule_id', scheduleId)
+            .order('created_at', { ascending: true });
+        if (error) console.error('Error fetching comments:', error);
+        return data || [];
+    },
+
+    addComment: async function (scheduleId, body) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedule_comments')
+            .insert({ schedule_id: scheduleId, author_id: this.state.user.id, body })
+            .select('id');
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '댓글 권한이 없습니다.' } };
+        return { error: null, id: data[0].id };
+    },
+
+    deleteComment: async function (commentId) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedule_comments')
+            .delete()
+            .eq('id', commentId)
+            .select('id');
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '삭제 권한이 없습니다.' } };
+        return { error: null };
+    },
+
+    // When each thread was last read on this device (schedule id -> ISO time)
+    getCommentSeen: function () {
+        try {
+            return JSON.parse(localStorage.getItem('comment-seen') || '{}');
+        } catch (e) {
+            return {};
+        }
+    },
+
+    markCommentsSeen: function (scheduleId) {
+        const seen = this.getCommentSeen();
+        // Anything read before the previous login is covered by last_login already
+        Object.keys(seen).forEach(id => {
+            if (this.state.lastLogin && seen[id] < this.state.lastLogin) delete seen[id];
+        });
+        seen[scheduleId] = new Date().toISOString();
+        localStorage.setItem('comment-seen', JSON.stringify(seen));
+    },
+
+    // Unread: someone else commented after my previous login and I have not opened the thread since
+    hasUnreadComments: function (schedule) {
+        const last = schedule.lastComment;
+        if (!last || !this.state.user || String(last.author_id) === String(this.state.user.id)) return false;
+        const seenAt = this.getCommentSeen()[schedule.id];
+        const since = [this.state.lastLogin, seenAt].filter(Boolean).sort().pop();
+        return !since || new Date(last.created_at) > new Date(since);
+    },
+
+    renderCommentThread: async function (scheduleId, schedule) {
+        const list = document.getElementById('comment-list');
+        const countEl = document.getElementById('comment-count');
+        if (!list) return;
+
+        const [comments, users] = await Promise.all([this.fetchComments(scheduleId), this.fetchAssignableUsers()]);
+        const byId = {};
+        users.forEach(u => byId[String(u.user_id)] = u);
+        countEl.textContent = comments.length > 0 ? `(${comments.length})` : '';
+
+        if (comments.length === 0) {
+            list.innerHTML = '<li class="text-xs text-gray-400">아직 댓글이 없습니다.</li>';
+        } else {
+            list.innerHTML = comments.map(c => {
+                const author = byId[String(c.author_id)];
+                const canDelete = this.state.role === 'admin' || String(c.author_id) === String(this.state.user.id);
+                return `
+                    <li class="border rounded px-3 py-2 bg-gray-50">
+                        <div class="flex items-center justify-between text-xs text-gray-500 mb-1">
+                            <span><b class="text-gray-700">${this.escapeHtml(author ? this.userDisplayName(author) : '(알 수 없음)')}</b> · ${this.formatRsvpTime(c.created_at)}</span>
+                            ${canDelete ? `<button type="button" class="btn-comment-delete text-gray-400 hover:text-red-600" data-id="${c.id}" title="삭제"><span class="material-symbols-outlined text-sm">delete</span></button>` : ''}
+                        </div>
+                        <p class="text-gray-800 whitespace-pre-wrap break-words">${this.escapeHtml(c.body)}</p>
+                    </li>`;
+            }).join('');
+            list.scrollTop = list.scrollHeight;
+        }
+
+        list.querySelectorAll('.btn-comment-delete').forEach(btn => {
+            btn.onclick = async () => {
+                if (!confirm('댓글을 삭제하시겠습니까?')) return;
+                const { error } = await this.deleteComment(btn.dataset.id);
+                if (error) {
+                    alert('삭제 실패: ' + error.message);
+                    return;
+                }
+                this.logAction('COMMENT_DELETE', 'schedule_comments', btn.dataset.id, { schedule_id: scheduleId });
+                this.renderCommentThread(scheduleId, schedule);
+            };
+        });
+
+        this.markCommentsSeen(scheduleId);
+        // Keep the cached calendar row in step so the unread marker clears on the next render
+        if (schedule) schedule.lastComment = comments.length > 0 ? comments[comments.length - 1] : null;
+    },
+
+    // --- UI Updates ---
+
+
+    // --- Data Fetching ---
+
+    fetchSettings: async function (targetYear = null) {
+        let query = window.SupabaseClient.supabase
+            .from('settings')
+            .select('*');
+
+        if (targetYear) {
+            query = query.eq('academic_year', targetYear).limit(1);
+        } else {
+            // Use limit(1) instead of single()/maybeSingle() to strictly avoid 406 console errors
+            query = query.order('academic_year', { ascending: false }).limit(1);
+        }
+
+        const { data: settingsItems, error } = await query;
+        if (error) {
+            console.error('Error fetching settings:', error);
+            return {};
+        }
+
+        const settings = (settingsItems && settingsItems.length > 0) ? settingsItems[0] : null;
+
+        const result = settings || {};
+
+        // [DYNAMIC TITLE] Update Header & Tab Title based on settings
+        this.updateBrand(result);
+
+        // Fetch Basic Schedules (DB Refactor)
+        if (result.academic_year) {
+            const { data: basicSchedules } = await window.SupabaseClient.supabase
+                .from('basic_schedules')
+                .select('*')
+                .eq('academic_year', result.academic_year);
+
+            result.basic_schedules = basicSchedules || [];
+        }
+
+        return result;
+    },
+
+    fetchDepartments: async function (year = null) {
+        const targetYear = year || this.state.currentYear || new Date().getFullYear();
+
+        const { data: results, error } = await window.SupabaseClient.supabase
+            .from('departments')
+            .select('*')
+            .eq('academic_year', targetYear)
+            .eq('is_active', true)
+            .is('deleted_at', null)
+            .order('sort_order', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching departments:', error);
+            return [];
+        }
+
+        return results || [];
+    },
+
+    // Active venues of an academic year (cached)
+    fetchVenues: async function (academicYear) {
+        if (this.state.cache.venues[academicYear]) return this.state.cache.venues[academicYear];
+
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('venues')
+            .select('*')
+            .eq('academic_year', academicYear)
+            .eq('is_active', true)
+            .order('sort_order', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching venues:', error);
+            return [];
+        }
+        this.state.cache.venues[academicYear] = data || [];
+        return this.state.cache.venues[academicYear];
+    },
+
+    fetchDepartmentsWithFallback: async function (year = null) {
+        const targetYear = year || this.state.currentYear || new Date().getFullYear();
+
+        // 1. Try Target Year
+        let depts = await this.fetchDepartments(targetYear);
+        if (depts && depts.length > 0) return depts;
+
+        console.log(`No active departments for ${targetYear}.Searching for fallback...`);
+
+        // 2. Find Closest Available Year
+        const { data: years, error: yErr } = await window.SupabaseClient.supabase
+            .from('departments')
+            .select('academic_year')
+            .eq('is_active', true)
+            .is('deleted_at', null);
+
+        if (yErr || !years || years.length === 0) return [];
+
+        const uniqueYears = [...new Set(years.map(y => y.academic_year))];
+        const closestYear = uniqueYears.sort((a, b) => Math.abs(a - targetYear) - Math.abs(b - targetYear))[0];
+
+        if (!closestYear) return [];
+
+        console.log(`Using fallback departments from academic year: ${closestYear} `);
+        return await this.fetchDepartments(closestYear);
+    },
+
+    fetchSchedules: async function () {
+        // Fetch all public schedules + visible internal ones.
+        // Attachments are embedded per schedule (filtered by RLS, same visibility as their schedule).
+        // Open tasks only (overdue markers); the modal loads full task lists itself.
+        const columns = [
+            '*',
+            'attachments:schedule_attachments(id, schedule_id, file_name, file_path, mime_type, size, uploaded_by)',
+            'openTasks:schedule_tasks(id, schedule_id, dept_id, offset_days, done)'
+        ];
+        // Latest comment per schedule only (unread markers); guests never see comments
+        if (this.state.user) columns.push('latestComment:schedule_comments(schedule_id, author_id, created_at)');
+
+        let query = window.SupabaseClient.supabase
+            .from('schedules')
+            .select(columns.join(', '))
+            .is('deleted_at', null)
+            .eq('openTasks.done', false);
+
+        // Guest visibility filter
+        if (!this.state.user) {
+            query = query.eq('visibility', 'public');
+        } else {
+            query = query
+                .order('created_at', { referencedTable: 'latestComment', ascending: false })
+                .limit(1, { referencedTable: 'latestComment' });
+        }
+
+        const { data, error } = await query;
+
+        if (error) console.error('Error fetching schedules:', error);
+        const schedules = data || [];
+
+        if (this.state.user) {
             schedules.forEach(s => {
-                // Deduplication
-                const normTitle = normalize(s.title);
-                const hasConflict = adminEventMap[s.start_date] && adminEventMap[s.start_date].has(normTitle);
+                s.lastComment = (s.latestComment || [])[0] || null;
+                delete s.latestComment;
+            });
+        }
 
-                if (hasConflict) return;
+        return schedules;
+    },
+
+    // --- Data Transformation ---
+
+    transformEvents: function (schedules, settings, departments, basicSchedules) {
+        const events = [];
+
+        // --- 1. Admin Event Deduplication Setup ---
+        // We track all titles from Admin settings to skip duplicate DB schedules later.
+        const normalize = (s) => (s || '').normalize('NFC').replace(/[\s\(\)\[\]\{\}\-\.~!@#$%^&*_=+|;:'",.<>?/]/g, '').toLowerCase();
+        const adminEventMap = {}; // { 'YYYY-MM-DD': Set(normalizedTitles) }
+
+        const addAdminRef = (date, name) => {
+            if (!date || !name) return;
+            if (!adminEventMap[date]) adminEventMap[date] = new Set();
+            adminEventMap[date].add(normalize(name));
+        };
+
+        // basicSchedules is array of { type, code, name, start_date, end_date, is_holiday, academic_year }
+        if (basicSchedules && Array.isArray(basicSchedules)) {
+            // A-0. Collect all holiday dates first to use for exam filtering
+            const holidayDates = new Set();
+            basicSchedules.forEach(item => {
+                if (item.is_holiday || item.type === 'holiday') {
+                    if (item.start_date === item.end_date || !item.end_date) {
+                        holidayDates.add(item.start_date);
+                    } else {
+                        let curr = this.parseLocal(item.start_date);
+                        const last = this.parseLocal(item.end_date);
+                        let l = 0;
+                        while (curr <= last && l < 366) {
+                            holidayDates.add(this.formatLocal(curr));
+                            curr.setDate(curr.getDate() + 1);
+                            l++;
+                        }
+                    }
+                }
+            });
+
+            basicSchedules.forEach(item => {
+                // --- 1.5 Academic Year Consistency Check ---
+                // Basic schedules must fall within their academic year (Mar 1 to Feb 29 of next year)
+                if (item.academic_year && item.start_date) {
+                    const ay = parseInt(item.academic_year);
+                    const ayStart = `${ay}-03-01`;
+                    const ayEnd = `${ay + 1}-02 - 29`;
+                    if (item.start_date < ayStart || item.start_date > ayEnd) {
+                        return; // Skip ghost data inconsistent with its academic year
+                    }
+                }
+
+                // Determine styling based on type
+                let className = 'holiday-bg-event';
+                let bgColor = '';
+                let isExam = false;
+
+                // Forced Holiday from DB flag
+                if (item.is_holiday) {
+                    className = 'holiday-bg-event';
+                } else if (item.type === 'vacation') {
+                    className = 'vacation-bg-event';
+                } else if (item.type === 'term') {
+                    className = 'event-term-text';
+                } else if (item.type === 'holiday') {
+                    className = 'holiday-bg-event';
+                } else if (item.type === 'exam') {
+                    isExam = true;
+                    className = 'event-exam-text';
+                    bgColor = 'transparent';
+                } else if (item.type === 'event') {
+                    // Major Events
+                    className = 'event-major-text';
+                    bgColor = 'transparent';
+                }
+
+                // Add to Reference Map
+                if (item.start_date === item.end_date || !item.end_date) {
+                    // Filter: Skip exams on weekends/holidays
+                    if (isExam) {
+                        const d = this.parseLocal(item.start_date);
+                        const day = d.getDay();
+                        if (day === 0 || day === 6 || holidayDates.has(item.start_date)) {
+                            return; // Don't show exam info on non-school days
+                        }
+                    }
+
+                    addAdminRef(item.start_date, item.name);
+                    events.push({
+                        start: item.start_date,
+                        display: 'background',
+                        title: '',
+                        className: className,
+                        backgroundColor: 'transparent', // Always transparent for FC, painted manually in renderer
+                        allDay: true,
+                        extendedProps: { label: item.name, filterType: this.basicScheduleType(item) }
+                    });
+                } else {
+                    // Range Event (Exams, Multi-day Events)
+                    // We need to add refs for every day
+                    let current = this.parseLocal(item.start_date);
+                    const endDate = this.parseLocal(item.end_date);
+                    let loop = 0;
+
+                    while (current <= endDate && loop < 365) {
+                        const dStr = this.formatLocal(current);
+
+                        // Filter: Skip exams on weekends/holidays
+                        if (isExam) {
+                            const day = current.getDay();
+                            if (day === 0 || day === 6 || holidayDates.has(dStr)) {
+                                current.setDate(current.getDate() + 1);
+                                loop++;
+                                continue;
+                            }
+                        }
+
+                        addAdminRef(dStr, item.name);
+                        events.push({
+                            start: dStr,
+                            display: 'background',
+                            title: '',
+                            className: className,
+                            backgroundColor: 'transparent', // Always transparent for FC, painted manually in renderer
+                            allDay: true,
+                            extendedProps: { label: item.name, filterType: this.basicScheduleType(item) }
+                        });
+                        current.setDate(current.getDate() + 1);
+                        loop++;
+                    }
+                }
+            });
+
+            // A-2. Standard Holiday Injection (Deduplicated)
+            // Ensures legal holidays (Samil-jeol, etc) are shown only if NOT in DB.
+            const ayCollection = new Set();
+            basicSchedules.forEach(item => { if (item.academic_year) ayCollection.add(parseInt(item.academic_year)); });
+
+            // If we have NO data at all for a range (e.g. browsing future year), fallback to current
+            if (ayCollection.size === 0) ayCollection.add(this.state.currentYear || new Date().getFullYear());
+
+            ayCollection.forEach(ay => {
+                // IMPORTANT: If this year ALREADY has data in basicSchedules (from DB), 
+                // it means the user has "initialized" or "saved" this year.
+                // In this case, we respect the DB as the source of truth and skip auto-injection.
+                const hasDbData = basicSchedules.some(item => parseInt(item.academic_year) === ay);
+                if (hasDbData) return;
+
+                const holidays = this.calculateMergedHolidays(ay);
+                Object.entries(holidays).forEach(([dateStr, name]) => {
+                    const names = name.split(", ");
+                    names.forEach(n => {
+                        if (adminEventMap[dateStr] && adminEventMap[dateStr].has(normalize(n))) return;
+
+                        addAdminRef(dateStr, n);
+                        events.push({
+                            start: dateStr,
+                            display: 'background',
+                            title: '',
+                            className: 'holiday-bg-event',
+                            backgroundColor: 'transparent',
+                            allDay: true,
+                            extendedProps: { label: n, filterType: 'holiday' }
+                        });
+                    });
+                });
+            });
+
+            // A-3. Env Events (Fixed from App Constant)
+            // These are NOT in DB currently, still calculated manually or should we move to DB?
+            // Plan says "Recalculate Env Events", user didn't explicitly ask to DB them.
+            // But logic says "Recalculate Env Events for newYear".
+            // Let's keep them as code-based for now since they are permanent fixed dates (Earth Day etc)
+            const yearVal = this.state.currentYear || new Date().getFullYear();
+            const envs = this.FIXED_ENV_EVENTS || {};
+            [yearVal - 1, yearVal, yearVal + 1].forEach(yVal => {
+                Object.entries(envs).forEach(([mmdd, name]) => {
+                    const mm = parseInt(mmdd.split('-')[0]);
+                    const y = (mm < 3) ? yVal + 1 : yVal;
+                    const dateStr = `${y} -${mmdd} `;
+                    addAdminRef(dateStr, name);
+                    events.push({
+                        start: dateStr,
+                        display: 'block',
+                        title: name,
+                        className: 'event-env-text',
+                        backgroundColor: 'transparent',
+                        borderColor: 'transparent',
+                        textColor: '#16a34a',
+                        allDay: true,
+                        extendedProps: { filterType: 'env' }
+                    });
+                });
+            });
+        }
+
+        // --- 3. Process Database Schedules (User created) ---
+        const deptMap = {};
+        if (departments) departments.forEach(d => deptMap[String(d.id)] = d);
+
+        if (schedules) {
+            schedules.forEach(s => {
+                // Deduplication
+                const normTitle = normalize(s.title);
+                const hasConflict = adminEventMap[s.start_date] && adminEventMap[s.start_date].has(normTitle);
+
+                if (hasConflict) return;
+
+                // GUEST VISIBILITY CHECK: Only show 'public'
+                if (!this.state.user && s.visibility !== 'public') return;
+
+                // [STRICT PRIVATE CHECK]
+                // If visibility is 'private', only the author can see it (admins included in the restriction).
+                if (!this.matchesPrivateFilter(s)) return;
+
+                const deptIdKey = s.dept_id ? String(s.dept_id) : null;
+
+                // [STRICT DEPT SCOPING]
+                // For users with 'dept' role, ONLY show schedules belonging to their department.
+                // This applies to ALL visibility levels (internal, public, etc) for this role.
+                // Their own personal schedules are the exception.
+                if (this.state.role === 'dept' && s.visibility !== 'private') {
+                    if (!this.isMyDeptSchedule(s)) return; // HIDDEN
+                }
+
+                // [STRICT DEPT PRIVACY]
+                // If visibility is 'dept', ONLY Admin or Member of that Dept (owner or co-host) can see it.
+                if (s.visibility === 'dept') {
+                    const isAdmin = this.state.role === 'admin';
+                    const isMyDept = this.state.role === 'dept' && this.isMyDeptSchedule(s);
+                    if (!isAdmin && !isMyDept) return; // HIDDEN
+                }
+                const deptNameKey = s.dept_name;
+
+                // 2-Step Mapping: 1. By ID, 2. By Name (Fallback for orphaned data)
+                let dept = deptMap[deptIdKey] || (this.SPECIAL_DEPTS || []).find(sd => String(sd.id) == deptIdKey);
+
+                if (!dept && deptNameKey) {
+                    // Search in regular departments by name or short name
+                    dept = (departments || []).find(d => d.dept_name === deptNameKey || d.dept_short === deptNameKey);
+                    // Search in special depts by name
+                    if (!dept) {
+                        dept = (this.SPECIAL_DEPTS || []).find(sd => sd.name === deptNameKey || sd.short_name === deptNameKey);
+                    }
+                }
+
+                // Final Fallback
+                if (!dept) dept = { dept_name: '기타', dept_color: '#333' };
+
+                const finalDeptId = dept.id ? String(dept.id) : 'uncategorized';
+                events.push({
+                    id: s.id,
+                    title: s.title,
+                    start: s.start_date,
+                    end: s.end_date,
+                    backgroundColor: dept.dept_color || '#3788d8',
+                    borderColor: dept.dept_color || '#3788d8',
+                    extendedProps: {
+                        deptId: finalDeptId,
+                        deptIds: this.getScheduleDeptIds(s),
+                        coDepts: (s.co_dept_ids || []).map(id => deptMap[String(id)]).filter(Boolean),
+                        deptInfo: dept,
+                        description: s.description,
+                        visibility: s.visibility,
+                        isPrivate: s.visibility === 'private',
+                        rsvp: this.isRsvpSchedule(s),
+                        overdueTasks: (s.openTasks || []).filter(t => this.isTaskOverdue(t, s)).length,
+                        unreadComments: this.hasUnreadComments(s),
+                        isPrintable: s.is_printable,
+                        weekend: s.weekend,
+                        start_time: s.start_time,
+                        timeLabel: this.formatScheduleTime(s),
+                        approvalStatus: s.approval_status,
+                        grades: s.target_grades || [],
+                        audience: this.formatAudience(s),
+                        gradeClass: this.gradeClassNames(s)
+                    }
+                });
+            });
+        }
+
+        return events;
+    },
+
+    // Reads the grade rows of the schedule modal
+    readTargetGrades: function () {
+        const grades = [];
+        const classes = [];
+        document.querySelectorAll('#sched-grades .sched-grade:checked').forEach(cb => {
+            const g = parseInt(cb.value);
+            grades.push(g);
+            const input = document.querySelector(`#sched-grades .sched-grade-classes[data-grade="${g}"]`);
+            (input ? input.value : '').split(/[,\s]+/)
+                .map(c => parseInt(c))
+                .filter(c => c > 0)
+                .forEach(c => { if (!classes.includes(`${g}-${c}`)) classes.push(`${g}-${c}`); });
+        });
+        return { target_grades: grades, target_classes: classes };
+    },
+
+    // "1학년 3·4반, 2학년" (empty for whole-school schedules)
+    formatAudience: function (schedule) {
+        const grades = [...(schedule.target_grades || [])].map(Number).sort((a, b) => a - b);
+        if (grades.length === 0) return '';
+        const classes = schedule.target_classes || [];
+        return grades.map(g => {
+            const nums = classes.filter(c => c.startsWith(`${g}-`)).map(c => c.split('-')[1]);
+            return nums.length > 0 ? `${g}학년 ${nums.join('·')}반` : `${g}학년`;
+        }).join(', ');
+    },
+
+    // Classes used by grade-scoped printing (see executePrint)
+    gradeClassNames: function (schedule) {
+        const grades = schedule.target_grades || [];
+        if (grades.length === 0) return '';
+        return ['grade-target', ...grades.map(g => `grade-t${g}`)].join(' ');
+    },
+
+    // Whole-school schedules always pass; others when one of their grades is selected
+    matchesGradeFilter: function (grades) {
+        const selected = this.state.gradeFilter || [];
+        if (selected.length === 0 || !grades || grades.length === 0) return true;
+        return grades.some(g => selected.includes(Number(g)));
+    },
+
+    isOwnSchedule: function (schedule) {
+        return !!this.state.user && !!schedule.author_id && String(schedule.author_id) === String(this.state.user.id);
+    },
+
+    isAssignedToMe: function (schedule) {
+        return !!this.state.user && (schedule.assignee_ids || []).map(String).includes(String(this.state.user.id));
+    },
+
+    // Personal ('private') schedules: author only (also enforced by RLS), hidden when "내 일정" is off
+    matchesPrivateFilter: function (schedule) {
+        if (schedule.visibility !== 'private') return true;
+        return this.isOwnSchedule(schedule) && localStorage.getItem('show-private-schedules') !== 'false';
+    },
+
+    // Owning department first, then co-hosting departments (as strings)
+    getScheduleDeptIds: function (schedule) {
+        const ids = [schedule.dept_id, ...(schedule.co_dept_ids || [])]
+            .filter(id => id !== null && id !== undefined && id !== '');
+        return [...new Set(ids.map(String))];
+    },
+
+    isMyDeptSchedule: function (schedule) {
+        return !!this.state.myDeptId && this.getScheduleDeptIds(schedule).includes(String(this.state.myDeptId));
+    },
+
+    // Filters are saved per user (guests share one entry); everything not listed is shown
+    getFilterKey: function () {
+        return `schedule-filters:${this.state.user ? this.state.user.id : 'guest'}`;
+    },
+
+    getFilters: function () {
+        const key = this.getFilterKey();
+        if (!this.state.filters || this.state.filters.key !== key) {
+            let saved = {};
+            try {
+                saved = JSON.parse(localStorage.getItem(key) || '{}');
+            } catch (e) {
+                saved = {};
+            }
+            this.state.filters = {
+                key,
+                hiddenDepts: (saved.hiddenDepts || []).map(String),
+                hiddenTypes: saved.hiddenTypes || [],
+                hiddenVisibilities: saved.hiddenVisibilities || []
+            };
+        }
+        return this.state.filters;
+    },
+
+    saveFilters: function ({ hiddenDepts, hiddenTypes, hiddenVisibilities }) {
+        const key = this.getFilterKey();
+        this.state.filters = { key, hiddenDepts, hiddenTypes, hiddenVisibilities };
+        localStorage.setItem(key, JSON.stringify({ hiddenDepts, hiddenTypes, hiddenVisibilities }));
+    },
+
+    // An event passes the department filter when ANY of its departments is shown
+    matchesDeptFilter: function (deptIds) {
+        const hidden = this.getFilters().hiddenDepts;
+        if (hidden.length === 0 || !deptIds || deptIds.length === 0) return true;
+        return deptIds.some(id => !hidden.includes(String(id)));
+    },
+
+    matchesTypeFilter: function (type) {
+        return !type || !this.getFilters().hiddenTypes.includes(type);
+    },
+
+    matchesVisibilityFilter: function (visibility) {
+        return !this.getFilters().hiddenVisibilities.includes(visibility || 'internal');
+    },
+
+    // Type, visibility and department filters for a DB schedule (grade and private have their own toggles)
+    matchesScheduleFilters: function (schedule) {
+        return this.matchesTypeFilter('normal') &&
+            this.matchesVisibilityFilter(schedule.visibility) &&
+            this.matchesDeptFilter(this.getScheduleDeptIds(schedule));
+    },
+
+    // Filter type of a basic_schedules row (vacations, terms and major events count as 학사 일정)
+    basicScheduleType: function (item) {
+        if (item.is_holiday || item.type === 'holiday') return 'holiday';
+        if (item.type === 'exam') return 'exam';
+        return 'basic';
+    },
+
+    // "과학·정보, 고사 제외" for print headers (empty when nothing of this year is filtered out)
+    describeFilters: function () {
+        const filters = this.getFilters();
+        const parts = filters.hiddenDepts
+            .map(id => (this.state.departments || []).find(d => String(d.id) === id))
+            .filter(Boolean)
+            .map(d => d.dept_short || d.dept_name);
+        filters.hiddenTypes.forEach(t => { if (this.FILTER_TYPES[t]) parts.push(this.FILTER_TYPES[t]); });
+        if (this.state.user) {
+            filters.hiddenVisibilities.forEach(v => { if (this.FILTER_VISIBILITIES[v]) parts.push(this.FILTER_VISIBILITIES[v]); });
+        }
+        return parts.length > 0 ? `${parts.join(', ')} 제외` : '';
+    },
+
+    // Highlights every "필터" button while something is filtered out
+    updateFilterButtons: function () {
+        const active = !!this.describeFilters();
+        document.querySelectorAll('.btn-filter').forEach(btn => {
+            btn.classList.toggle('filter-active', active);
+            btn.title = active ? `필터: ${this.describeFilters()}` : '필터';
+        });
+    },
+
+    renderDeptFilters: function (departments) {
+        const container = document.getElementById('dept-filter-list');
+        if (!container) return;
+
+        const hidden = this.getFilters().hiddenDepts;
+        const specNames = this.SPECIAL_DEPTS.map(sd => sd.name);
+        if (departments.length === 0) {
+            container.innerHTML = '<p class="text-xs text-gray-400">등록된 부서가 없습니다.</p>';
+            return;
+        }
+
+        container.innerHTML = departments.map(d => {
+            const isSpecial = specNames.includes(d.dept_name);
+            return `
+            <label class="flex items-center gap-2 cursor-pointer text-sm select-none">
+                <input type="checkbox" value="${d.id}" class="dept-checkbox rounded ${isSpecial ? 'text-purple-600' : 'text-blue-600'} focus:ring-purple-500" ${hidden.includes(String(d.id)) ? '' : 'checked'}>
+                <span class="w-3 h-3 rounded-full shrink-0" style="background-color: ${d.dept_color || '#9ca3af'}"></span>
+                <span class="${isSpecial ? 'font-bold' : ''}">${this.escapeHtml(d.dept_name)}</span>
+            </label>`;
+        }).join('');
+    },
+
+    // Shared filter dialog of the calendar, weekly plan, department grid and year views
+    openFilterModal: async function (onApply) {
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['filter']) {
+                const response = await fetch('pages/modal-filter.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status} `);
+                this.state.templates['filter'] = await response.text();
+            }
+            modalContainer.innerHTML = this.state.templates['filter'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load filter modal", e);
+            alert('모달을 불러올 수 없습니다. (' + e.message + ')');
+            return;
+        }
+
+        const filters = this.getFilters();
+        const departments = (this.state.departments || []).filter(d => d.is_active !== false);
+        this.renderDeptFilters(departments);
+
+        const optionHtml = (cls, value, label, checked) => `
+            <label class="flex items-center gap-2 cursor-pointer text-sm select-none">
+                <input type="checkbox" value="${value}" class="${cls} rounded text-purple-600 focus:ring-purple-500" ${checked ? 'checked' : ''}>
+                ${label}
+            </label>`;
+        document.getElementById('type-filter-list').innerHTML = Object.entries(this.FILTER_TYPES)
+            .map(([type, label]) => optionHtml('type-checkbox', type, label, !filters.hiddenTypes.includes(type))).join('');
+        document.getElementById('visibility-filter-list').innerHTML = Object.entries(this.FILTER_VISIBILITIES)
+            .map(([vis, label]) => optionHtml('visibility-checkbox', vis, label, !filters.hiddenVisibilities.includes(vis))).join('');
+        // Guests only ever see public schedules
+        document.getElementById('visibility-filter-section').classList.toggle('hidden', !this.state.user);
+
+        const setAll = (selector, checked) => document.querySelectorAll(selector).forEach(cb => { cb.checked = checked; });
+        document.getElementById('btn-filter-dept-all').onclick = () => setAll('#dept-filter-list .dept-checkbox', true);
+        document.getElementById('btn-filter-dept-none').onclick = () => setAll('#dept-filter-list .dept-checkbox', false);
+        document.getElementById('btn-filter-reset').onclick = () => setAll('#filter-modal-body input[type="checkbox"]', true);
+        document.getElementById('btn-filter-close').onclick = () => this.closeModal();
+        document.getElementById('btn-filter-cancel').onclick = () => this.closeModal();
+
+        document.getElementById('btn-filter-apply').onclick = () => {
+            const unchecked = (selector) => Array.from(document.querySelectorAll(`${selector}:not(:checked)`)).map(cb => cb.value);
+            // Departments of other academic years keep their saved state
+            const listed = Array.from(document.querySelectorAll('#dept-filter-list .dept-checkbox')).map(cb => cb.value);
+            this.saveFilters({
+                hiddenDepts: [...filters.hiddenDepts.filter(id => !listed.includes(id)), ...unchecked('#dept-filter-list .dept-checkbox')],
+                hiddenTypes: unchecked('#type-filter-list .type-checkbox'),
+                hiddenVisibilities: this.state.user ? unchecked('#visibility-filter-list .visibility-checkbox') : filters.hiddenVisibilities
+            });
+            this.closeModal();
+            this.updateFilterButtons();
+            if (onApply) onApply();
+        };
+    },
+
+    // Grade toggles in the calendar toolbar (none selected = all grades)
+    renderGradeFilters: function () {
+        const container = document.getElementById('grade-filter-list');
+        if (!container) return;
+
+        if (!this.state.gradeFilter) {
+            try {
+                this.state.gradeFilter = JSON.parse(localStorage.getItem('calendar-grade-filter') || '[]').map(Number);
+            } catch (e) {
+                this.state.gradeFilter = [];
+            }
+        }
+
+        container.innerHTML = this.GRADES.map(g => `
+            <label class="flex items-center gap-1 cursor-pointer text-xs font-medium text-gray-600 select-none">
+                <input type="checkbox" value="${g}" class="grade-checkbox rounded text-purple-500 focus:ring-purple-400 w-3.5 h-3.5" ${this.state.gradeFilter.includes(g) ? 'checked' : ''}>
+                ${g}학년
+            </label>
+        `).join('');
+
+        container.querySelectorAll('.grade-checkbox').forEach(cb => {
+            cb.addEventListener('change', () => {
+                this.state.gradeFilter = Array.from(container.querySelectorAll('.grade-checkbox:checked')).map(x => Number(x.value));
+                localStorage.setItem('calendar-grade-filter', JSON.stringify(this.state.gradeFilter));
+                // Re-run refreshCalendarData on the month being viewed
+                this.state.initialDate = this.captureCurrentDate();
+                this.initCalendar();
+            });
+        });
+    },
+
+    // --- Modal & CRUD Logic ---
+
+    openScheduleModal: async function (eventId = null, defaultDate = null, { duplicateOf = null } = {}) {
+        // [SECURITY] Double check permissions for new events
+        if (!eventId && !this.canAddSchedule()) {
+            console.warn("[Security] Unauthorized attempt to open schedule modal");
+            return;
+        }
+        // 1. Check Auth & Permissions
+        if (!this.state.user) {
+            alert('로그인이 필요한 기능입니다.');
+            this.navigate('login');
+            return;
+        }
+
+        const canEdit = this.state.role === 'admin' || this.state.role === 'head_teacher' || this.state.role === 'head' || (this.state.role === 'dept' && this.state.myDeptId);
+        // Assignees may open their schedules even without edit rights (description only)
+        const existing = eventId ? await this.fetchScheduleById(eventId) : null;
+        // Other staff open saved schedules read-only (comments, RSVP)
+        const readOnly = !canEdit && !(existing && this.isAssignedToMe(existing));
+        if (readOnly && !existing) {
+            alert('일정 등록/수정 권한이 없습니다.');
+            return;
+        }
+
+        // 2. Load Modal Template
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['schedule']) {
+                const response = await fetch('pages/modal-schedule.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status} `);
+                this.state.templates['schedule'] = await response.text();
+            }
+            modalContainer.innerHTML = this.state.templates['schedule'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load schedule modal", e);
+            alert('모달을 불러오는 중 오류가 발생했습니다. 서버 연결을 확인해 주세요.\n(' + e.message + ')');
+            return;
+        }
+
+        // 3. Setup Elements
+        const form = document.getElementById('schedule-form');
+        const titleInput = document.getElementById('sched-title');
+        const startInput = document.getElementById('sched-start');
+        const endInput = document.getElementById('sched-end');
+        const deptSelect = document.getElementById('sched-dept');
+        const visSelect = document.getElementById('sched-visibility');
+        const descInput = document.getElementById('sched-desc');
+        const printCheck = document.getElementById('sched-printable');
+        const includeHolidaysCheck = document.getElementById('sched-include-holidays');
+        const includeHolidaysWrapper = document.getElementById('include-holidays-wrapper');
+        const btnDelete = document.getElementById('btn-delete');
+        const visHint = document.getElementById('visibility-hint');
+        const rsvpCheck = document.getElementById('sched-rsvp');
+
+        // Recurrence Elements
+        const repeatCheck = document.getElementById('sched-repeat');
+        const recurSection = document.getElementById('recurrence-section'); // Wrapper
+        const recurOptions = document.getElementById('recurrence-options');
+        const rFreq = document.getElementById('sched-freq');
+        const rInterval = document.getElementById('sched-interval');
+        const rUntil = document.getElementById('sched-until');
+        const rCount = document.getElementById('sched-count');
+
+        // Time / Period Elements
+        const startTimeInput = document.getElementById('sched-start-time');
+        const endTimeInput = document.getElementById('sched-end-time');
+        const startPeriodSelect = document.getElementById('sched-start-period');
+        const endPeriodSelect = document.getElementById('sched-end-period');
+        const timeModeRadios = document.querySelectorAll('input[name="sched-time-mode"]');
+
+        const venueSelect = document.getElementById('sched-venue');
+        const coDeptBox = document.getElementById('sched-co-depts');
+        const attachmentInput = document.getElementById('sched-attachments');
+        const attachmentList = document.getElementById('attachment-list');
+        const conflictReport = document.getElementById('conflict-report');
+        let conflictAcknowledged = false;
+
+        // History Elements (Edit Mode)
+        const historySection = document.getElementById('history-section');
+        const historyList = document.getElementById('history-list');
+        let canRevertVersions = true; // Assignees may only edit the description
+
+        // Series Elements (Edit Mode)
+        const seriesSection = document.getElementById('series-section');
+        const seriesSummary = document.getElementById('series-summary');
+        let schedule = null;
+        // Row the form is filled from: the edited schedule, or the source of a duplicate
+        let template = null;
+
+        const fillForm = (src) => {
+            titleInput.value = src.title;
+            startInput.value = src.start_date;
+            endInput.value = src.end_date || src.start_date;
+
+            deptSelect.value = src.dept_id;
+            if (!deptSelect.value && deptSelect.options.length > 0) deptSelect.selectedIndex = 0;
+            visSelect.value = src.visibility;
+            rsvpCheck.checked = !!src.rsvp_enabled;
+            descInput.value = src.description || '';
+            printCheck.checked = src.is_printable !== false;
+            includeHolidaysCheck.checked = src.weekend === 'on';
+
+            // Time / Period
+            if (src.start_period) {
+                this.setTimeMode('period');
+            } else if (src.start_time) {
+                this.setTimeMode('time');
+                startTimeInput.value = this.formatTime(src.start_time);
+                endTimeInput.value = this.formatTime(src.end_time);
+            }
+        };
+
+        // 4. Populate Departments (Filtered by Role)
+        let filteredDepts = this.state.departments;
+        if (this.state.role === 'dept' && this.state.myDeptId) {
+            filteredDepts = this.state.departments.filter(d => String(d.id) === String(this.state.myDeptId));
+        }
+
+        deptSelect.innerHTML = filteredDepts.map(d =>
+            `<option value="${d.id}">${d.dept_name}</option>`
+        ).join('');
+
+        // [DEPT ROLE] Set default or locked state
+        if (this.state.role === 'dept' && this.state.myDeptId) {
+            deptSelect.value = this.state.myDeptId;
+            // Default Visibility to 'dept' for NEW schedules, but allow change
+            if (!eventId) visSelect.value = 'dept';
+        }
+
+        // 5. Load Data (Edit Mode) or Defaults
+        if (eventId) {
+            document.getElementById('modal-title').textContent = '일정 수정';
+            btnDelete.classList.remove('hidden');
+            recurSection.classList.add('hidden'); // Hide recurrence on edit for simplicity in V1
+            includeHolidaysWrapper.classList.add('hidden'); // Hide include holidays on edit
+
+            schedule = existing;
+            template = schedule;
+            if (schedule) {
+                document.getElementById('schedule-id').value = eventId;
+                fillForm(schedule);
+
+                // Link that reopens this schedule (after login if needed)
+                const btnCopyLink = document.getElementById('btn-copy-link');
+                btnCopyLink.classList.remove('hidden');
+                btnCopyLink.onclick = () => this.copyScheduleLink(schedule);
+
+                // Duplicate: reopen as a new schedule filled from this one
+                const btnDuplicate = document.getElementById('btn-duplicate');
+                if (this.canAddSchedule()) {
+                    btnDuplicate.classList.remove('hidden');
+                    btnDuplicate.onclick = () => this.openScheduleModal(null, null, { duplicateOf: schedule.id });
+                }
+
+                // Saved RSVP schedule: answer / see the roster
+                if (this.isRsvpSchedule(schedule)) {
+                    const btnRsvp = document.getElementById('btn-open-rsvp');
+                    btnRsvp.classList.remove('hidden');
+                    btnRsvp.onclick = () => this.openRsvpModal(schedule);
+                }
+
+                // Recurring occurrence: ask for the scope of edits/deletes
+                if (schedule.series_id) {
+                    seriesSection.classList.remove('hidden');
+                    seriesSummary.textContent = this.describeRecurrence(schedule.recurrence_rule);
+                }
+
+                // Version history is loaded on first expand
+                historySection.classList.remove('hidden');
+                document.getElementById('btn-toggle-history').onclick = () => {
+                    const opening = historyList.classList.contains('hidden');
+                    historyList.classList.toggle('hidden', !opening);
+                    document.getElementById('history-toggle-icon').textContent = opening ? 'expand_less' : 'expand_more';
+                    if (opening) {
+                        this.renderVersionHistory(historyList, eventId, canRevertVersions ? async (version) => {
+                            const { error } = await this.revertScheduleVersion(eventId, version);
+                            if (error) {
+                                alert('되돌리기 실패: ' + error.message);
+                                return;
+                            }
+                            this.closeModal();
+                            this.reloadCalendar();
+                            this.showToast('선택한 버전으로 되돌렸습니다.');
+                        } : null);
+                    }
+                };
+            }
+        } else {
+            recurSection.classList.remove('hidden');
+
+            // Check if defaultDate is a holiday or weekend
+            const data = this.state.calendarData || { redDayMap: {} };
+            const isHoliday = defaultDate && data.redDayMap && data.redDayMap[defaultDate];
+            const isWeekend = defaultDate && ([0, 6].includes(new Date(defaultDate).getDay()));
+
+            if (isHoliday || isWeekend) {
+                includeHolidaysWrapper.classList.add('hidden');
+            } else {
+                includeHolidaysWrapper.classList.remove('hidden');
+            }
+
+            includeHolidaysCheck.checked = false; // Default: unchecked
+            if (defaultDate) {
+                startInput.value = defaultDate;
+                endInput.value = defaultDate;
+            } else {
+                startInput.value = new Date().toISOString().split('T')[0];
+                endInput.value = startInput.value;
+            }
+            // Init Repeat Options
+            repeatCheck.checked = false;
+            recurOptions.classList.add('hidden');
+
+            if (duplicateOf) {
+                template = (this.state.cache.schedules || []).find(s => String(s.id) === String(duplicateOf)) || null;
+                if (template) {
+                    document.getElementById('modal-title').textContent = '일정 복제';
+                    fillForm(template);
+                    includeHolidaysWrapper.classList.remove('hidden');
+                }
+            }
+        }
+
+        // Approval status / notice for department submissions
+        const approvalBanner = document.getElementById('approval-banner');
+        if (schedule && schedule.approval_status && schedule.approval_status !== 'approved') {
+            const isRejected = schedule.approval_status === 'rejected';
+            approvalBanner.className = `rounded border px-3 py-2 text-xs ${isRejected ? 'bg-red-50 border-red-200 text-red-700' : 'bg-amber-50 border-amber-200 text-amber-800'}`;
+            approvalBanner.innerHTML = isRejected
+                ? `<b>반려됨</b>${schedule.review_comment ? ` · ${this.escapeHtml(schedule.review_comment)}` : ''}<br>수정하여 저장하면 다시 승인을 요청합니다.`
+                : `<b>승인 대기 중</b> · 승인 전까지는 부서와 부장·관리자에게만 보입니다.`;
+        } else if (!schedule && this.state.role === 'dept' && await this.getApprovalRequired(this.getAcademicYear(startInput.value))) {
+            approvalBanner.className = 'rounded border px-3 py-2 text-xs bg-amber-50 border-amber-200 text-amber-800';
+            approvalBanner.textContent = '저장하면 승인 대기 상태로 등록되며, 부장·관리자 승인 후 전체에 공개됩니다.';
+        }
+
+        // Period options follow the academic year of the start date
+        const loadPeriodOptions = async () => {
+            const periods = await this.getPeriods(this.getAcademicYear(startInput.value));
+            const prevStart = startPeriodSelect.value || (template && template.start_period) || '';
+            const prevEnd = endPeriodSelect.value || (template && template.end_period) || '';
+            const options = periods.map(p =>
+                `<option value="${p.period}">${p.period}교시 (${p.start}~${p.end})</option>`
+            ).join('');
+            startPeriodSelect.innerHTML = options;
+            endPeriodSelect.innerHTML = options;
+            if (prevStart) startPeriodSelect.value = prevStart;
+            if (prevEnd) endPeriodSelect.value = prevEnd;
+            if (!endPeriodSelect.value) endPeriodSelect.value = startPeriodSelect.value;
+        };
+        loadPeriodOptions();
+
+        // Venues follow the academic year of the start date as well
+        const loadVenueOptions = async () => {
+            const venues = await this.fetchVenues(this.getAcademicYear(startInput.value));
+            const selected = venueSelect.value || (template && template.venue_id) || '';
+            venueSelect.innerHTML = '<option value="">(선택 안 함)</option>' +
+                venues.map(v => `<option value="${v.id}">${v.name}</option>`).join('');
+            venueSelect.value = venues.some(v => String(v.id) === String(selected)) ? selected : '';
+        };
+        loadVenueOptions();
+
+        // Co-hosting departments: any other department of the year (the owner is excluded)
+        const renderCoDepts = () => {
+            const selected = new Set(Array.from(coDeptBox.querySelectorAll('input:checked')).map(cb => cb.value));
+            if (!coDeptBox.dataset.ready && template) {
+                (template.co_dept_ids || []).forEach(id => selected.add(String(id)));
+                coDeptBox.dataset.ready = '1';
+            }
+            const options = (this.state.departments || []).filter(d => String(d.id) !== String(deptSelect.value));
+            coDeptBox.innerHTML = options.length === 0
+                ? `<span class="text-xs text-gray-400">선택할 수 있는 부서가 없습니다.</span>`
+                : options.map(d => `
+                    <label class="flex items-center gap-1 text-sm text-gray-700 cursor-pointer">
+                        <input type="checkbox" value="${d.id}" class="rounded text-purple-600 focus:ring-purple-500" ${selected.has(String(d.id)) ? 'checked' : ''}>
+                        ${d.dept_short || d.dept_name}
+                    </label>
+                `).join('');
+        };
+        renderCoDepts();
+        deptSelect.addEventListener('change', renderCoDepts);
+
+        // Target grades, each with optional classes ("3, 4" -> '1-3', '1-4')
+        const gradeBox = document.getElementById('sched-grades');
+        const templateGrades = (template && template.target_grades) || [];
+        const templateClasses = (template && template.target_classes) || [];
+        gradeBox.innerHTML = this.GRADES.map(g => {
+            const classes = templateClasses.filter(c => c.startsWith(`${g}-`)).map(c => c.split('-')[1]).join(', ');
+            const checked = templateGrades.map(Number).includes(g);
+            return `
+                <div class="flex items-center gap-2">
+                    <label class="flex items-center gap-1 text-sm text-gray-700 cursor-pointer w-16 shrink-0">
+                        <input type="checkbox" value="${g}" class="sched-grade rounded text-purple-600 focus:ring-purple-500" ${checked ? 'checked' : ''}>
+                        ${g}학년
+                    </label>
+                    <input type="text" data-grade="${g}" value="${classes}" placeholder="반 (예: 3, 4) · 비우면 전체 반"
+                        class="sched-grade-classes flex-grow min-w-0 border rounded px-2 py-1 text-xs focus:ring-2 focus:ring-purple-500 ${checked ? '' : 'hidden'}">
+                </div>
+            `;
+        }).join('');
+        gradeBox.querySelectorAll('.sched-grade').forEach(cb => {
+            cb.onchange = () => gradeBox.querySelector(`.sched-grade-classes[data-grade="${cb.value}"]`).classList.toggle('hidden', !cb.checked);
+        });
+
+        // Assignees: active users (plus anyone already assigned), checked ones first
+        const assigneeBox = document.getElementById('sched-assignees');
+        const assignedIds = new Set(((template && template.assignee_ids) || []).map(String));
+        const assignable = (await this.fetchAssignableUsers())
+            .filter(u => u.status === 'active' || assignedIds.has(String(u.user_id)))
+            .sort((a, b) => assignedIds.has(String(b.user_id)) - assignedIds.has(String(a.user_id)));
+        assigneeBox.innerHTML = assignable.length === 0
+            ? `<span class="text-xs text-gray-400">지정할 수 있는 사용자가 없습니다.</span>`
+            : assignable.map(u => `
+                <label class="flex items-center gap-1 text-sm text-gray-700 cursor-pointer" data-name="${this.escapeHtml(this.userDisplayName(u).toLowerCase())}">
+                    <input type="checkbox" value="${u.user_id}" class="rounded text-purple-600 focus:ring-purple-500" ${assignedIds.has(String(u.user_id)) ? 'checked' : ''}>
+                    ${this.escapeHtml(this.userDisplayName(u))}
+                </label>
+            `).join('');
+        document.getElementById('sched-assignee-search').oninput = (e) => {
+            const q = e.target.value.trim().toLowerCase();
+            assigneeBox.querySelectorAll('label').forEach(label => label.classList.toggle('hidden', !!q && !label.dataset.name.includes(q)));
+        };
+
+        // Attachments: uploaded right away for existing schedules, after the insert for new ones
+        let attachments = schedule ? [...(schedule.attachments || [])] : [];
+        // A duplicate links the source's files again (no re-upload)
+        let pendingFiles = (!eventId && template)
+            ? (template.attachments || []).map(a => ({ name: a.file_name, size: a.size, copyOf: a }))
+            : [];
+        const canManageFiles = this.canManageAttachments(schedule);
+        if (!canManageFiles) document.getElementById('attachment-add').classList.add('hidden');
+
+        const renderAttachments = () => this.renderAttachmentList(attachmentList, attachments, pendingFiles, {
+            canManage: canManageFiles,
+            onRemove: async (attachment) => {
+                if (!confirm(`'${attachment.file_name}' 파일을 삭제하시겠습니까?`)) return;
+                const { error } = await this.deleteAttachment(attachment);
+                if (error) {
+                    alert('첨부 파일 삭제 실패: ' + error.message);
+                    return;
+                }
+                this.logAction('DETACH', 'schedules', eventId, this.redactPrivate(schedule.visibility, { file: attachment.file_name }));
+                attachments = attachments.filter(a => a.id !== attachment.id);
+                if (schedule) schedule.attachments = attachments;
+                renderAttachments();
+            },
+            onRemovePending: (index) => {
+                pendingFiles.splice(index, 1);
+                renderAttachments();
+            }
+        });
+        renderAttachments();
+
+        attachmentInput.onchange = async () => {
+            const files = Array.from(attachmentInput.files || []);
+            attachmentInput.value = '';
+            const tooLarge = files.filter(f => f.size > this.ATTACHMENT_MAX_SIZE);
+            if (tooLarge.length > 0) {
+                alert(`파일당 최대 ${this.formatFileSize(this.ATTACHMENT_MAX_SIZE)}까지 첨부할 수 있습니다.\n(${tooLarge.map(f => f.name).join(', ')})`);
+            }
+            const accepted = files.filter(f => f.size <= this.ATTACHMENT_MAX_SIZE);
+            if (accepted.length === 0) return;
+
+            if (!eventId) {
+                pendingFiles.push(...accepted);
+                renderAttachments();
+                return;
+            }
+
+            attachmentList.insertAdjacentHTML('beforeend', `<li class="text-xs text-gray-400">업로드 중...</li>`);
+            const { data, error } = await this.uploadAttachments([eventId], accepted);
+            if (error) {
+                console.error(error);
+                alert('첨부 파일 업로드 실패: ' + error.message);
+            } else {
+                this.logAction('ATTACH', 'schedules', eventId, this.redactPrivate(schedule.visibility, { files: accepted.map(f => f.name) }));
+                attachments = attachments.concat(data);
+                if (schedule) schedule.attachments = attachments;
+            }
+            renderAttachments();
+        };
+
+        // Preparation tasks: saved with the schedule; a duplicate starts from the source's tasks (not done)
+        const taskList = document.getElementById('task-list');
+        const canManageTasks = this.canManageTasks(schedule);
+        const sourceTasks = (template && template.id) ? await this.fetchScheduleTasks([template.id]) : [];
+        const originalTaskIds = schedule ? sourceTasks.map(t => t.id) : [];
+        const tasks = schedule
+            ? sourceTasks
+            : sourceTasks.map(t => ({ title: t.title, dept_id: t.dept_id, dept_name: t.dept_name, offset_days: t.offset_days, done: false }));
+        let taskDepts = [];
+        // Owner departments follow the academic year of the start date (new tasks are matched by name)
+        const loadTaskDepts = async () => {
+            taskDepts = await this.fetchDepartments(this.getAcademicYear(startInput.value));
+            if (!schedule) {
+                tasks.forEach(t => {
+                    if (taskDepts.some(d => String(d.id) === String(t.dept_id))) return;
+                    const dept = taskDepts.find(d => (d.dept_name || '').trim() === (t.dept_name || '').trim());
+                    t.dept_id = dept ? dept.id : null;
+                });
+            }
+            this.renderTaskEditor(taskList, tasks, { departments: taskDepts, schedule, canManage: canManageTasks });
+        };
+        await loadTaskDepts();
+        startInput.addEventListener('change', loadTaskDepts);
+
+        const btnAddTask = document.getElementById('btn-add-task');
+        if (!canManageTasks) btnAddTask.classList.add('hidden');
+        btnAddTask.onclick = () => {
+            const owner = taskDepts.find(d => String(d.id) === String(deptSelect.value));
+            tasks.push({ title: '', dept_id: owner ? owner.id : null, dept_name: owner ? owner.dept_name : null, offset_days: 7, done: false });
+            this.renderTaskEditor(taskList, tasks, { departments: taskDepts, schedule, canManage: canManageTasks });
+            const inputs = taskList.querySelectorAll('.task-title');
+            inputs[inputs.length - 1].focus();
+        };
+
+        timeModeRadios.forEach(radio => {
+            radio.onchange = () => this.setTimeMode(radio.value);
+        });
+        startPeriodSelect.onchange = () => {
+            if (parseInt(endPeriodSelect.value) < parseInt(startPeriodSelect.value)) endPeriodSelect.value = startPeriodSelect.value;
+        };
+        startInput.addEventListener('change', loadPeriodOptions);
+        startInput.addEventListener('change', loadVenueOptions);
+
+        // Any edit invalidates a shown conflict report
+        form.addEventListener('input', (e) => {
+            if (conflictReport.classList.contains('hidden') || e.target.closest('#comment-section')) return;
+            conflictAcknowledged = false;
+            this.renderConflictReport(conflictReport, [], false);
+            const btnSave = document.getElementById('btn-save');
+            btnSave.disabled = false;
+            btnSave.textContent = '저장';
+        });
+
+        // 6. Event Listeners
+        document.getElementById('btn-modal-close').onclick = () => this.closeModal();
+        document.getElementById('btn-cancel').onclick = () => this.closeModal();
+
+        repeatCheck.onchange = () => {
+            if (repeatCheck.checked) {
+                recurOptions.classList.remove('hidden');
+                if (!rUntil.value) {
+                    // Default until: 1 month later
+                    const d = this.parseLocal(startInput.value);
+                    d.setMonth(d.getMonth() + 1);
+                    rUntil.value = this.formatLocal(d);
+                }
+                this.initRecurrenceDefaults(startInput.value);
+                this.syncRecurrenceOptions(startInput.value);
+            } else {
+                recurOptions.classList.add('hidden');
+            }
+        };
+
+        // Any change to the rule (or the start date) refreshes the preview
+        recurOptions.querySelectorAll('input, select').forEach(el => {
+            el.addEventListener('change', () => this.syncRecurrenceOptions(startInput.value));
+        });
+        rInterval.addEventListener('input', () => this.syncRecurrenceOptions(startInput.value));
+        rCount.addEventListener('input', () => this.syncRecurrenceOptions(startInput.value));
+        startInput.addEventListener('change', () => {
+            if (repeatCheck.checked) this.syncRecurrenceOptions(startInput.value);
+        });
+
+        // Only the author can make a schedule personal (RLS rejects it for anyone else)
+        const privateOpt = visSelect.querySelector('option[value="private"]');
+        if (privateOpt) privateOpt.disabled = !!schedule && !this.isOwnSchedule(schedule);
+
+        visSelect.onchange = () => {
+            const hints = {
+                'public': '모두에게 공개합니다.',
+                'internal': '교직원에게만 공개됩니다.',
+                'dept': '소속 부서원만 볼 수 있습니다.',
+                'private': '나에게만 보이는 개인 일정입니다. 관리자에게도 보이지 않으며 인쇄되지 않습니다.'
+            };
+            visHint.textContent = hints[visSelect.value] || '';
+            // RSVPs are for staff events only
+            document.getElementById('rsvp-wrapper').classList.toggle('hidden', visSelect.value !== 'internal');
+        };
+        visSelect.onchange();
+
+        btnDelete.onclick = async () => {
+            const scope = (schedule && schedule.series_id) ? this.getSeriesScope() : 'this';
+            const scopeLabels = {
+                'this': '',
+                'following': '\n(이 일정 및 이후의 반복 일정이 모두 삭제됩니다.)',
+                'all': '\n(모든 반복 일정이 삭제됩니다.)'
+            };
+            if (confirm('일정을 휴지통으로 이동하시겠습니까?' + scopeLabels[scope])) {
+                // Soft delete: rows stay in the trash until restored or purged
+                let result;
+                if (scope === 'this') {
+                    result = await window.SupabaseClient.supabase
+                        .from('schedules')
+                        .update(this.getTrashMark())
+                        .eq('id', document.getElementById('schedule-id').value)
+                        .select('id');
+                } else {
+                    result = await this.trashScheduleSeries(schedule, scope);
+                }
+
+                if (result.error) {
+                    alert('삭제 실패: ' + result.error.message);
+                } else if (!result.data || result.data.length === 0) {
+                    alert('삭제 실패: 삭제 권한이 없습니다.');
+                } else {
+                    const ids = result.data.map(r => r.id);
+                    if (scope === 'this') {
+                        this.logAction('DELETE', 'schedules', ids[0], this.redactPrivate(schedule.visibility, { title: titleInput.value, trash: true }));
+                    } else {
+                        this.logAction('RECUR_DELETE', 'schedules', schedule.series_id, this.redactPrivate(schedule.visibility, { series_id: schedule.series_id, scope, from: schedule.start_date, title: titleInput.value, count: ids.length, trash: true }));
+                    }
+                    this.closeModal();
+                    this.reloadCalendar();
+                    this.showToast('휴지통으로 이동했습니다.', {
+                        actionLabel: '되돌리기',
+                        onAction: async () => {
+                            const { error } = await this.restoreSchedules(ids);
+                            if (error) alert('복원 실패: ' + error.message);
+                            else this.reloadCalendar();
+                        }
+                    });
+                }
+            }
+        };
+
+        // Assigned (but not the author): everything except the description is read-only
+        const assigneeOnly = !readOnly && !!schedule && this.isAssignedToMe(schedule) && !this.isOwnSchedule(schedule) && this.state.role !== 'admin';
+        if (assigneeOnly || readOnly) {
+            const banner = document.getElementById('access-banner');
+            banner.textContent = readOnly
+                ? '열람 전용입니다. 댓글과 참석 응답만 남길 수 있습니다.'
+                : '담당자로 지정된 일정입니다. 상세 내용만 수정할 수 있습니다.';
+            banner.classList.remove('hidden');
+            form.querySelectorAll('input, select, textarea').forEach(el => {
+                if (assigneeOnly && el === descInput) return;
+                if (el.type !== 'hidden' && !el.classList.contains('task-done') && !el.closest('#comment-section')) el.disabled = true;
+            });
+            ['btn-delete', 'btn-duplicate', 'series-section', 'attachment-add'].forEach(id => document.getElementById(id).classList.add('hidden'));
+            canRevertVersions = false;
+            if (readOnly) {
+                document.getElementById('modal-title').textContent = '일정 보기';
+                ['btn-save', 'history-section'].forEach(id => document.getElementById(id).classList.add('hidden'));
+            }
+        }
+
+        // Comments: posted right away, independent of the form
+        if (schedule) {
+            const commentInput = document.getElementById('comment-input');
+            document.getElementById('comment-section').classList.remove('hidden');
+            this.renderCommentThread(eventId, schedule);
+            document.getElementById('btn-comment-add').onclick = async () => {
+                const body = commentInput.value.trim();
+                if (!body) return;
+                const { error, id } = await this.addComment(eventId, body);
+                if (error) {
+                    alert('댓글 등록 실패: ' + error.message);
+                    return;
+                }
+                this.logAction('COMMENT', 'schedule_comments', id, this.redactPrivate(schedule.visibility, { schedule_id: eventId, title: schedule.title }));
+                commentInput.value = '';
+                this.renderCommentThread(eventId, schedule);
+            };
+        }
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            if (readOnly) return;
+
+            const scheduleId = document.getElementById('schedule-id').value;
+            if (assigneeOnly) {
+                const { error } = await this.updateAssignedDescription(scheduleId, descInput.value);
+                if (error) {
+                    alert('저장 실패: ' + error.message);
+                    return;
+                }
+                this.logAction('UPDATE', 'schedules', scheduleId, this.redactPrivate(schedule.visibility, { title: schedule.title, description_only: true }));
+                this.closeModal();
+                this.state.cache.schedules = null;
+                if (this.state.viewMode === 'my_duties') this.renderMyDuties();
+                else if (this.state.viewMode === 'tasks') this.renderTaskDashboard();
+                else this.reloadCalendar();
+                return;
+            }
+            const selectedDeptOption = deptSelect.options[deptSelect.selectedIndex];
+            const deptName = selectedDeptOption ? selectedDeptOption.text : '';
+
+            const baseData = {
+                title: titleInput.value,
+                dept_id: deptSelect.value,
+                dept_name: deptName, // Store name for recovery
+                visibility: visSelect.value,
+                description: descInput.value,
+                is_printable: printCheck.checked,
+                weekend: includeHolidaysCheck.checked ? 'on' : null,
+                venue_id: venueSelect.value ? parseInt(venueSelect.value) : null,
+                co_dept_ids: Array.from(coDeptBox.querySelectorAll('input:checked')).map(cb => parseInt(cb.value)),
+                ...this.readTargetGrades(),
+                assignee_ids: Array.from(assigneeBox.querySelectorAll('input:checked')).map(cb => cb.value),
+                rsvp_enabled: visSelect.value === 'internal' && rsvpCheck.checked,
+                // Edits (e.g. by an admin or approver) never take the schedule over from its author
+                ...(scheduleId ? {} : { author_id: this.state.user.id })
+            };
+
+            const startDateStr = startInput.value;
+            const endDateStr = endInput.value;
+
+            // Time / Period (all-day clears every field)
+            const timeFields = await this.readScheduleTime(startDateStr);
+            if (timeFields.error) {
+                alert(timeFields.error);
+                return;
+            }
+            delete timeFields.error;
+            if (startDateStr === endDateStr && timeFields.start_time && timeFields.end_time && timeFields.end_time < timeFields.start_time) {
+                alert('종료 시각은 시작 시각 이후여야 합니다.');
+                return;
+            }
+            Object.assign(baseData, timeFields);
+
+            // Recurrence Generation
+            const isRecurring = !scheduleId && repeatCheck.checked;
+
+            const btnSave = document.getElementById('btn-save');
+            btnSave.disabled = true;
+            btnSave.textContent = isRecurring ? '반복 일정 생성 중...' : '저장 중...';
+
+            let batchData = [];
+            let seriesRule = null;
+
+            if (isRecurring) {
+                seriesRule = this.readRecurrenceRule(startDateStr);
+
+                if (seriesRule.until !== undefined && (!seriesRule.until || seriesRule.until <= startDateStr)) {
+                    alert('반복 종료일은 시작일 이후여야 합니다.');
+                    btnSave.disabled = false;
+                    btnSave.textContent = '저장';
+                    return;
+                }
+
+                const { dates, results } = await this.resolveRecurrence(startDateStr, seriesRule);
+                if (dates.length === 0) {
+                    alert('반복 조건에 해당하는 날짜가 없습니다. 반복 설정을 확인해주세요.');
+                    btnSave.disabled = false;
+                    btnSave.textContent = '저장';
+                    return;
+                }
+                const unplaced = results.filter(r => r.status === 'unplaced');
+                if (unplaced.length > 0 && !confirm(`${unplaced.length}건은 옮길 수업일이 없어 생성되지 않습니다. (${unplaced.map(r => r.original).join(', ')})\n나머지 ${dates.length}건만 저장하시겠습니까?`)) {
+                    btnSave.disabled = false;
+                    btnSave.textContent = '저장';
+                    return;
+                }
+
+                // Every occurrence keeps the duration of the original range
+                const duration = this.diffDays(startDateStr, endDateStr);
+                batchData = dates.map(d => ({
+                    ...baseData,
+                    start_date: d,
+                    end_date: this.shiftDateStr(d, duration)
+                }));
+
+                // Tag every occurrence with the same series so it can be edited as a whole later
+                const seriesId = crypto.randomUUID();
+                batchData = batchData.map(row => ({ ...row, series_id: seriesId, recurrence_rule: seriesRule }));
+
+            } else {
+                batchData.push({
+                    ...baseData,
+                    start_date: startDateStr,
+                    end_date: endDateStr
+                });
+            }
+
+            const scope = (scheduleId && schedule && schedule.series_id) ? this.getSeriesScope() : 'this';
+
+            // Conflict check (exam/vacation periods, overlapping timed schedules)
+            if (!conflictAcknowledged) {
+                let ignoreIds = scheduleId ? [scheduleId] : [];
+                if (scope !== 'this') {
+                    const { data: seriesRows } = await this.fetchSeriesRows(schedule, scope);
+                    ignoreIds = ignoreIds.concat((seriesRows || []).map(r => r.id));
+                }
+                const conflicts = await this.findScheduleConflicts(batchData, { ignoreIds });
+                if (conflicts.length > 0) {
+                    const policy = await this.getConflictPolicy(this.getAcademicYear(startDateStr));
+                    const blocked = policy === 'block' && this.state.role !== 'admin';
+                    this.renderConflictReport(conflictReport, conflicts, blocked);
+                    conflictReport.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+                    btnSave.disabled = blocked;
+                    btnSave.textContent = blocked ? '저장 불가' : '충돌 무시하고 저장';
+                    conflictAcknowledged = !blocked;
+                    return;
+                }
+            }
+
+            let result;
+            if (scheduleId && scope !== 'this') {
+                // UPDATE (Series: this & following / all)
+                result = await this.updateScheduleSeries(schedule, batchData[0], scope);
+            } else if (scheduleId) {
+                // UPDATE (Single); an occurrence edited on its own leaves its series
+                const detach = (schedule && schedule.series_id) ? { series_id: null, recurrence_rule: null } : {};
+                result = await window.SupabaseClient.supabase
+                    .from('schedules')
+                    .update({ ...batchData[0], ...detach })
+                    .eq('id', scheduleId)
+                    .select();
+            } else {
+                // INSERT (Maybe Batch)
+                result = await window.SupabaseClient.supabase
+                    .from('schedules')
+                    .insert(batchData)
+                    .select();
+            }
+
+            if (result.error) {
+                console.error(result.error);
+                alert('저장 실패: ' + result.error.message);
+                btnSave.disabled = false;
+                btnSave.textContent = '저장';
+            } else {
+                const action = scheduleId ? 'UPDATE' : 'INSERT';
+                // Log only first ID or special bulk log (series are logged by their series id)
+                if (isRecurring) {
+                    const seriesId = batchData[0].series_id;
+                    this.logAction('RECUR_INSERT', 'schedules', seriesId, this.redactPrivate(baseData.visibility, { series_id: seriesId, rule: seriesRule, count: batchData.length, title: baseData.title }));
+                } else if (scope !== 'this') {
+                    this.logAction('RECUR_UPDATE', 'schedules', schedule.series_id, this.redactPrivate(baseData.visibility, { series_id: schedule.series_id, scope, count: (result.data || []).length, title: baseData.title, dept: baseData.dept_id }));
+                } else {
+                    const id = scheduleId || result.data[0].id;
+                    this.logAction(action, 'schedules', id, this.redactPrivate(baseData.visibility, { title: baseData.title, dept: baseData.dept_id, ...(template && !scheduleId ? { duplicate_of: template.id } : {}) }));
+                }
+
+                if (!scheduleId && pendingFiles.length > 0) {
+                    btnSave.textContent = '첨부 파일 업로드 중...';
+                    const ids = result.data.map(r => r.id);
+                    const newFiles = pendingFiles.filter(f => !f.copyOf);
+                    const copies = pendingFiles.filter(f => f.copyOf).map(f => f.copyOf);
+                    const { error: fileErr } = newFiles.length > 0 ? await this.uploadAttachments(ids, newFiles) : { error: null };
+                    const { error: copyErr } = copies.length > 0 ? await this.linkAttachments(ids, copies) : { error: null };
+                    if (fileErr || copyErr) {
+                        console.error(fileErr || copyErr);
+                        alert('일정은 저장되었지만 첨부 파일 저장에 실패했습니다: ' + (fileErr || copyErr).message);
+                    } else {
+                        this.logAction('ATTACH', 'schedules', ids[0], this.redactPrivate(baseData.visibility, { files: pendingFiles.map(f => f.name), count: ids.length }));
+                    }
+                }
+
+                // Tasks: copied to every new occurrence; an edit applies to the opened occurrence only
+                const { error: taskErr } = !scheduleId
+                    ? await this.insertScheduleTasks(result.data.map(r => r.id), tasks)
+                    : (canManageTasks ? await this.syncScheduleTasks(scheduleId, tasks, originalTaskIds) : { error: null });
+                if (taskErr) {
+                    console.error(taskErr);
+                    alert('일정은 저장되었지만 준비 업무 저장에 실패했습니다: ' + taskErr.message);
+                }
+
+                this.state.cache.schedules = null;
+                this.closeModal();
+                if (this.state.viewMode === 'my_duties') this.renderMyDuties();
+                else if (this.state.viewMode === 'tasks') this.renderTaskDashboard();
+                else this.initCalendar();
+                if ((result.data || []).some(r => r.approval_status === 'pending')) {
+                    this.showToast('승인 대기 중입니다. 승인 후 전체 일정에 공개됩니다.');
+                }
+            }
+        };
+    },
+
+    // --- Schedule Time / Periods ---
+
+    getAcademicYear: function (dateStr) {
+        const d = dateStr ? this.parseLocal(dateStr) : new Date();
+        return d.getMonth() + 1 < 3 ? d.getFullYear() - 1 : d.getFullYear();
+    },
+
+    // First and last day of an academic year (March 1 through the end of February)
+    getAcademicYearRange: function (academicYear) {
+        const ay = parseInt(academicYear);
+        return { start: `${ay}-03-01`, end: this.formatLocal(new Date(ay + 1, 2, 0)) };
+    },
+
+    // 교시 시간표 of an academic year (falls back to DEFAULT_PERIODS)
+    getPeriods: async function (academicYear) {
+        if (this.state.cache.periods[academicYear]) return this.state.cache.periods[academicYear];
+
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('settings')
+            .select('periods')
+            .eq('academic_year', academicYear)
+            .limit(1);
+        if (error) console.error('Error fetching periods:', error);
+
+        const periods = (data && data[0] && data[0].periods && data[0].periods.length) ? data[0].periods : this.DEFAULT_PERIODS;
+        this.state.cache.periods[academicYear] = periods;
+        return periods;
+    },
+
+    setTimeMode: function (mode) {
+        const radio = document.querySelector(`input[name="sched-time-mode"][value="${mode}"]`);
+        if (radio) radio.checked = true;
+        document.getElementById('time-inputs').classList.toggle('hidden', mode !== 'time');
+        document.getElementById('period-inputs').classList.toggle('hidden', mode !== 'period');
+    },
+
+    // Columns written to schedules for the selected time mode
+    readScheduleTime: async function (startDateStr) {
+        const checked = document.querySelector('input[name="sched-time-mode"]:checked');
+        const mode = checked ? checked.value : 'allday';
+        const fields = { start_time: null, end_time: null, start_period: null, end_period: null, error: null };
+
+        if (mode === 'time') {
+            fields.start_time = document.getElementById('sched-start-time').value || null;
+            fields.end_time = document.getElementById('sched-end-time').value || null;
+            if (!fields.start_time) fields.error = '시작 시각을 입력해주세요.';
+        } else if (mode === 'period') {
+            const startPeriod = parseInt(document.getElementById('sched-start-period').value);
+            const endPeriod = parseInt(document.getElementById('sched-end-period').value) || startPeriod;
+            if (!startPeriod) {
+                fields.error = '교시를 선택해주세요.';
+            } else if (endPeriod < startPeriod) {
+                fields.error = '종료 교시는 시작 교시 이후여야 합니다.';
+            } else {
+                // Clock times are stored alongside so every view can sort by time alone
+                const periods = await this.getPeriods(this.getAcademicYear(startDateStr));
+                const first = periods.find(p => Number(p.period) === startPeriod);
+                const last = periods.find(p => Number(p.period) === endPeriod);
+                fields.start_period = startPeriod;
+                fields.end_period = endPeriod;
+                fields.start_time = first ? first.start : null;
+                fields.end_time = last ? last.end : null;
+            }
+        }
+        return fields;
+    },
+
+    // "15:30:00" -> "15:30"
+    formatTime: function (t) {
+        return t ? String(t).substring(0, 5) : '';
+    },
+
+    // Short label shown before the title: "5교시", "3~4교시", "15:30", "15:30~16:30" ('' for all-day)
+    formatScheduleTime: function (s) {
+        if (!s) return '';
+        if (s.start_period) {
+            return (s.end_period && s.end_period !== s.start_period)
+                ? `${s.start_period}~${s.end_period}교시`
+                : `${s.start_period}교시`;
+        }
+        if (s.start_time) {
+            const start = this.formatTime(s.start_time);
+            const end = this.formatTime(s.end_time);
+            return end && end !== start ? `${start}~${end}` : start;
+        }
+        return '';
+    },
+
+    // All-day first, then by start time (stable for equal keys)
+    compareScheduleTime: function (a, b) {
+        const ta = (a && a.start_time) ? this.formatTime(a.start_time) : '';
+        const tb = (b && b.start_time) ? this.formatTime(b.start_time) : '';
+        return ta.localeCompare(tb);
+    },
+
+    // --- Conflict Detection ---
+
+    // 'warn' (confirm and continue) or 'block' (refuse to save), per academic year
+    getConflictPolicy: async function (academicYear) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('settings')
+            .select('conflict_policy')
+            .eq('academic_year', academicYear)
+            .limit(1);
+        if (error) console.error('Error fetching conflict policy:', error);
+        return (data && data[0] && data[0].conflict_policy) || 'warn';
+    },
+
+    // Checks rows about to be saved against exam/vacation periods, existing schedules and each other.
+    // ignoreIds: rows being edited (they must not conflict with themselves)
+    // extraBasics: basic_schedules not saved yet (e.g. exam periods in the same Excel import)
+    findScheduleConflicts: async function (rows, { ignoreIds = [], extraBasics = [] } = {}) {
+        const candidates = rows.filter(r => r.start_date);
+        if (candidates.length === 0) return [];
+
+        const minStart = candidates.reduce((m, r) => r.start_date < m ? r.start_date : m, candidates[0].start_date);
+        const maxEnd = candidates.reduce((m, r) => (r.end_date || r.start_date) > m ? (r.end_date || r.start_date) : m, candidates[0].end_date || candidates[0].start_date);
+
+        const { rows: basics } = await this.loadBasicSchedules(minStart, maxEnd);
+        const blockers = basics.concat(extraBasics).filter(b => b.type === 'exam' || b.type === 'vacation' || /^EXAM_|_VAC$/.test(b.code || ''));
+
+        const { data: existing, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .select('*')
+            .is('deleted_at', null)
+            .lte('start_date', maxEnd)
+            .gte('end_date', minStart);
+        if (error) console.error('Error fetching schedules for conflict check:', error);
+
+        const ignored = new Set(ignoreIds.map(String));
+        const others = (existing || []).filter(s => !ignored.has(String(s.id)));
+
+        const rangeOf = (r) => [r.start_date, r.end_date || r.start_date];
+        const datesOverlap = (a, b) => {
+            const [aS, aE] = rangeOf(a);
+            const [bS, bE] = rangeOf(b);
+            return aS <= bE && bS <= aE;
+        };
+        // Only timed schedules book a slot; all-day items never collide with each other
+        const timesOverlap = (a, b) => {
+            if (!a.start_time || !b.start_time) return false;
+            const aS = this.formatTime(a.start_time), aE = this.formatTime(a.end_time) || aS;
+            const bS = this.formatTime(b.start_time), bE = this.formatTime(b.end_time) || bS;
+            return (aS < bE && bS < aE) || aS === bS;
+        };
+        const deptLabel = (r) => {
+            const dept = (this.state.departments || []).find(d => String(d.id) === String(r.dept_id));
+            return dept ? dept.dept_name : (r.dept_name || '기타');
+        };
+        const venueNames = {};
+        const venueYears = [...new Set(candidates.filter(r => r.venue_id).map(r => this.getAcademicYear(r.start_date)))];
+        for (const ay of venueYears) {
+            (await this.fetchVenues(ay)).forEach(v => { venueNames[String(v.id)] = v.name; });
+        }
+        const venueLabel = (r) => venueNames[String(r.venue_id)] || '장소';
+        const when = (r) => {
+            const [st, en] = rangeOf(r);
+            const time = this.formatScheduleTime(r);
+            return (st === en ? st : `${st}~${en}`) + (time ? ` ${time}` : '');
+        };
+
+        const conflicts = [];
+        candidates.forEach((row, idx) => {
+            blockers.filter(b => datesOverlap(row, b)).forEach(b => {
+                const isExam = b.type === 'exam' || /^EXAM_/.test(b.code || '');
+                conflicts.push({
+                    row,
+                    type: isExam ? 'exam' : 'vacation',
+                    message: `'${row.title}' (${when(row)}) — ${isExam ? '지필평가' : '방학'} 기간 '${b.name}' (${when(b)})과 겹칩니다.`
+                });
+            });
+
+            // Same venue on overlapping dates (timed bookings only clash when their times overlap too)
+            const venueClash = (o) => row.venue_id && String(o.venue_id) === String(row.venue_id) && datesOverlap(row, o) &&
+                (!row.start_time || !o.start_time || timesOverlap(row, o));
+            others.filter(venueClash).forEach(o => {
+                conflicts.push({
+                    row,
+                    type: 'venue',
+                    message: `'${row.title}' (${when(row)}) — ${venueLabel(row)}은(는) ${deptLabel(o)}의 '${o.title}' (${when(o)})로 이미 예약되어 있습니다.`
+                });
+            });
+            candidates.slice(idx + 1).filter(venueClash).forEach(o => {
+                conflicts.push({
+                    row,
+                    type: 'venue',
+                    message: `'${row.title}' (${when(row)}) — 함께 등록하는 '${o.title}' (${when(o)})과 ${venueLabel(row)}이(가) 겹칩니다.`
+                });
+            });
+
+            others.filter(o => datesOverlap(row, o) && timesOverlap(row, o) && !venueClash(o)).forEach(o => {
+                conflicts.push({
+                    row,
+                    type: 'schedule',
+                    message: `'${row.title}' (${when(row)}) — ${deptLabel(o)}의 '${o.title}' (${when(o)})과 시간이 겹칩니다.`
+                });
+            });
+
+            candidates.slice(idx + 1).filter(o => datesOverlap(row, o) && timesOverlap(row, o) && !venueClash(o)).forEach(o => {
+                conflicts.push({
+                    row,
+                    type: 'batch',
+                    message: `'${row.title}' (${when(row)}) — 함께 등록하는 '${o.title}' (${when(o)})과 시간이 겹칩니다.`
+                });
+            });
+        });
+        return conflicts;
+    },
+
+    renderConflictReport: function (container, conflicts, blocked) {
+        if (!container) return;
+        if (conflicts.length === 0) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        const icons = { exam: '📝', vacation: '🏖️', schedule: '⏰', batch: '⏰', venue: '🏫' };
+        const shown = conflicts.slice(0, 20);
+        container.classList.remove('hidden');
+        container.innerHTML = `
+            <p class="font-bold mb-1 ${blocked ? 'text-red-700' : 'text-orange-700'}">
+                ${blocked ? '⛔ 일정 충돌로 저장할 수 없습니다.' : '⚠️ 일정 충돌이 있습니다.'} (${conflicts.length}건)
+            </p>
+            <ul class="space-y-0.5">
+                ${shown.map(c => `<li>${icons[c.type]} ${c.message}</li>`).join('')}
+                ${conflicts.length > shown.length ? `<li>… 외 ${conflicts.length - shown.length}건</li>` : ''}
+            </ul>
+        `;
+    },
+
+    // --- Schedule Attachments ---
+
+    canManageAttachments: function (schedule) {
+        if (!this.state.user) return false;
+        if (!schedule || this.state.role === 'admin') return true;
+        return String(schedule.author_id) === String(this.state.user.id);
+    },
+
+    escapeHtml: function (text) {
+        return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    },
+
+    formatFileSize: function (bytes) {
+        if (!bytes && bytes !== 0) return '';
+        if (bytes < 1024) return `${bytes}B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)}KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    },
+
+    buildAttachmentPath: function (scheduleId, fileName) {
+        // Storage keys must be ASCII; the original (Korean) name is kept in schedule_attachments
+        const match = /\.([A-Za-z0-9]{1,10})$/.exec(fileName || '');
+        const ext = match ? '.' + match[1].toLowerCase() : '';
+        return `${scheduleId}/${crypto.randomUUID()}${ext}`;
+    },
+
+    // Uploads each file once (under the first schedule) and links it to every given schedule
+    uploadAttachments: async function (scheduleIds, files) {
+        const storage = window.SupabaseClient.supabase.storage.from(this.ATTACHMENT_BUCKET);
+        const rows = [];
+
+        for (const file of files) {
+            const path = this.buildAttachmentPath(scheduleIds[0], file.name);
+            const { error: upErr } = await storage.upload(path, file, {
+                contentType: file.type || 'application/octet-stream',
+                upsert: false
+            });
+            if (upErr) {
+                if (rows.length > 0) await storage.remove([...new Set(rows.map(r => r.file_path))]);
+                return { data: null, error: upErr };
+            }
+
+            scheduleIds.forEach(id => rows.push({
+                schedule_id: id,
+                file_name: file.name,
+                file_path: path,
+                mime_type: file.type || null,
+                size: file.size,
+                uploaded_by: this.state.user.id
+            }));
+        }
+
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedule_attachments')
+            .insert(rows)
+            .select();
+
+        if (error) {
+            // Don't leave unreferenced files behind
+            await storage.remove([...new Set(rows.map(r => r.file_path))]);
+            return { data: null, error };
+        }
+        return { data, error: null };
+    },
+
+    // Links already uploaded files to more schedules (duplicates share the storage object)
+    linkAttachments: async function (scheduleIds, attachments) {
+        const rows = [];
+        scheduleIds.forEach(id => attachments.forEach(a => rows.push({
+            schedule_id: id,
+            file_name: a.file_name,
+            file_path: a.file_path,
+            mime_type: a.mime_type,
+            size: a.size,
+            uploaded_by: this.state.user.id
+        })));
+
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedule_attachments')
+            .insert(rows)
+            .select();
+        return { data, error };
+    },
+
+    downloadAttachment: async function (attachment) {
+        const { data, error } = await window.SupabaseClient.supabase.storage
+            .from(this.ATTACHMENT_BUCKET)
+            .createSignedUrl(attachment.file_path, 60, { download: attachment.file_name });
+
+        if (error) {
+            console.error('Attachment download failed:', error);
+            alert('파일을 열 수 없습니다: ' + error.message);
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = data.signedUrl;
+        link.rel = 'noopener';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    },
+
+    // The DB queues the file and removes it once no other schedule shares it (purge_attachment_files)
+    deleteAttachment: async function (attachment) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedule_attachments')
+            .delete()
+            .eq('id', attachment.id)
+            .select();
+
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '삭제 권한이 없습니다.' } };
+        return { error: null };
+    },
+
+    renderAttachmentList: function (listEl, attachments, pendingFiles, { canManage = false, onRemove = null, onRemovePending = null } = {}) {
+        if (attachments.length === 0 && pendingFiles.length === 0) {
+            listEl.innerHTML = `<li class="text-xs text-gray-400">첨부된 파일이 없습니다.</li>`;
+            return;
+        }
+
+        const removeBtn = (attr) => canManage
+            ? `<button type="button" ${attr} class="text-gray-400 hover:text-red-500" title="삭제"><span class="material-symbols-outlined text-sm align-middle">close</span></button>`
+            : '';
+
+        listEl.innerHTML = attachments.map((a, i) => `
+            <li class="flex items-center justify-between gap-2 bg-gray-50 rounded px-2 py-1">
+                <button type="button" data-attachment-index="${i}" class="flex items-center gap-1 text-purple-700 hover:underline truncate text-left">
+                    <span class="material-symbols-outlined text-sm">description</span>
+                    <span class="truncate">${this.escapeHtml(a.file_name)}</span>
+                    <span class="text-[10px] text-gray-400 shrink-0">${this.formatFileSize(a.size)}</span>
+                </button>
+                ${removeBtn(`data-remove-index="${i}"`)}
+            </li>
+        `).join('') + pendingFiles.map((f, i) => `
+            <li class="flex items-center justify-between gap-2 bg-yellow-50 rounded px-2 py-1">
+                <span class="flex items-center gap-1 text-gray-600 truncate">
+                    <span class="material-symbols-outlined text-sm">upload_file</span>
+                    <span class="truncate">${this.escapeHtml(f.name)}</span>
+                    <span class="text-[10px] text-gray-400 shrink-0">${this.formatFileSize(f.size)} · 저장 시 첨부</span>
+                </span>
+                ${removeBtn(`data-pending-index="${i}"`)}
+            </li>
+        `).join('');
+
+        listEl.querySelectorAll('[data-attachment-index]').forEach(btn => {
+            btn.onclick = () => this.downloadAttachment(attachments[btn.dataset.attachmentIndex]);
+        });
+        listEl.querySelectorAll('[data-remove-index]').forEach(btn => {
+            btn.onclick = () => onRemove && onRemove(attachments[btn.dataset.removeIndex]);
+        });
+        listEl.querySelectorAll('[data-pending-index]').forEach(btn => {
+            btn.onclick = () => onRemovePending && onRemovePending(parseInt(btn.dataset.pendingIndex));
+        });
+    },
+
+    // --- Version History ---
+
+    // Fields shown in diffs and restored on revert (series/ownership/trash columns are left alone)
+    VERSION_FIELDS: {
+        title: '일정명',
+        start_date: '시작일',
+        end_date: '종료일',
+        start_time: '시작 시각',
+        end_time: '종료 시각',
+        start_period: '시작 교시',
+        end_period: '종료 교시',
+        dept_id: '담당 부서',
+        co_dept_ids: '공동 주관 부서',
+        target_grades: '대상 학년',
+        target_classes: '대상 반',
+        venue_id: '장소',
+        assignee_ids: '담당자',
+        visibility: '공개 범위',
+        rsvp_enabled: '참석 응답',
+        description: '상세 내용',
+        is_printable: '인쇄 포함',
+        weekend: '휴일 포함'
+    },
+
+    fetchRowVersions: async function (tableName, rowId) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('row_versions')
+            .select('*')
+            .eq('table_name', tableName)
+            .eq('row_id', rowId)
+            .order('changed_at', { ascending: false })
+            .limit(50);
+        return { data: data || [], error };
+    },
+
+    formatVersionValue: function (field, value) {
+        if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return '(없음)';
+
+        const deptName = (id) => {
+            const d = (this.state.allDepartmentsCached || this.state.departments || []).find(x => String(x.id) === String(id));
+            return d ? d.dept_name : `#${id}`;
+        };
+
+        switch (field) {
+            case 'dept_id': return deptName(value);
+            case 'co_dept_ids': return value.map(deptName).join(', ');
+            case 'target_grades': return value.map(g => `${g}학년`).join(', ');
+            case 'assignee_ids': return value.map(id => {
+                const user = (this.state.cache.users || []).find(u => String(u.user_id) === String(id));
+                return user ? this.userDisplayName(user) : '(알 수 없음)';
+            }).join(', ');
+            case 'target_classes': return value.map(c => c.replace('-', '학년 ') + '반').join(', ');
+            case 'venue_id': {
+                const venue = Object.values(this.state.cache.venues).flat().find(v => String(v.id) === String(value));
+                return venue ? venue.name : `#${value}`;
+            }
+            case 'visibility': return { public: '전체 공개', internal: '교직원', dept: '부서', private: '개인' }[value] || value;
+            case 'is_printable': return value ? '예' : '아니오';
+            case 'rsvp_enabled': return value ? '받음' : '받지 않음';
+            case 'weekend': return value === 'on' ? '포함' : '(없음)';
+            case 'start_time':
+            case 'end_time': return this.formatTime(value);
+            case 'start_period':
+            case 'end_period': return `${value}교시`;
+            default: return String(value);
+        }
+    },
+
+    // Field-level changes of one version: [{ field, label, before, after }]
+    diffVersion: function (version) {
+        const before = version.old_data || {};
+        const after = version.new_data || {};
+        return Object.entries(this.VERSION_FIELDS)
+            .filter(([field]) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+            .map(([field, label]) => ({
+                field,
+                label,
+                before: this.formatVersionValue(field, before[field]),
+                after: this.formatVersionValue(field, after[field])
+            }));
+    },
+
+    // onRevert: null lists the versions without revert buttons
+    renderVersionHistory: async function (listEl, scheduleId, onRevert) {
+        listEl.innerHTML = `<p class="text-gray-400 text-center py-2">이력 로딩 중...</p>`;
+
+        const { data: versions, error } = await this.fetchRowVersions('schedules', scheduleId);
+        if (error) {
+            console.error('Error fetching versions:', error);
+            listEl.innerHTML = `<p class="text-red-500 text-center py-2">변경 이력을 불러오지 못했습니다.</p>`;
+            return;
+        }
+        if (versions.length === 0) {
+            listEl.innerHTML = `<p class="text-gray-400 text-center py-2">기록된 변경 이력이 없습니다.</p>`;
+            return;
+        }
+
+        // Who made each change
+        const userIds = [...new Set(versions.map(v => v.changed_by).filter(Boolean))];
+        const emails = {};
+        if (userIds.length > 0) {
+            const { data: users } = await window.SupabaseClient.supabase
+                .from('user_roles')
+                .select('user_id, email')
+                .in('user_id', userIds);
+            (users || []).forEach(u => { emails[u.user_id] = (u.email || '').split('@')[0]; });
+        }
+
+        const opLabel = (v) => {
+            if (v.operation === 'INSERT') return '등록';
+            if (v.operation === 'DELETE') return '영구 삭제';
+            const wasDeleted = v.old_data && v.old_data.deleted_at;
+            const isDeleted = v.new_data && v.new_data.deleted_at;
+            if (!wasDeleted && isDeleted) return '휴지통 이동';
+            if (wasDeleted && !isDeleted) return '복원';
+            return '수정';
+        };
+
+        listEl.innerHTML = versions.map((v, i) => {
+            const when = new Date(v.changed_at).toLocaleString('ko-KR', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+            const who = v.changed_by ? (emails[v.changed_by] || '알 수 없음') : 'DB 직접 수정';
+            const changes = v.operation === 'UPDATE' ? this.diffVersion(v) : [];
+            const canRevert = !!onRevert && i > 0 && v.new_data;
+
+            return `
+                <div class="border-l-2 ${i === 0 ? 'border-purple-500' : 'border-gray-200'} pl-2">
+                    <div class="flex items-center justify-between gap-2">
+                        <div class="text-gray-500"><b class="text-gray-700">${opLabel(v)}</b> · ${when} · ${this.escapeHtml(who)}${i === 0 ? ' <span class="text-purple-600">(현재)</span>' : ''}</div>
+                        ${canRevert ? `<button type="button" data-revert="${i}" class="shrink-0 text-purple-600 hover:bg-purple-50 border border-purple-200 rounded px-2 py-0.5">이 버전으로 되돌리기</button>` : ''}
+                    </div>
+                    ${changes.length > 0 ? `
+                        <ul class="mt-1 space-y-0.5">
+                            ${changes.map(c => `
+                                <li><span class="text-gray-500">${c.label}:</span>
+                                    <span class="line-through text-red-500">${this.escapeHtml(c.before)}</span> →
+                                    <span class="text-green-700">${this.escapeHtml(c.after)}</span></li>
+                            `).join('')}
+                        </ul>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        listEl.querySelectorAll('[data-revert]').forEach(btn => {
+            btn.onclick = () => {
+                const version = versions[btn.dataset.revert];
+                const changes = this.diffVersion({ old_data: versions[0].new_data, new_data: version.new_data });
+                if (changes.length === 0) {
+                    alert('현재 내용과 같은 버전입니다.');
+                    return;
+                }
+                const summary = changes.map(c => `- ${c.label}: ${c.before} → ${c.after}`).join('\n');
+                if (confirm(`이 버전으로 되돌리시겠습니까?\n\n${summary}`)) onRevert(version);
+            };
+        });
+    },
+
+    // Restores the snapshot of a version; the update itself becomes a new version
+    revertScheduleVersion: async function (scheduleId, version) {
+        const snapshot = version.new_data || {};
+        const payload = {};
+        Object.keys(this.VERSION_FIELDS).forEach(field => {
+            if (field in snapshot) payload[field] = snapshot[field];
+        });
+        if ('dept_id' in payload) {
+            const dept = (this.state.allDepartmentsCached || []).find(d => String(d.id) === String(payload.dept_id));
+            payload.dept_name = dept ? dept.dept_name : snapshot.dept_name;
+        }
+
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .update(payload)
+            .eq('id', scheduleId)
+            .select('id');
+
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '수정 권한이 없습니다.' } };
+
+        this.logAction('REVERT', 'schedules', scheduleId, this.redactPrivate(snapshot.visibility, { version_id: version.id, title: payload.title }));
+        return { error: null };
+    },
+
+    // --- Recurring Series ---
+
+    getSeriesScope: function () {
+        const checked = document.querySelector('input[name="series-scope"]:checked');
+        return checked ? checked.value : 'this';
+    },
+
+    describeRecurrence: function (rule) {
+        if (!rule) return '';
+        const r = this.normalizeRecurrenceRule(rule);
+        const dayNames = ['일', '월', '화', '수', '목', '금', '토'];
+        const posLabels = { '1': '첫째', '2': '둘째', '3': '셋째', '4': '넷째', '-1': '마지막' };
+
+        let text;
+        if (r.freq === 'weekly') {
+            text = r.interval === 1 ? '매주' : (r.interval === 2 ? '격주' : `${r.interval}주마다`);
+            if (r.byweekday.length) text += ' ' + this.sortWeekdays(r.byweekday).map(d => dayNames[d]).join('·') + '요일';
+        } else if (r.freq === 'monthly') {
+            text = r.interval === 1 ? '매월' : `${r.interval}개월마다`;
+            if (r.monthlyMode === 'nthweekday') {
+                const pos = r.bysetpos.map(p => posLabels[p]).join('·');
+                text += ` ${pos} ` + this.sortWeekdays(r.byweekday).map(d => dayNames[d]).join('·') + '요일';
+            } else if (r.bymonthday) {
+                text += ` ${r.bymonthday}일`;
+            }
+        } else {
+            text = r.interval === 1 ? '매년' : `${r.interval}년마다`;
+        }
+
+        text += ' 반복';
+        if (r.count) text += ` · ${r.count}회`;
+        else if (r.until) text += ` · ${r.until}까지`;
+
+        const policyLabels = { skip: '휴업일 제외', next: '휴업일은 다음 수업일로', prev: '휴업일은 이전 수업일로' };
+        if (policyLabels[r.holidayPolicy]) text += ` · ${policyLabels[r.holidayPolicy]}`;
+        return text;
+    },
+
+    diffDays: function (fromStr, toStr) {
+        return Math.round((this.parseLocal(toStr) - this.parseLocal(fromStr)) / 86400000);
+    },
+
+    shiftDateStr: function (dateStr, days) {
+        const d = this.parseLocal(dateStr);
+        d.setDate(d.getDate() + days);
+        return this.formatLocal(d);
+    },
+
+    // --- Recurrence Rule Engine ---
+    // Rule: { freq: weekly|monthly|yearly, interval, byweekday[0-6], monthlyMode: monthday|nthweekday,
+    //         bymonthday, bysetpos[1..4, -1], count | until }
+
+    normalizeRecurrenceRule: function (rule) {
+        const r = { ...rule };
+        // Legacy rules ({ freq: 'biweekly', until })
+        if (r.freq === 'biweekly') {
+            r.freq = 'weekly';
+            r.interval = 2;
+        }
+        r.interval = Math.max(1, parseInt(r.interval, 10) || 1);
+        r.byweekday = (r.byweekday || []).map(Number);
+        r.bysetpos = (r.bysetpos || []).map(Number);
+        r.monthlyMode = r.monthlyMode || 'monthday';
+        return r;
+    },
+
+    // Monday-first order, as shown in the modal
+    sortWeekdays: function (days) {
+        return [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+    },
+
+    // n-th (1..4) or last (-1) given weekday of a month, null if it does not exist
+    nthWeekdayOfMonth: function (year, month, weekday, pos) {
+        const lastDay = new Date(year, month + 1, 0).getDate();
+        let day;
+        if (pos === -1) {
+            const lastDow = new Date(year, month, lastDay).getDay();
+            day = lastDay - ((lastDow - weekday + 7) % 7);
+        } else {
+            const firstDow = new Date(year, month, 1).getDay();
+            day = 1 + ((weekday - firstDow + 7) % 7) + (pos - 1) * 7;
+        }
+        return day <= lastDay ? new Date(year, month, day) : null;
+    },
+
+    generateRecurrenceDates: function (startStr, rule) {
+        if (!startStr || !rule) return [];
+        const r = this.normalizeRecurrenceRule(rule);
+        const start = this.parseLocal(startStr);
+
+        // Stop at until, count or a 10-year horizon, whichever comes first
+        const horizon = new Date(start);
+        horizon.setFullYear(horizon.getFullYear() + 10);
+        const horizonStr = this.formatLocal(horizon);
+        const endStr = (r.until && r.until < horizonStr) ? r.until : horizonStr;
+        const maxCount = Math.min(r.count || this.RECURRENCE_LIMIT, this.RECURRENCE_LIMIT);
+
+        const dates = [];
+        // Returns false once the rule is exhausted
+        const add = (d) => {
+            const str = this.formatLocal(d);
+            if (str < startStr) return true;
+            if (str > endStr || dates.length >= maxCount) return false;
+            dates.push(str);
+            return true;
+        };
+
+        if (r.freq === 'weekly') {
+            const weekdays = this.sortWeekdays(r.byweekday.length ? r.byweekday : [start.getDay()]);
+            const weekStart = new Date(start);
+            weekStart.setDate(weekStart.getDate() - ((start.getDay() + 6) % 7));
+
+            while (this.formatLocal(weekStart) <= endStr) {
+                for (const wd of weekdays) {
+                    const d = new Date(weekStart);
+                    d.setDate(d.getDate() + ((wd + 6) % 7));
+                    if (!add(d)) return dates;
+                }
+                weekStart.setDate(weekStart.getDate() + 7 * r.interval);
+            }
+        } else if (r.freq === 'monthly') {
+            const weekdays = r.byweekday.length ? r.byweekday : [start.getDay()];
+            const positions = r.bysetpos.length ? r.bysetpos : [Math.min(Math.ceil(start.getDate() / 7), 4)];
+            const monthDay = r.bymonthday || start.getDate();
+
+            for (let i = 0; ; i += r.interval) {
+                const y = start.getFullYear();
+                const m = start.getMonth() + i;
+                if (this.formatLocal(new Date(y, m, 1)) > endStr) break;
+
+                let candidates;
+                if (r.monthlyMode === 'nthweekday') {
+                    candidates = [];
+                    weekdays.forEach(wd => positions.forEach(pos => {
+                        const d = this.nthWeekdayOfMonth(y, m, wd, pos);
+                        if (d) candidates.push(d);
+                    }));
+                    candidates.sort((a, b) => a - b);
+                } else {
+                    // Clamp to the month's last day (31st -> 30th/28th) instead of overflowing
+                    const lastDay = new Date(y, m + 1, 0).getDate();
+                    candidates = [new Date(y, m, Math.min(monthDay, lastDay))];
+                }
+
+                for (const d of candidates) {
+                    if (!add(d)) return dates;
+                }
+            }
+        } else if (r.freq === 'yearly') {
+            for (let i = 0; ; i += r.interval) {
+                const y = start.getFullYear() + i;
+                const lastDay = new Date(y, start.getMonth() + 1, 0).getDate(); // Feb 29 -> Feb 28
+                if (!add(new Date(y, start.getMonth(), Math.min(start.getDate(), lastDay)))) break;
+            }
+        }
+
+        return dates;
+    },
+
+    // Defaults derived from the start date when repeat is turned on
+    initRecurrenceDefaults: function (startStr) {
+        if (!startStr) return;
+        const start = this.parseLocal(startStr);
+        const weekdays = document.querySelectorAll('.recur-weekday');
+        if (![...weekdays].some(cb => cb.checked)) {
+            weekdays.forEach(cb => { cb.checked = Number(cb.value) === start.getDay(); });
+        }
+        const setpos = document.querySelectorAll('.recur-setpos');
+        if (![...setpos].some(cb => cb.checked)) {
+            const nth = Math.ceil(start.getDate() / 7);
+            setpos.forEach(cb => { cb.checked = Number(cb.value) === (nth > 4 ? -1 : nth); });
+        }
+    },
+
+    readRecurrenceRule: function (startStr) {
+        const freq = document.getElementById('sched-freq').value;
+        const rule = {
+            freq,
+            interval: Math.max(1, parseInt(document.getElementById('sched-interval').value, 10) || 1)
+        };
+
+        const weekdays = [...document.querySelectorAll('.recur-weekday:checked')].map(cb => Number(cb.value));
+        if (freq === 'weekly') {
+            rule.byweekday = weekdays;
+        } else if (freq === 'monthly') {
+            const mode = document.querySelector('input[name="recur-month-mode"]:checked');
+            rule.monthlyMode = mode ? mode.value : 'monthday';
+            if (rule.monthlyMode === 'nthweekday') {
+                rule.byweekday = weekdays;
+                rule.bysetpos = [...document.querySelectorAll('.recur-setpos:checked')].map(cb => Number(cb.value));
+            } else if (startStr) {
+                rule.bymonthday = this.parseLocal(startStr).getDate();
+            }
+        }
+
+        rule.holidayPolicy = document.getElementById('sched-holiday-policy').value;
+
+        const end = document.querySelector('input[name="recur-end"]:checked');
+        if (end && end.value === 'count') {
+            rule.count = Math.min(Math.max(1, parseInt(document.getElementById('sched-count').value, 10) || 1), this.RECURRENCE_LIMIT);
+        } else {
+            rule.until = document.getElementById('sched-until').value;
+        }
+        return rule;
+    },
+
+    // Show/hide the controls relevant to the chosen frequency and redraw the preview
+    syncRecurrenceOptions: function (startStr) {
+        const freq = document.getElementById('sched-freq').value;
+        const mode = document.querySelector('input[name="recur-month-mode"]:checked');
+        const isNth = freq === 'monthly' && mode && mode.value === 'nthweekday';
+
+        const units = { weekly: '주마다', monthly: '개월마다', yearly: '년마다' };
+        document.getElementById('sched-interval-unit').textContent = units[freq];
+        document.getElementById('recur-monthly-mode').classList.toggle('hidden', freq !== 'monthly');
+        document.getElementById('recur-setpos-list').classList.toggle('hidden', !isNth);
+        document.getElementById('recur-weekday-list').classList.toggle('hidden', !(freq === 'weekly' || isNth));
+        if (startStr) {
+            document.getElementById('recur-monthday-label').textContent = `매월 ${this.parseLocal(startStr).getDate()}일 (없는 달은 말일)`;
+        }
+
+        this.renderRecurrencePreview(startStr);
+    },
+
+    // basic_schedules of every academic year touching the range (cached per year)
+    loadBasicSchedules: async function (startStr, endStr) {
+        const academicYears = [];
+        for (let ay = this.getAcademicYear(startStr); ay <= this.getAcademicYear(endStr); ay++) academicYears.push(ay);
+
+        const missingAYs = academicYears.filter(ay => !this.state.cache.basicSchedules[ay]);
+        if (missingAYs.length > 0) {
+            const { data, error } = await window.SupabaseClient.supabase
+                .from('basic_schedules')
+                .select('*')
+                .in('academic_year', missingAYs);
+            if (error) {
+                console.error('Failed to load basic schedules:', error);
+            } else {
+                (data || []).forEach(row => {
+                    if (!this.state.cache.basicSchedules[row.academic_year]) this.state.cache.basicSchedules[row.academic_year] = [];
+                    this.state.cache.basicSchedules[row.academic_year].push(row);
+                });
+                missingAYs.forEach(ay => {
+                    if (!this.state.cache.basicSchedules[ay]) this.state.cache.basicSchedules[ay] = [];
+                });
+            }
+        }
+
+        const rows = [];
+        academicYears.forEach(ay => rows.push(...(this.state.cache.basicSchedules[ay] || [])));
+        return { academicYears, rows };
+    },
+
+    // 학기 주차: the week of TERM1_START / TERM2_START is week 1 of its semester.
+    // vacationMode 'skip' leaves weeks spent entirely in 방학 unnumbered; 'count' numbers them too.
+    buildAcademicWeeks: function (academicYear, basicRows, vacationMode = 'skip') {
+        const term1 = basicRows.find(r => r.code === 'TERM1_START');
+        if (!term1) return {};
+        const term2 = basicRows.find(r => r.code === 'TERM2_START');
+        const vacations = basicRows.filter(r => r.type === 'vacation');
+
+        const mondayOf = (dateStr) => {
+            const d = this.parseLocal(dateStr);
+            d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+            return d;
+        };
+        const isVacationWeek = (monday) => {
+            const friday = new Date(monday);
+            friday.setDate(friday.getDate() + 4);
+            const mon = this.formatLocal(monday);
+            const fri = this.formatLocal(friday);
+            return vacations.some(v => v.start_date <= mon && (v.end_date || v.start_date) >= fri);
+        };
+
+        const term2Monday = term2 ? this.formatLocal(mondayOf(term2.start_date)) : null;
+        const lastDay = this.formatLocal(new Date(parseInt(academicYear) + 1, 2, 0));
+        const weeks = {};
+        let semester = 1;
+        let week = 0;
+        for (const d = mondayOf(term1.start_date); this.formatLocal(d) <= lastDay; d.setDate(d.getDate() + 7)) {
+            const key = this.formatLocal(d);
+            if (semester === 1 && term2Monday && key >= term2Monday) {
+                semester = 2;
+                week = 0;
+            }
+            if (vacationMode !== 'count' && isVacationWeek(d)) continue;
+            weeks[key] = { semester, week: ++week };
+        }
+        return weeks;
+    },
+
+    // Fills cache.academicWeeks for every academic year touching the range
+    loadAcademicWeeks: async function (startStr, endStr) {
+        const { academicYears } = await this.loadBasicSchedules(startStr, endStr);
+        const missing = academicYears.filter(ay => !this.state.cache.academicWeeks[ay]);
+        if (missing.length === 0) return;
+
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('settings')
+            .select('academic_year, week_vacation_mode')
+            .in('academic_year', missing);
+        if (error) console.error('Error fetching week settings:', error);
+
+        missing.forEach(ay => {
+            const row = (data || []).find(r => r.academic_year === ay);
+            this.state.cache.academicWeeks[ay] = this.buildAcademicWeeks(ay, this.state.cache.basicSchedules[ay] || [], row && row.week_vacation_mode);
+        });
+    },
+
+    // '1학기 5주차' for any day of the week (cache must be loaded with loadAcademicWeeks)
+    getAcademicWeek: function (dateStr) {
+        const d = this.parseLocal(dateStr);
+        d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+        const weeks = this.state.cache.academicWeeks[this.getAcademicYear(this.formatLocal(d))];
+        return (weeks && weeks[this.formatLocal(d)]) || null;
+    },
+
+    getAcademicWeekLabel: function (dateStr) {
+        const w = this.getAcademicWeek(dateStr);
+        return w ? `${w.semester}학기 ${w.week}주차` : '';
+    },
+
+    // Compact tag for the date column of the department / venue grids
+    academicWeekTag: function (dateStr) {
+        const w = this.getAcademicWeek(dateStr);
+        return w ? `<div class="week-label" title="${w.semester}학기 ${w.week}주차">${w.week}주</div>` : '';
+    },
+
+    // Weekends, public holidays, 휴업일 and 방학 covering the range, in isSchoolDay()'s parsedHolidays shape
+    loadNonSchoolDays: async function (startStr, endStr) {
+        const { academicYears, rows } = await this.loadBasicSchedules(startStr, endStr);
+
+        const list = [];
+        academicYears.forEach(ay => {
+            Object.entries(this.calculateMergedHolidays(ay)).forEach(([date, name]) => {
+                list.push({ is_holiday: true, start_date: date, end_date: date, name });
+            });
+        });
+        rows.forEach(b => {
+            if (b.is_holiday || b.type === 'holiday' || b.type === 'vacation') {
+                list.push({ is_holiday: true, start_date: b.start_date, end_date: b.end_date || b.start_date, name: b.name });
+            }
+        });
+        return list;
+    },
+
+    getNonSchoolReason: function (dateStr, nonSchoolDays) {
+        const names = nonSchoolDays
+            .filter(h => h.start_date <= dateStr && h.end_date >= dateStr)
+            .map(h => h.name);
+        if (names.length > 0) return [...new Set(names)].join(', ');
+        const day = this.parseLocal(dateStr).getDay();
+        return day === 0 ? '일요일' : (day === 6 ? '토요일' : '휴업일');
+    },
+
+    // policy: keep | skip | next | prev (moves stay within the academic year of the occurrence)
+    // Returns [{ date, original, status: 'ok'|'kept'|'moved'|'skipped'|'unplaced', reason }]
+    // 'unplaced': had to move but no free school day was left; the occurrence is not created
+    applyHolidayPolicy: function (dates, policy, nonSchoolDays) {
+        const taken = new Set();
+        const results = dates.map(original => {
+            if (this.isSchoolDay(this.parseLocal(original), nonSchoolDays)) {
+                return { date: original, original, status: 'ok', reason: '' };
+            }
+
+            const reason = this.getNonSchoolReason(original, nonSchoolDays);
+            if (policy === 'skip') return { date: null, original, status: 'skipped', reason };
+            if (policy === 'next' || policy === 'prev') {
+                const { start, end } = this.getAcademicYearRange(this.getAcademicYear(original));
+                const target = policy === 'next'
+                    ? this.findNextSchoolDay(original, nonSchoolDays, end)
+                    : this.findPrevSchoolDay(original, nonSchoolDays, start);
+                if (target === original) return { date: null, original, status: 'unplaced', reason: `${reason} (학년도 안에 이동할 수업일 없음)` };
+                return { date: target, original, status: 'moved', reason };
+            }
+            return { date: original, original, status: 'kept', reason };
+        });
+
+        // A moved occurrence must not land on a date the series already has
+        results.filter(r => r.status === 'ok' || r.status === 'kept').forEach(r => taken.add(r.date));
+        results.forEach(r => {
+            if (r.status !== 'moved') return;
+            if (taken.has(r.date)) {
+                r.reason = `${r.reason} (이동일 ${r.date}에 이미 일정 있음)`;
+                r.status = 'unplaced';
+                r.date = null;
+            } else {
+                taken.add(r.date);
+            }
+        });
+        return results;
+    },
+
+    // Dates the series will actually be created on, plus how each occurrence was treated
+    resolveRecurrence: async function (startStr, rule) {
+        const dates = this.generateRecurrenceDates(startStr, rule);
+        if (dates.length === 0) return { dates: [], results: [] };
+
+        // Moved occurrences may land anywhere in their academic year
+        const policy = rule.holidayPolicy || 'keep';
+        const moving = policy === 'next' || policy === 'prev';
+        const from = moving ? this.getAcademicYearRange(this.getAcademicYear(dates[0])).start : dates[0];
+        const to = moving ? this.getAcademicYearRange(this.getAcademicYear(dates[dates.length - 1])).end : dates[dates.length - 1];
+        const nonSchoolDays = await this.loadNonSchoolDays(from, to);
+        const results = this.applyHolidayPolicy(dates, policy, nonSchoolDays);
+        const finalDates = results.filter(r => r.date).map(r => r.date).sort();
+        return { dates: finalDates, results };
+    },
+
+    renderRecurrencePreview: async function (startStr) {
+        const preview = document.getElementById('recurrence-preview');
+        const countLabel = document.getElementById('recurrence-preview-count');
+        const notes = document.getElementById('recurrence-preview-notes');
+        if (!preview) return;
+
+        const rule = this.readRecurrenceRule(startStr);
+        const token = this._recurPreviewToken = (this._recurPreviewToken || 0) + 1;
+        const { dates, results } = (rule.until !== undefined && !rule.until)
+            ? { dates: [], results: [] }
+            : await this.resolveRecurrence(startStr, rule);
+        if (token !== this._recurPreviewToken) return; // Superseded by a newer change
+
+        const dayNames = ['일', '월', '화', '수', '목', '금', '토'];
+        const label = (d) => `${d.substring(5).replace('-', '/')}(${dayNames[this.parseLocal(d).getDay()]})`;
+
+        if (results.length === 0) {
+            preview.innerHTML = '<span class="text-gray-400">해당하는 날짜가 없습니다.</span>';
+            countLabel.textContent = '';
+            notes.innerHTML = '';
+            return;
+        }
+
+        preview.innerHTML = results.map(r => {
+            if (r.status === 'unplaced') {
+                return `<span class="px-1.5 py-0.5 bg-red-50 border border-red-200 rounded text-red-400 line-through" title="${r.reason}">${label(r.original)}</span>`;
+            }
+            if (r.status === 'skipped') {
+                return `<span class="px-1.5 py-0.5 bg-gray-100 border border-gray-200 rounded text-gray-400 line-through" title="${r.reason}">${label(r.original)}</span>`;
+            }
+            if (r.status === 'moved') {
+                return `<span class="px-1.5 py-0.5 bg-orange-50 border border-orange-200 rounded text-orange-700" title="${r.reason}">${label(r.original)}→${label(r.date)}</span>`;
+            }
+            if (r.status === 'kept') {
+                return `<span class="px-1.5 py-0.5 bg-red-50 border border-red-200 rounded text-red-500" title="${r.reason}">${label(r.date)}</span>`;
+            }
+            return `<span class="px-1.5 py-0.5 bg-blue-50 border border-blue-100 rounded">${label(r.date)}</span>`;
+        }).join('');
+
+        notes.innerHTML = results.filter(r => r.status !== 'ok').map(r => {
+            if (r.status === 'skipped') return `<li>🚫 ${label(r.original)} ${r.reason} → 제외</li>`;
+            if (r.status === 'unplaced') return `<li class="text-red-500">⛔ ${label(r.original)} ${r.reason} → 생성되지 않음</li>`;
+            if (r.status === 'moved') return `<li>↪️ ${label(r.original)} ${r.reason} → ${label(r.date)}로 이동</li>`;
+            return `<li class="text-red-500">⚠️ ${label(r.original)} ${r.reason}</li>`;
+        }).join('');
+
+        countLabel.textContent = `(${dates.length}건${results.length >= this.RECURRENCE_LIMIT ? ', 최대' : ''})`;
+    },
+
+    // Rows of a series affected by the given scope ('following' = from this occurrence on)
+    fetchSeriesRows: async function (schedule, scope) {
+        let query = window.SupabaseClient.supabase
+            .from('schedules')
+            .select('*')
+            .eq('series_id', schedule.series_id)
+            .is('deleted_at', null);
+
+        if (scope === 'following') {
+            query = query.gte('start_date', schedule.start_date);
+        }
+
+        const { data, error } = await query.order('start_date', { ascending: true });
+        return { data: data || [], error };
+    },
+
+    updateScheduleSeries: async function (schedule, data, scope) {
+        const { data: rows, error } = await this.fetchSeriesRows(schedule, scope);
+        if (error) return { data: null, error };
+
+        // Date edits move every occurrence by the same offset and keep the new duration
+        const shift = this.diffDays(schedule.start_date, data.start_date);
+        const duration = this.diffDays(data.start_date, data.end_date);
+        const { start_date, end_date, ...fields } = data;
+        if (rows.length === 0) return { data: [], error: null };
+
+        let seriesId = schedule.series_id;
+        let rule = this.shiftRecurrenceRule(schedule.recurrence_rule, shift, data.start_date);
+
+        if (scope === 'following') {
+            // Split: this and the following occurrences become a series of their own,
+            // the earlier ones keep the old series with a rule that ends before this occurrence
+            const { data: earlier, error: earlierErr } = await window.SupabaseClient.supabase
+                .from('schedules')
+                .select('id')
+                .eq('series_id', schedule.series_id)
+                .is('deleted_at', null)
+                .lt('start_date', schedule.start_date);
+            if (earlierErr) return { data: null, error: earlierErr };
+
+            if (earlier && earlier.length > 0) {
+                const oldRule = schedule.recurrence_rule || {};
+                const truncated = oldRule.count
+                    ? { ...oldRule, count: earlier.length }
+                    : { ...oldRule, until: this.shiftDateStr(schedule.start_date, -1) };
+
+                const { data: truncatedRows, error: truncateErr } = await window.SupabaseClient.supabase
+                    .from('schedules')
+                    .update({ recurrence_rule: truncated })
+                    .in('id', earlier.map(r => r.id))
+                    .select('id');
+                if (truncateErr) return { data: null, error: truncateErr };
+                if (!truncatedRows || truncatedRows.length === 0) return { data: null, error: { message: '이전 반복 일정을 수정할 권한이 없습니다.' } };
+
+                seriesId = crypto.randomUUID();
+                if (rule && rule.count) rule = { ...rule, count: rows.length };
+            }
+        }
+
+        const updates = rows.map(row => {
+            const newStart = this.shiftDateStr(row.start_date, shift);
+            return {
+                ...row,
+                ...fields,
+                series_id: seriesId,
+                recurrence_rule: rule,
+                start_date: newStart,
+                end_date: this.shiftDateStr(newStart, duration)
+            };
+        });
+
+        return await window.SupabaseClient.supabase
+            .from('schedules')
+            .upsert(updates)
+            .select();
+    },
+
+    // Rule of a series whose occurrences all moved by the given number of days
+    shiftRecurrenceRule: function (rule, shift, startStr) {
+        if (!rule || shift === 0) return rule;
+        const r = { ...rule };
+        if (r.until) r.until = this.shiftDateStr(r.until, shift);
+        if (r.byweekday && shift % 7 !== 0) {
+            r.byweekday = r.byweekday.map(d => ((Number(d) + shift) % 7 + 7) % 7);
+        }
+        if (r.bymonthday && r.monthlyMode !== 'nthweekday') {
+            r.bymonthday = this.parseLocal(startStr).getDate();
+        }
+        return r;
+    },
+
+    trashScheduleSeries: async function (schedule, scope) {
+        let query = window.SupabaseClient.supabase
+            .from('schedules')
+            .update(this.getTrashMark())
+            .eq('series_id', schedule.series_id)
+            .is('deleted_at', null);
+
+        if (scope === 'following') {
+            query = query.gte('start_date', schedule.start_date);
+        }
+
+        return await query.select('id');
+    },
+
+    closeModal: function () {
+        const modalContainer = document.getElementById('modal-container');
+        modalContainer.classList.add('invisible');
+        modalContainer.innerHTML = '';
+    },
+
+    // --- Trash (Soft Delete) ---
+
+    getTrashMark: function () {
+        return { deleted_at: new Date().toISOString(), deleted_by: this.state.user ? this.state.user.id : null };
+    },
+
+    getTrashRetention: async function (academicYear) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('settings')
+            .select('trash_retention_days')
+            .eq('academic_year', academicYear)
+            .limit(1);
+        if (error) console.error('Error fetching trash retention:', error);
+        return (data && data[0] && data[0].trash_retention_days) || this.TRASH_RETENTION_DAYS;
+    },
+
+    // Trashed schedules (by start date) and departments of one academic year.
+    // Non-admins only see their own schedules; occurrences of a series trashed together form one entry.
+    fetchTrash: async function (academicYear) {
+        const isAdmin = this.state.role === 'admin';
+        let query = window.SupabaseClient.supabase
+            .from('schedules')
+            .select('id, title, start_date, end_date, dept_name, series_id, author_id, visibility, deleted_at')
+            .not('deleted_at', 'is', null)
+            .gte('start_date', `${academicYear}-03-01`)
+            .lt('start_date', `${academicYear + 1}-03-01`)
+            .order('start_date', { ascending: true });
+        if (!isAdmin) query = query.eq('author_id', this.state.user.id);
+
+        const { data: schedules, error } = await query;
+        if (error) return { data: [], error };
+
+        const entries = [];
+        const seriesEntries = {};
+        (schedules || []).forEach(s => {
+            const key = s.series_id ? `${s.series_id}|${s.deleted_at}` : null;
+            if (key && seriesEntries[key]) {
+                seriesEntries[key].ids.push(s.id);
+                seriesEntries[key].rows.push(s);
+                return;
+            }
+            const entry = { kind: 'schedule', ids: [s.id], rows: [s], title: s.title, visibility: s.visibility, deleted_at: s.deleted_at };
+            if (key) seriesEntries[key] = entry;
+            entries.push(entry);
+        });
+
+        if (isAdmin) {
+            const { data: depts, error: deptErr } = await window.SupabaseClient.supabase
+                .from('departments')
+                .select('id, dept_name, dept_short, deleted_at')
+                .eq('academic_year', academicYear)
+                .not('deleted_at', 'is', null);
+            if (deptErr) return { data: entries, error: deptErr };
+            (depts || []).forEach(d => entries.push({ kind: 'department', ids: [d.id], rows: [d], title: d.dept_name, deleted_at: d.deleted_at }));
+        }
+
+        entries.sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+        return { data: entries, error: null };
+    },
+
+    restoreSchedules: async function (ids) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .update({ deleted_at: null, deleted_by: null })
+            .in('id', ids)
+            .select('id');
+
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '복원 권한이 없습니다.' } };
+
+        this.logAction('RESTORE', 'schedules', ids[0], { ids });
+        this.state.cache.schedules = null;
+        return { error: null };
+    },
+
+    restoreDepartments: async function (ids, academicYear) {
+        const supabase = window.SupabaseClient.supabase;
+        const { data: rows } = await supabase.from('departments').select('id, dept_name').in('id', ids);
+        const { data: active } = await supabase
+            .from('departments')
+            .select('dept_name')
+            .eq('academic_year', academicYear)
+            .is('deleted_at', null);
+
+        // A department of the same name may have been re-created in the meantime
+        const clash = (rows || []).filter(r => (active || []).some(a => a.dept_name === r.dept_name));
+        if (clash.length > 0) {
+            return { error: { message: `같은 이름의 부서가 이미 있습니다. (${clash.map(r => r.dept_name).join(', ')})` } };
+        }
+
+        const { data, error } = await supabase
+            .from('departments')
+            .update({ deleted_at: null, deleted_by: null })
+            .in('id', ids)
+            .select('id');
+
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '복원 권한이 없습니다.' } };
+
+        this.logAction('RESTORE', 'departments', ids[0], { ids, names: (rows || []).map(r => r.dept_name) });
+        this.state.cache.departments = null;
+        return { error: null };
+    },
+
+    // Permanent delete (only rows already in the trash); attachment files are queued by the DB
+    purgeSchedules: async function (ids) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .delete()
+            .in('id', ids)
+            .not('deleted_at', 'is', null)
+            .select('id');
+
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '영구 삭제 권한이 없습니다.' } };
+        return { error: null };
+    },
+
+    purgeDepartments: async function (ids) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('departments')
+            .delete()
+            .in('id', ids)
+            .not('deleted_at', 'is', null)
+            .select('id');
+
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '영구 삭제 권한이 없습니다.' } };
+        return { error: null };
+    },
+
+    renderTrashList: async function (listEl, academicYear) {
+        listEl.innerHTML = `<p class="text-gray-400 text-sm text-center py-4">휴지통 로딩 중...</p>`;
+
+        const [{ data: entries, error }, retention] = await Promise.all([
+            this.fetchTrash(academicYear),
+            this.getTrashRetention(academicYear)
+        ]);
+        if (error) {
+            console.error('Error fetching trash:', error);
+            listEl.innerHTML = `<p class="text-red-500 text-sm text-center py-4">휴지통을 불러오지 못했습니다.</p>`;
+            return;
+        }
+        if (entries.length === 0) {
+            listEl.innerHTML = `<p class="text-gray-400 text-sm text-center py-4">휴지통이 비어 있습니다.</p>`;
+            return;
+        }
 
-                // GUEST VISIBILITY CHECK: Only show 'public'
-                if (!this.state.user && s.visibility !== 'public') return;
+        listEl.innerHTML = entries.map((e, i) => {
+            const elapsed = Math.floor((Date.now() - new Date(e.deleted_at).getTime()) / 86400000);
+            const daysLeft = Math.max(0, retention - elapsed);
+            const first = e.rows[0];
+            let detail;
+            if (e.kind === 'department') {
+                detail = '부서';
+            } else {
+                const last = e.rows[e.rows.length - 1];
+                const range = e.rows.length > 1
+                    ? `반복 ${e.rows.length}건 · ${first.start_date} ~ ${last.start_date}`
+                    : (first.end_date && first.end_date !== first.start_date ? `${first.start_date} ~ ${first.end_date}` : first.start_date);
+                detail = `${range}${first.dept_name ? ` · ${first.dept_name}` : ''}`;
+            }
 
-                // [STRICT PRIVATE CHECK]
-                // If visibility is 'private', only Admin or Creator can see it.
-                if (s.visibility === 'private') {
-                    const isAdmin = this.state.role === 'admin';
-                    // We assume s.user_id is available from the fetch
-                    const isCreator = this.state.user && s.user_id && String(s.user_id) === String(this.state.user.id);
-                    if (!isAdmin && !isCreator) return;
+            return `
+                <div class="flex items-center justify-between gap-2 border rounded px-3 py-2 text-sm">
+                    <div class="min-w-0">
+                        <div class="font-bold text-gray-800 truncate">
+                            <span class="${e.kind === 'department' ? 'bg-blue-50 text-blue-600' : 'bg-gray-100 text-gray-600'} text-[10px] px-1 rounded mr-1">${e.kind === 'department' ? '부서' : '일정'}</span>${this.escapeHtml(e.title)}
+                        </div>
+                        <div class="text-[11px] text-gray-500">${e.kind === 'department' ? '' : detail + ' · '}삭제 ${e.deleted_at.slice(0, 10)} · ${daysLeft}일 후 자동 삭제</div>
+                    </div>
+                    <div class="flex gap-1 shrink-0">
+                        <button type="button" data-restore="${i}" class="text-xs text-purple-600 hover:bg-purple-50 border border-purple-200 rounded px-2 py-1">복원</button>
+                        <button type="button" data-purge="${i}" class="text-xs text-red-500 hover:bg-red-50 border border-red-200 rounded px-2 py-1">영구 삭제</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        listEl.querySelectorAll('[data-restore]').forEach(btn => {
+            btn.onclick = async () => {
+                const entry = entries[btn.dataset.restore];
+                const { error } = entry.kind === 'department'
+                    ? await this.restoreDepartments(entry.ids, academicYear)
+                    : await this.restoreSchedules(entry.ids);
+                if (error) {
+                    alert('복원 실패: ' + error.message);
+                    return;
                 }
-
-                const deptIdKey = s.dept_id ? String(s.dept_id) : null;
-
-                // [STRICT DEPT SCOPING]
-                // For users with 'dept' role, ONLY show schedules belonging to their department.
-                // This applies to ALL visibility levels (internal, public, etc) for this role.
-                if (this.state.role === 'dept') {
-                    const isMyDept = (this.state.myDeptId && String(this.state.myDeptId) === deptIdKey);
-                    if (!isMyDept) return; // HIDDEN
+                if (entry.kind === 'department' && this.state.viewMode === 'admin' && this.refreshAdminView) {
+                    await this.refreshAdminView(academicYear); // Re-renders the department form and this list
+                } else {
+                    this.renderTrashList(listEl, academicYear);
                 }
-
-                // [STRICT DEPT PRIVACY]
-                // If visibility is 'dept', ONLY Admin or Member of that Dept can see it.
-                if (s.visibility === 'dept') {
-                    const isAdmin = this.state.role === 'admin';
-                    const isMyDept = (this.state.role === 'dept' && this.state.myDeptId && String(this.state.myDeptId) === deptIdKey);
-                    if (!isAdmin && !isMyDept) return; // HIDDEN
+            };
+        });
+        listEl.querySelectorAll('[data-purge]').forEach(btn => {
+            btn.onclick = async () => {
+                const entry = entries[btn.dataset.purge];
+                if (!confirm(`'${entry.title}'을(를) 영구 삭제하시겠습니까?\n되돌릴 수 없습니다.`)) return;
+                const { error } = entry.kind === 'department'
+                    ? await this.purgeDepartments(entry.ids)
+                    : await this.purgeSchedules(entry.ids);
+                if (error) {
+                    alert('영구 삭제 실패: ' + error.message);
+                    return;
                 }
-                const deptNameKey = s.dept_name;
-
-                // 2-Step Mapping: 1. By ID, 2. By Name (Fallback for orphaned data)
-                let dept = deptMap[deptIdKey] || (this.SPECIAL_DEPTS || []).find(sd => String(sd.id) == deptIdKey);
+                this.logAction('PURGE', entry.kind === 'department' ? 'departments' : 'schedules', entry.ids[0], this.redactPrivate(entry.visibility, { ids: entry.ids, title: entry.title }));
+                this.renderTrashList(listEl, academicYear);
+            };
+        });
+    },
 
-                if (!dept && deptNameKey) {
-                    // Search in regular departments by name or short name
-                    dept = (departments || []).find(d => d.dept_name === deptNameKey || d.dept_short === deptNameKey);
-                    // Search in special depts by name
-                    if (!dept) {
-                        dept = (this.SPECIAL_DEPTS || []).find(sd => sd.name === deptNameKey || sd.short_name === deptNameKey);
-                    }
-                }
+    // Authors (non-admins) reach their own trash from the header
+    openTrashModal: async function () {
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['trash']) {
+                const response = await fetch('pages/modal-trash.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status} `);
+                this.state.templates['trash'] = await response.text();
+            }
+            modalContainer.innerHTML = this.state.templates['trash'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load trash modal", e);
+            alert('모달을 불러올 수 없습니다. (' + e.message + ')');
+            return;
+        }
 
-                // Final Fallback
-                if (!dept) dept = { dept_name: '기타', dept_color: '#333' };
+        const yearSelect = document.getElementById('trash-year');
+        const listEl = document.getElementById('trash-list');
+        document.getElementById('btn-trash-close').onclick = () => {
+            this.closeModal();
+            // Restored schedules show up again in the current view
+            if (this.state.viewMode === 'calendar') this.reloadCalendar();
+            else this.loadView(this.state.viewMode);
+        };
 
-                const finalDeptId = dept.id ? String(dept.id) : 'uncategorized';
-                events.push({
-                    id: s.id,
-                    title: s.title,
-                    start: s.start_date,
-                    end: s.end_date,
-                    backgroundColor: dept.dept_color || '#3788d8',
-                    borderColor: dept.dept_color || '#3788d8',
-                    extendedProps: {
-                        deptId: finalDeptId,
-                        deptInfo: dept,
-                        description: s.description,
-                        visibility: s.visibility,
-                        isPrintable: s.is_printable,
-                        weekend: s.weekend
-                    }
-                });
-            });
+        const currentAY = this.getAcademicYear(this.formatLocal(new Date()));
+        for (let y = currentAY - 2; y <= currentAY + 1; y++) {
+            const opt = document.createElement('option');
+            opt.value = y;
+            opt.textContent = `${y}학년도`;
+            if (y === currentAY) opt.selected = true;
+            yearSelect.appendChild(opt);
         }
-
-        return events;
+        yearSelect.onchange = () => this.renderTrashList(listEl, parseInt(yearSelect.value));
+        this.renderTrashList(listEl, currentAY);
     },
 
-    renderDeptFilters: function (departments) {
-        const container = document.getElementById('dept-filter-list');
-        if (!container) return;
+    // --- Approval Workflow (department submissions) ---
 
-        container.innerHTML = departments.map(d => `
-    <div class="flex items-center gap-2">
-        <input type="checkbox" id="dept-${d.id}" value="${d.id}" class="dept-checkbox rounded ${d.is_special ? 'text-purple-600' : 'text-blue-600'} focus:ring-purple-500" checked>
-            <label for="dept-${d.id}" class="flex items-center gap-2 cursor-pointer w-full">
-                <span class="w-3 h-3 rounded-full" style="background-color: ${d.dept_color}"></span>
-                <span class="${d.is_special ? 'font-bold' : ''}">${d.dept_name}</span>
-            </label>
-        </div>
-`).join('');
+    // Same roles as is_approver() in data/schema.sql
+    canReviewSchedules: function () {
+        return this.canAddSchedule() && ['admin', 'head'].includes(this.state.role);
+    },
 
-        // Add Event Listeners
-        container.querySelectorAll('.dept-checkbox').forEach(cb => {
-            cb.addEventListener('change', () => {
-                // Re-render events to trigger eventDidMount filtering
-                // Or use internal filter API if available. 
-                // For simplicity: refetch is expensive, so we just rerender existing events? 
-                // FullCalendar doesn't have simple show/hide API for events without removing them.
-                // Best simple appoach: 
-                this.state.calendar.refetchEvents(); // This triggers eventDidMount again
-            });
+    // Whether 'dept' submissions of an academic year wait for approval (enforced by trg_schedules_approval)
+    getApprovalRequired: async function (academicYear) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('settings')
+            .select('require_approval')
+            .eq('academic_year', academicYear)
+            .limit(1);
+        if (error) console.error('Error fetching approval setting:', error);
+        return !!(data && data[0] && data[0].require_approval);
+    },
+
+    // Pending schedules of one academic year; occurrences of a series form one entry
+    fetchPendingSchedules: async function (academicYear) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .select('id, title, start_date, end_date, dept_name, description, series_id, author_id, updated_at')
+            .eq('approval_status', 'pending')
+            .is('deleted_at', null)
+            .gte('start_date', `${academicYear}-03-01`)
+            .lt('start_date', `${academicYear + 1}-03-01`)
+            .order('start_date', { ascending: true });
+        if (error) return { data: [], error };
+
+        const entries = [];
+        const seriesEntries = {};
+        (data || []).forEach(s => {
+            if (s.series_id && seriesEntries[s.series_id]) {
+                seriesEntries[s.series_id].ids.push(s.id);
+                seriesEntries[s.series_id].rows.push(s);
+                return;
+            }
+            const entry = { ids: [s.id], rows: [s], title: s.title };
+            if (s.series_id) seriesEntries[s.series_id] = entry;
+            entries.push(entry);
         });
+        return { data: entries, error: null };
     },
 
-    // --- Modal & CRUD Logic ---
+    reviewSchedules: async function (ids, status, comment) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .update({
+                approval_status: status,
+                review_comment: comment || null,
+                reviewed_by: this.state.user.id,
+                reviewed_at: new Date().toISOString()
+            })
+            .in('id', ids)
+            .select('id');
+
+        if (error) return { error };
+        if (!data || data.length === 0) return { error: { message: '승인 권한이 없습니다.' } };
+
+        this.logAction(status === 'approved' ? 'APPROVE' : 'REJECT', 'schedules', ids[0], { ids, comment: comment || null });
+        this.state.cache.schedules = null;
+        this.updateApprovalBadge();
+        return { error: null };
+    },
 
-    openScheduleModal: async function (eventId = null, defaultDate = null) {
-        // [SECURITY] Double check permissions for new events
-        if (!eventId && !this.canAddSchedule()) {
-            console.warn("[Security] Unauthorized attempt to open schedule modal");
+    renderApprovalQueue: async function (listEl, academicYear) {
+        listEl.innerHTML = `<p class="text-gray-400 text-sm text-center py-4">승인 대기 목록 로딩 중...</p>`;
+
+        const { data: entries, error } = await this.fetchPendingSchedules(academicYear);
+        if (error) {
+            console.error('Error fetching pending schedules:', error);
+            listEl.innerHTML = `<p class="text-red-500 text-sm text-center py-4">승인 대기 목록을 불러오지 못했습니다.</p>`;
             return;
         }
-        // 1. Check Auth & Permissions
-        if (!this.state.user) {
-            alert('로그인이 필요한 기능입니다.');
-            this.navigate('login');
+        if (entries.length === 0) {
+            listEl.innerHTML = `<p class="text-gray-400 text-sm text-center py-4">승인 대기 중인 일정이 없습니다.</p>`;
             return;
         }
 
-        const canEdit = this.state.role === 'admin' || this.state.role === 'head_teacher' || this.state.role === 'head' || (this.state.role === 'dept' && this.state.myDeptId);
-        if (!canEdit) {
-            alert('일정 등록/수정 권한이 없습니다.');
-            return;
-        }
+        listEl.innerHTML = entries.map((e, i) => {
+            const first = e.rows[0];
+            const last = e.rows[e.rows.length - 1];
+            const range = e.rows.length > 1
+                ? `반복 ${e.rows.length}건 · ${first.start_date} ~ ${last.start_date}`
+                : (first.end_date && first.end_date !== first.start_date ? `${first.start_date} ~ ${first.end_date}` : first.start_date);
+
+            return `
+                <div class="border rounded px-3 py-2 text-sm space-y-2">
+                    <div class="min-w-0">
+                        <div class="font-bold text-gray-800 truncate">${this.escapeHtml(e.title)}</div>
+                        <div class="text-[11px] text-gray-500">${range}${first.dept_name ? ` · ${this.escapeHtml(first.dept_name)}` : ''}</div>
+                        ${first.description ? `<div class="text-[11px] text-gray-600 mt-0.5">${this.escapeHtml(first.description)}</div>` : ''}
+                    </div>
+                    <div class="flex gap-1">
+                        <input type="text" data-comment="${i}" placeholder="의견 (반려 시 필수)"
+                            class="flex-grow min-w-0 border rounded px-2 py-1 text-xs focus:ring-2 focus:ring-purple-500">
+                        <button type="button" data-approve="${i}" class="text-xs text-purple-600 hover:bg-purple-50 border border-purple-200 rounded px-2 py-1 shrink-0">승인</button>
+                        <button type="button" data-reject="${i}" class="text-xs text-red-500 hover:bg-red-50 border border-red-200 rounded px-2 py-1 shrink-0">반려</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
 
-        // 2. Load Modal Template
+        const review = async (idx, status) => {
+            const entry = entries[idx];
+            const comment = listEl.querySelector(`[data-comment="${idx}"]`).value.trim();
+            if (status === 'rejected' && !comment) {
+                alert('반려 사유를 입력해주세요.');
+                return;
+            }
+            const { error } = await this.reviewSchedules(entry.ids, status, comment);
+            if (error) {
+                alert((status === 'approved' ? '승인' : '반려') + ' 실패: ' + error.message);
+                return;
+            }
+            this.renderApprovalQueue(listEl, academicYear);
+        };
+        listEl.querySelectorAll('[data-approve]').forEach(btn => {
+            btn.onclick = () => review(btn.dataset.approve, 'approved');
+        });
+        listEl.querySelectorAll('[data-reject]').forEach(btn => {
+            btn.onclick = () => review(btn.dataset.reject, 'rejected');
+        });
+    },
+
+    // Heads review from the header; admins use the card on the admin page
+    openApprovalsModal: async function () {
         const modalContainer = document.getElementById('modal-container');
         try {
-            if (!this.state.templates['schedule']) {
-                const response = await fetch('pages/modal-schedule.html');
+            if (!this.state.templates['approvals']) {
+                const response = await fetch('pages/modal-approvals.html');
                 if (!response.ok) throw new Error(`HTTP error! status: ${response.status} `);
-                this.state.templates['schedule'] = await response.text();
+                this.state.templates['approvals'] = await response.text();
             }
-            modalContainer.innerHTML = this.state.templates['schedule'];
+            modalContainer.innerHTML = this.state.templates['approvals'];
             modalContainer.classList.remove('invisible');
         } catch (e) {
-            console.error("Failed to load schedule modal", e);
-            alert('모달을 불러오는 중 오류가 발생했습니다. 서버 연결을 확인해 주세요.\n(' + e.message + ')');
+            console.error("Failed to load approvals modal", e);
+            alert('모달을 불러올 수 없습니다. (' + e.message + ')');
             return;
         }
 
-        // 3. Setup Elements
-        const form = document.getElementById('schedule-form');
-        const titleInput = document.getElementById('sched-title');
-        const startInput = document.getElementById('sched-start');
-        const endInput = document.getElementById('sched-end');
-        const deptSelect = document.getElementById('sched-dept');
-        const visSelect = document.getElementById('sched-visibility');
-        const descInput = document.getElementById('sched-desc');
-        const printCheck = document.getElementById('sched-printable');
-        const includeHolidaysCheck = document.getElementById('sched-include-holidays');
-        const includeHolidaysWrapper = document.getElementById('include-holidays-wrapper');
-        const btnDelete = document.getElementById('btn-delete');
-        const visHint = document.getElementById('visibility-hint');
+        const yearSelect = document.getElementById('approvals-year');
+        const listEl = document.getElementById('approvals-list');
+        document.getElementById('btn-approvals-close').onclick = () => {
+            this.closeModal();
+            // Approved schedules change how they are shown in the current view
+            if (this.state.viewMode === 'calendar') this.reloadCalendar();
+            else this.loadView(this.state.viewMode);
+        };
 
-        // Recurrence Elements
-        const repeatCheck = document.getElementById('sched-repeat');
-        const recurSection = document.getElementById('recurrence-section'); // Wrapper
-        const recurOptions = document.getElementById('recurrence-options');
-        const rFreq = document.getElementById('sched-freq');
-        const rUntil = document.getElementById('sched-until');
+        const currentAY = this.getAcademicYear(this.formatLocal(new Date()));
+        for (let y = currentAY - 1; y <= currentAY + 1; y++) {
+            const opt = document.createElement('option');
+            opt.value = y;
+            opt.textContent = `${y}학년도`;
+            if (y === currentAY) opt.selected = true;
+            yearSelect.appendChild(opt);
+        }
+        yearSelect.onchange = () => this.renderApprovalQueue(listEl, parseInt(yearSelect.value));
+        this.renderApprovalQueue(listEl, currentAY);
+    },
 
-        // 4. Populate Departments (Filtered by Role)
-        let filteredDepts = this.state.departments;
-        if (this.state.role === 'dept' && this.state.myDeptId) {
-            filteredDepts = this.state.departments.filter(d => String(d.id) === String(this.state.myDeptId));
+    // Pending count on the header button
+    updateApprovalBadge: async function () {
+        const badge = document.getElementById('approvals-count');
+        if (!badge) return;
+        const { count, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .select('id', { count: 'exact', head: true })
+            .eq('approval_status', 'pending')
+            .is('deleted_at', null);
+        if (error) {
+            console.error('Error counting pending schedules:', error);
+            return;
         }
+        badge.textContent = count || 0;
+        badge.classList.toggle('hidden', !count);
+    },
 
-        deptSelect.innerHTML = filteredDepts.map(d =>
-            `<option value="${d.id}">${d.dept_name}</option>`
-        ).join('');
+    // Small label for schedules that are not (yet) public
+    approvalBadgeHtml: function (status) {
+        if (status === 'pending') return `<span class="approval-badge bg-amber-100 text-amber-700">승인 대기</span> `;
+        if (status === 'rejected') return `<span class="approval-badge bg-red-100 text-red-600">반려</span> `;
+        return '';
+    },
 
-        // [DEPT ROLE] Set default or locked state
-        if (this.state.role === 'dept' && this.state.myDeptId) {
-            deptSelect.value = this.state.myDeptId;
-            // Default Visibility to 'dept' for NEW schedules, but allow change
-            if (!eventId) visSelect.value = 'dept';
+    // --- Bulk Edit (multi-select in weekly plan, department grid and search) ---
+
+    canBulkEdit: function () {
+        return this.canAddSchedule() && ['admin', 'head', 'head_teacher'].includes(this.state.role);
+    },
+
+    // Only rows the user can actually update get a checkbox (RLS: admin or author)
+    isBulkEditable: function (schedule) {
+        if (!schedule || !schedule.id || !this.canBulkEdit()) return false;
+        return this.state.role === 'admin' || String(schedule.author_id) === String(this.state.user.id);
+    },
+
+    bulkCheckboxHtml: function (schedule) {
+        if (!this.state.bulkMode || !this.isBulkEditable(schedule)) return '';
+        const checked = this.state.bulkSelection.has(String(schedule.id)) ? 'checked' : '';
+        return `<input type="checkbox" class="bulk-check rounded text-purple-600 focus:ring-purple-500 mr-1 align-middle print:hidden" data-id="${schedule.id}" ${checked}>`;
+    },
+
+    bindBulkChecks: function (root) {
+        root.querySelectorAll('.bulk-check').forEach(cb => {
+            cb.onclick = (e) => e.stopPropagation();
+            cb.onchange = () => {
+                const id = cb.dataset.id;
+                if (cb.checked) this.state.bulkSelection.add(id);
+                else this.state.bulkSelection.delete(id);
+                // Co-hosted schedules are listed more than once
+                root.querySelectorAll(`.bulk-check[data-id="${id}"]`).forEach(other => { other.checked = cb.checked; });
+                this.renderBulkBar();
+            };
+        });
+    },
+
+    // "선택" toolbar button of a view; rerender redraws the view with or without checkboxes
+    setupBulkToggle: function (button, rerender) {
+        if (!button) return;
+        if (!this.canBulkEdit()) {
+            button.classList.add('hidden');
+            return;
+        }
+        button.classList.remove('hidden');
+        const sync = () => {
+            button.classList.toggle('bg-purple-600', !!this.state.bulkMode);
+            button.classList.toggle('text-white', !!this.state.bulkMode);
+            button.classList.toggle('bg-white', !this.state.bulkMode);
+        };
+        button.onclick = () => {
+            this.state.bulkMode = !this.state.bulkMode;
+            if (!this.state.bulkMode) this.state.bulkSelection.clear();
+            sync();
+            this.renderBulkBar();
+            rerender();
+        };
+        sync();
+    },
+
+    clearBulkSelection: function () {
+        this.state.bulkSelection.clear();
+        this.renderBulkBar();
+    },
+
+    // Floating bar with the batch actions, shown while anything is selected
+    renderBulkBar: function () {
+        let bar = document.getElementById('bulk-action-bar');
+        const count = this.state.bulkSelection.size;
+        if (count === 0) {
+            if (bar) bar.remove();
+            document.querySelectorAll('.bulk-check:checked').forEach(cb => { cb.checked = false; });
+            return;
+        }
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'bulk-action-bar';
+            bar.className = 'bulk-action-bar';
+            document.body.appendChild(bar);
         }
+        bar.innerHTML = `
+            <span><b>${count}</b>건 선택</span>
+            <button type="button" data-action="edit">일괄 수정</button>
+            <button type="button" data-action="delete">삭제</button>
+            <button type="button" data-action="clear" class="bulk-action-muted">선택 해제</button>
+        `;
+        bar.querySelector('[data-action="edit"]').onclick = () => this.openBulkEditModal();
+        bar.querySelector('[data-action="delete"]').onclick = () => this.bulkDeleteSchedules();
+        bar.querySelector('[data-action="clear"]').onclick = () => this.clearBulkSelection();
+    },
 
-        // 5. Load Data (Edit Mode) or Defaults
-        if (eventId) {
-            document.getElementById('modal-title').textContent = '일정 수정';
-            btnDelete.classList.remove('hidden');
-            recurSection.classList.add('hidden'); // Hide recurrence on edit for simplicity in V1
-            includeHolidaysWrapper.classList.add('hidden'); // Hide include holidays on edit
+    // Redraws whatever view the selection was made in
+    refreshAfterBulk: function () {
+        this.state.cache.schedules = null;
+        if (this.state.viewMode === 'calendar') this.reloadCalendar();
+        else if (this.state.viewMode === 'list') this.renderListView();
+        else if (this.state.viewMode === 'dept_list') this.renderDeptListView();
+    },
 
-            const schedule = (this.state.cache.schedules || []).find(s => String(s.id) === String(eventId));
-            if (schedule) {
-                document.getElementById('schedule-id').value = eventId;
-                titleInput.value = schedule.title;
-                startInput.value = schedule.start_date;
-                endInput.value = schedule.end_date || schedule.start_date;
+    openBulkEditModal: async function () {
+        const ids = [...this.state.bulkSelection];
+        if (ids.length === 0) return;
 
-                deptSelect.value = schedule.dept_id;
-                visSelect.value = schedule.visibility;
-                descInput.value = schedule.description || '';
-                printCheck.checked = schedule.is_printable !== false;
-                includeHolidaysCheck.checked = schedule.weekend === 'on';
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['bulk-edit']) {
+                const response = await fetch('pages/modal-bulk-edit.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status} `);
+                this.state.templates['bulk-edit'] = await response.text();
             }
-        } else {
-            recurSection.classList.remove('hidden');
+            modalContainer.innerHTML = this.state.templates['bulk-edit'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load bulk edit modal", e);
+            alert('모달을 불러올 수 없습니다. (' + e.message + ')');
+            return;
+        }
 
-            // Check if defaultDate is a holiday or weekend
-            const data = this.state.calendarData || { redDayMap: {} };
-            const isHoliday = defaultDate && data.redDayMap && data.redDayMap[defaultDate];
-            const isWeekend = defaultDate && ([0, 6].includes(new Date(defaultDate).getDay()));
+        const { data: rows, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .select('*')
+            .in('id', ids)
+            .is('deleted_at', null);
+        if (error) {
+            console.error(error);
+            alert('일정을 불러오지 못했습니다: ' + error.message);
+            this.closeModal();
+            return;
+        }
 
-            if (isHoliday || isWeekend) {
-                includeHolidaysWrapper.classList.add('hidden');
-            } else {
-                includeHolidaysWrapper.classList.remove('hidden');
-            }
+        // Department ids are per academic year, so the choice is made by name
+        const years = [...new Set((rows || []).map(r => this.getAcademicYear(r.start_date)))];
+        const deptsByYear = {};
+        for (const ay of years) deptsByYear[ay] = await this.fetchDepartments(ay);
 
-            includeHolidaysCheck.checked = false; // Default: unchecked
-            if (defaultDate) {
-                startInput.value = defaultDate;
-                endInput.value = defaultDate;
-            } else {
-                startInput.value = new Date().toISOString().split('T')[0];
-                endInput.value = startInput.value;
+        const deptSelect = document.getElementById('bulk-dept');
+        const names = [];
+        years.forEach(ay => deptsByYear[ay].forEach(d => { if (!names.includes(d.dept_name)) names.push(d.dept_name); }));
+        names.forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = name;
+            opt.textContent = name;
+            deptSelect.appendChild(opt);
+        });
+        document.getElementById('bulk-count').textContent = (rows || []).length;
+
+        const close = () => this.closeModal();
+        document.getElementById('btn-bulk-close').onclick = close;
+        document.getElementById('btn-bulk-cancel').onclick = close;
+
+        const conflictReport = document.getElementById('bulk-conflict-report');
+        let conflictsAcknowledged = false;
+        document.getElementById('bulk-shift').onchange = () => {
+            conflictsAcknowledged = false;
+            conflictReport.classList.add('hidden');
+        };
+
+        const btnApply = document.getElementById('btn-bulk-apply');
+        btnApply.onclick = async () => {
+            const changes = {};
+            if (deptSelect.value) changes.dept_name = deptSelect.value;
+            const visibility = document.getElementById('bulk-visibility').value;
+            if (visibility) changes.visibility = visibility;
+            const printable = document.getElementById('bulk-printable').value;
+            if (printable) changes.is_printable = printable === 'true';
+            const weekend = document.getElementById('bulk-weekend').value;
+            if (weekend) changes.weekend = weekend === 'on' ? 'on' : null;
+            const shift = parseInt(document.getElementById('bulk-shift').value) || 0;
+
+            if (Object.keys(changes).length === 0 && shift === 0) {
+                alert('변경할 항목을 선택해주세요.');
+                return;
+            }
+            // Rows moved into another academic year need that year's departments
+            if (shift) {
+                const newYears = new Set(rows.map(r => this.getAcademicYear(this.shiftDateStr(r.start_date, shift))));
+                for (const ay of newYears) {
+                    if (!deptsByYear[ay]) deptsByYear[ay] = await this.fetchDepartments(ay);
+                }
+            }
+            const entries = this.buildBulkPatches(rows, changes, shift, deptsByYear);
+
+            // Moved dates go through the same conflict check as the schedule modal
+            if (shift && !conflictsAcknowledged) {
+                const moved = entries.map(({ row, patch }) => ({ ...row, ...patch }));
+                const conflicts = await this.findScheduleConflicts(moved, { ignoreIds: rows.map(r => r.id) });
+                if (conflicts.length > 0) {
+                    const years = [...new Set(moved.map(r => this.getAcademicYear(r.start_date)))];
+                    const policies = await Promise.all(years.map(y => this.getConflictPolicy(y)));
+                    const blocked = policies.includes('block') && this.state.role !== 'admin';
+                    this.renderConflictReport(conflictReport, conflicts, blocked);
+                    if (blocked) return;
+                    conflictsAcknowledged = true;
+                    alert(`일정 충돌 ${conflicts.length}건이 있습니다. 목록을 확인한 뒤 다시 적용을 누르면 그대로 수정됩니다.`);
+                    return;
+                }
             }
-            // Init Repeat Options
-            repeatCheck.checked = false;
-            recurOptions.classList.add('hidden');
-        }
 
-        // 6. Event Listeners
-        document.getElementById('btn-modal-close').onclick = () => this.closeModal();
-        document.getElementById('btn-cancel').onclick = () => this.closeModal();
+            if (!confirm(`${rows.length}건의 일정을 일괄 수정하시겠습니까?`)) return;
 
-        repeatCheck.onchange = () => {
-            if (repeatCheck.checked) {
-                recurOptions.classList.remove('hidden');
-                if (!rUntil.value) {
-                    // Default until: 1 month later
-                    const d = this.parseLocal(startInput.value);
-                    d.setMonth(d.getMonth() + 1);
-                    rUntil.value = this.formatLocal(d);
-                }
-            } else {
-                recurOptions.classList.add('hidden');
+            btnApply.disabled = true;
+            btnApply.textContent = '적용 중...';
+            const result = await this.applyBulkUpdate(entries);
+            btnApply.disabled = false;
+            btnApply.textContent = '적용';
+
+            // Groups written before a failure are logged all the same
+            if (result.updated.length > 0) {
+                this.logAction('BULK_UPDATE', 'schedules', result.updated[0], {
+                    ids: result.updated,
+                    count: result.updated.length,
+                    changes: { ...changes, ...(shift ? { shift_days: shift } : {}) }
+                });
+            }
+            if (result.error) {
+                alert('일괄 수정 실패: ' + result.error.message + (result.updated.length > 0 ? `\n(${result.updated.length}건은 수정되었습니다.)` : ''));
+                if (result.updated.length > 0) this.refreshAfterBulk();
+                return;
+            }
+            if (result.updated.length < rows.length) {
+                alert(`${rows.length}건 중 ${result.updated.length}건을 수정했습니다.\n(나머지는 수정 권한이 없거나 대상 학년도에 같은 부서가 없습니다.)`);
             }
+            this.closeModal();
+            this.clearBulkSelection();
+            this.refreshAfterBulk();
+            this.showToast(`${result.updated.length}건의 일정을 수정했습니다.`);
         };
+    },
 
-        visSelect.onchange = () => {
-            const hints = {
-                'public': '모두에게 공개합니다.',
-                'internal': '교직원에게만 공개됩니다.',
-                'dept': '소속 부서원만 볼 수 있습니다.'
-            };
-            visHint.textContent = hints[visSelect.value] || '';
-        };
-        visSelect.onchange();
+    // One patch per row. Department ids are per academic year, so a new department and a move
+    // into another year are both mapped by name; rows without a matching department are left out.
+    buildBulkPatches: function (rows, changes, shift, deptsByYear) {
+        const entries = [];
+        rows.forEach(row => {
+            const patch = {};
+            if (changes.visibility) patch.visibility = changes.visibility;
+            if ('is_printable' in changes) patch.is_printable = changes.is_printable;
+            if ('weekend' in changes) patch.weekend = changes.weekend;
+            if (shift) {
+                patch.start_date = this.shiftDateStr(row.start_date, shift);
+                patch.end_date = this.shiftDateStr(row.end_date || row.start_date, shift);
+            }
 
-        btnDelete.onclick = async () => {
-            if (confirm('정말 삭제하시겠습니까?')) {
-                const { error } = await window.SupabaseClient.supabase
-                    .from('schedules')
-                    .delete()
-                    .eq('id', document.getElementById('schedule-id').value);
+            const oldYear = this.getAcademicYear(row.start_date);
+            const newYear = this.getAcademicYear(patch.start_date || row.start_date);
+            const oldDepts = deptsByYear[oldYear] || [];
+            const newDepts = deptsByYear[newYear] || [];
+            const nameOf = (id) => (oldDepts.find(d => String(d.id) === String(id)) || {}).dept_name;
 
-                if (error) {
-                    alert('삭제 실패: ' + error.message);
-                } else {
-                    this.logAction('DELETE', 'schedules', document.getElementById('schedule-id').value, { title: titleInput.value });
-                    this.closeModal();
-                    this.initCalendar();
-                }
+            let coIds = row.co_dept_ids || [];
+            if (newYear !== oldYear) {
+                coIds = coIds.map(id => (newDepts.find(d => d.dept_name === nameOf(id)) || {}).id).filter(Boolean);
             }
-        };
 
-        form.onsubmit = async (e) => {
-            e.preventDefault();
+            const deptName = changes.dept_name || (newYear !== oldYear && row.dept_id ? (row.dept_name || nameOf(row.dept_id)) : null);
+            if (deptName) {
+                const dept = newDepts.find(d => d.dept_name === deptName);
+                if (!dept) return;
+                patch.dept_id = dept.id;
+                patch.dept_name = dept.dept_name;
+                // The owner can't also be a co-host
+                coIds = coIds.filter(id => String(id) !== String(dept.id));
+            }
+            if (JSON.stringify(coIds) !== JSON.stringify(row.co_dept_ids || [])) patch.co_dept_ids = coIds;
 
-            const scheduleId = document.getElementById('schedule-id').value;
-            const selectedDeptOption = deptSelect.options[deptSelect.selectedIndex];
-            const deptName = selectedDeptOption ? selectedDeptOption.text : '';
+            entries.push({ row, patch });
+        });
+        return entries;
+    },
 
-            const baseData = {
-                title: titleInput.value,
-                dept_id: deptSelect.value,
-                dept_name: deptName, // Store name for recovery
-                visibility: visSelect.value,
-                description: descInput.value,
-                is_printable: printCheck.checked,
-                weekend: includeHolidaysCheck.checked ? 'on' : null,
-                author_id: this.state.user.id
-            };
+    // Sends rows with identical patches in a single update
+    applyBulkUpdate: async function (entries) {
+        const groups = {};
+        entries.forEach(({ row, patch }) => {
+            const key = JSON.stringify(patch);
+            if (!groups[key]) groups[key] = { patch, ids: [] };
+            groups[key].ids.push(row.id);
+        });
 
-            const startDateStr = startInput.value;
-            const endDateStr = endInput.value;
+        const updated = [];
+        for (const { patch, ids } of Object.values(groups)) {
+            const { data, error } = await window.SupabaseClient.supabase
+                .from('schedules')
+                .update(patch)
+                .in('id', ids)
+                .select('id');
+            if (error) {
+                console.error(error);
+                return { updated, error };
+            }
+            (data || []).forEach(r => updated.push(r.id));
+        }
+        return { updated, error: null };
+    },
 
-            // Recurrence Generation
-            const isRecurring = !scheduleId && repeatCheck.checked;
+    bulkDeleteSchedules: async function () {
+        const ids = [...this.state.bulkSelection];
+        if (ids.length === 0) return;
+        if (!confirm(`선택한 ${ids.length}건의 일정을 휴지통으로 이동하시겠습니까?`)) return;
 
-            const btnSave = document.getElementById('btn-save');
-            btnSave.disabled = true;
-            btnSave.textContent = isRecurring ? '반복 일정 생성 중...' : '저장 중...';
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .update(this.getTrashMark())
+            .in('id', ids)
+            .select('id');
 
-            let batchData = [];
+        if (error) {
+            alert('삭제 실패: ' + error.message);
+            return;
+        }
+        if (!data || data.length === 0) {
+            alert('삭제 실패: 삭제 권한이 없습니다.');
+            return;
+        }
 
-            if (isRecurring) {
-                const untilStr = rUntil.value;
-                const freq = rFreq.value;
+        const trashed = data.map(r => r.id);
+        this.logAction('BULK_DELETE', 'schedules', trashed[0], { ids: trashed, count: trashed.length, trash: true });
+        this.clearBulkSelection();
+        this.refreshAfterBulk();
+        this.showToast(`${trashed.length}건을 휴지통으로 이동했습니다.`, {
+            actionLabel: '되돌리기',
+            onAction: async () => {
+                const { error: restoreErr } = await this.restoreSchedules(trashed);
+                if (restoreErr) alert('복원 실패: ' + restoreErr.message);
+                else this.refreshAfterBulk();
+            }
+        });
+    },
 
-                if (untilStr <= startDateStr) {
-                    alert('반복 종료일은 시작일 이후여야 합니다.');
-                    btnSave.disabled = false;
-                    return;
-                }
+    // --- Copy Range ---
+
+    // Maps a source date into the target range.
+    // week:  same weekday, shifted by whole weeks from the first matching weekday on/after targetStart
+    // month: same n-th weekday of the month (5th -> last), months counted from the source start month
+    alignCopyDate: function (dateStr, sourceStart, targetStart, mode) {
+        if (mode === 'month') {
+            const d = this.parseLocal(dateStr);
+            const src = this.parseLocal(sourceStart);
+            const tgt = this.parseLocal(targetStart);
+            const monthOffset = (d.getFullYear() - src.getFullYear()) * 12 + (d.getMonth() - src.getMonth());
+            const target = new Date(tgt.getFullYear(), tgt.getMonth() + monthOffset, 1);
+            const pos = Math.ceil(d.getDate() / 7);
+            const aligned = this.nthWeekdayOfMonth(target.getFullYear(), target.getMonth(), d.getDay(), pos > 4 ? -1 : pos);
+            return this.formatLocal(aligned);
+        }
 
-                // Calculate Duration
-                const d1 = new Date(startDateStr);
-                const d2 = new Date(endDateStr);
-                const durationMs = d2 - d1;
+        const srcDow = this.parseLocal(sourceStart).getDay();
+        const tgtDow = this.parseLocal(targetStart).getDay();
+        const firstTarget = this.shiftDateStr(targetStart, (srcDow - tgtDow + 7) % 7);
+        return this.shiftDateStr(dateStr, this.diffDays(sourceStart, firstTarget));
+    },
+
+    // Builds insert rows for the copies; departments and venues are matched by name
+    // in the target academic year (same approach as repairOrphanedSchedules)
+    buildCopyRows: async function (sources, { sourceStart, targetStart, mode }) {
+        const supabase = window.SupabaseClient.supabase;
+
+        // Current names of the source departments (fall back to the stored dept_name)
+        const srcDeptIds = [...new Set(sources.flatMap(s => this.getScheduleDeptIds(s)))];
+        const srcDeptNames = {};
+        if (srcDeptIds.length > 0) {
+            const { data } = await supabase.from('departments').select('id, dept_name').in('id', srcDeptIds);
+            (data || []).forEach(d => { srcDeptNames[d.id] = (d.dept_name || '').trim(); });
+        }
 
-                let curr = new Date(startDateStr);
-                const until = new Date(untilStr);
-                let limit = 0;
+        const yearCache = {};
+        const loadYear = async (ay) => {
+            if (!yearCache[ay]) {
+                const [depts, venues, periods] = await Promise.all([
+                    this.fetchDepartments(ay), this.fetchVenues(ay), this.getPeriods(ay)
+                ]);
+                const deptMap = {};
+                depts.forEach(d => { deptMap[(d.dept_name || '').trim()] = d; });
+                const venueMap = {};
+                venues.forEach(v => { venueMap[(v.name || '').trim()] = v.id; });
+                yearCache[ay] = { deptMap, venueMap, periods };
+            }
+            return yearCache[ay];
+        };
 
-                while (curr <= until && limit < 52) { // Safety limit 52 (1 year weekly)
-                    const loopStart = curr.toISOString().split('T')[0];
-                    const loopEnd = new Date(curr.getTime() + durationMs).toISOString().split('T')[0];
+        const srcVenueNames = {};
+        for (const ay of [...new Set(sources.map(s => this.getAcademicYear(s.start_date)))]) {
+            (await this.fetchVenues(ay)).forEach(v => { srcVenueNames[v.id] = (v.name || '').trim(); });
+        }
 
-                    batchData.push({
-                        ...baseData,
-                        start_date: loopStart,
-                        end_date: loopEnd
-                    });
+        const rows = [];
+        for (const s of sources) {
+            const startDate = this.alignCopyDate(s.start_date, sourceStart, targetStart, mode);
+            const endDate = this.shiftDateStr(startDate, this.diffDays(s.start_date, s.end_date || s.start_date));
+            const { deptMap, venueMap, periods } = await loadYear(this.getAcademicYear(startDate));
+
+            const deptName = srcDeptNames[s.dept_id] || (s.dept_name || '').trim();
+            const dept = deptMap[deptName];
+            const coDeptIds = (s.co_dept_ids || [])
+                .map(id => deptMap[srcDeptNames[id]])
+                .filter(Boolean)
+                .map(d => d.id);
+
+            const row = {
+                title: s.title,
+                start_date: startDate,
+                end_date: endDate,
+                dept_id: dept ? dept.id : null,
+                dept_name: dept ? dept.dept_name : (s.dept_name || deptName || null),
+                co_dept_ids: coDeptIds,
+                target_grades: s.target_grades || [],
+                target_classes: s.target_classes || [],
+                assignee_ids: s.assignee_ids || [],
+                rsvp_enabled: !!s.rsvp_enabled,
+                visibility: s.visibility,
+                description: s.description,
+                is_printable: s.is_printable !== false,
+                weekend: s.weekend,
+                venue_id: (s.venue_id && venueMap[srcVenueNames[s.venue_id]]) || null,
+                start_time: s.start_time,
+                end_time: s.end_time,
+                start_period: s.start_period,
+                end_period: s.end_period,
+                author_id: this.state.user.id
+            };
 
-                    // Next Step
-                    if (freq === 'weekly') curr.setDate(curr.getDate() + 7);
-                    else if (freq === 'biweekly') curr.setDate(curr.getDate() + 14);
-                    else if (freq === 'monthly') curr.setMonth(curr.getMonth() + 1);
+            // Period clock times follow the target year's timetable
+            if (s.start_period) {
+                const first = periods.find(p => Number(p.period) === Number(s.start_period));
+                const last = periods.find(p => Number(p.period) === Number(s.end_period || s.start_period));
+                row.start_time = first ? first.start : null;
+                row.end_time = last ? last.end : null;
+            }
+            rows.push({ row, source: s, deptMatched: !deptName || !!dept });
+        }
+        return rows;
+    },
 
-                    limit++;
-                }
+    openCopyRangeModal: async function () {
+        const modalContainer = document.getElementById('modal-container');
+        try {
+            if (!this.state.templates['copy-range']) {
+                const response = await fetch('pages/modal-copy-range.html');
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status} `);
+                this.state.templates['copy-range'] = await response.text();
+            }
+            modalContainer.innerHTML = this.state.templates['copy-range'];
+            modalContainer.classList.remove('invisible');
+        } catch (e) {
+            console.error("Failed to load copy range modal", e);
+            alert('모달을 불러올 수 없습니다. (' + e.message + ')');
+            return;
+        }
 
-                if (batchData.length === 0) batchData.push({ ...baseData, start_date: startDateStr, end_date: endDateStr });
+        const srcStartInput = document.getElementById('copy-source-start');
+        const srcEndInput = document.getElementById('copy-source-end');
+        const tgtStartInput = document.getElementById('copy-target-start');
+        const alignSelect = document.getElementById('copy-align');
+        const previewBox = document.getElementById('copy-preview');
+        const previewSummary = document.getElementById('copy-preview-summary');
+        const previewBody = document.getElementById('copy-preview-body');
+        const conflictReport = document.getElementById('copy-conflict-report');
+        const btnPreview = document.getElementById('btn-copy-preview');
+        const btnSubmit = document.getElementById('btn-copy-submit');
+
+        let prepared = [];
+        let conflictsAcknowledged = false;
+
+        document.getElementById('btn-copy-close').onclick = () => this.closeModal();
+
+        // Any change invalidates the preview
+        const reset = () => {
+            prepared = [];
+            conflictsAcknowledged = false;
+            btnSubmit.disabled = true;
+            previewBox.classList.add('hidden');
+            conflictReport.classList.add('hidden');
+        };
+        [srcStartInput, srcEndInput, tgtStartInput, alignSelect].forEach(el => { el.onchange = reset; });
 
-            } else {
-                batchData.push({
-                    ...baseData,
-                    start_date: startDateStr,
-                    end_date: endDateStr
-                });
+        // Month-long ranges default to n-th weekday alignment
+        srcEndInput.addEventListener('change', () => {
+            if (srcStartInput.value && srcEndInput.value) {
+                alignSelect.value = this.diffDays(srcStartInput.value, srcEndInput.value) >= 27 ? 'month' : 'week';
             }
+        });
 
-            let result;
-            if (scheduleId) {
-                // UPDATE (Single)
-                result = await window.SupabaseClient.supabase
-                    .from('schedules')
-                    .update(batchData[0])
-                    .eq('id', scheduleId)
-                    .select();
-            } else {
-                // INSERT (Maybe Batch)
-                result = await window.SupabaseClient.supabase
-                    .from('schedules')
-                    .insert(batchData)
-                    .select();
+        btnPreview.onclick = async () => {
+            reset();
+            const sourceStart = srcStartInput.value;
+            const sourceEnd = srcEndInput.value;
+            const targetStart = tgtStartInput.value;
+            if (!sourceStart || !sourceEnd || !targetStart) {
+                alert('원본 기간과 대상 시작일을 입력해주세요.');
+                return;
+            }
+            if (sourceEnd < sourceStart) {
+                alert('원본 종료일은 시작일 이후여야 합니다.');
+                return;
             }
 
-            if (result.error) {
-                console.error(result.error);
-                alert('저장 실패: ' + result.error.message);
-                btnSave.disabled = false;
-                btnSave.textContent = '저장';
-            } else {
-                const action = scheduleId ? 'UPDATE' : 'INSERT';
-                // Log only first ID or special bulk log
-                if (batchData.length > 1) {
-                    this.logAction('RECUR_INSERT', 'schedules', null, { count: batchData.length, title: baseData.title });
-                } else {
-                    const id = scheduleId || result.data[0].id;
-                    this.logAction(action, 'schedules', id, { title: baseData.title, dept: baseData.dept_id });
+            btnPreview.disabled = true;
+            btnPreview.textContent = '불러오는 중...';
+            const { data: sources, error } = await window.SupabaseClient.supabase
+                .from('schedules')
+                .select('*')
+                .gte('start_date', sourceStart)
+                .lte('start_date', sourceEnd)
+                .is('deleted_at', null)
+                .eq('approval_status', 'approved') // Copies are inserted as approved; pending/rejected stay behind
+                .order('start_date', { ascending: true });
+            btnPreview.disabled = false;
+            btnPreview.textContent = '미리보기';
+
+            if (error) {
+                console.error(error);
+                alert('일정을 불러오지 못했습니다: ' + error.message);
+                return;
+            }
+            if (!sources || sources.length === 0) {
+                alert('원본 기간에 복사할 일정이 없습니다.');
+                return;
+            }
+
+            prepared = await this.buildCopyRows(sources, { sourceStart, targetStart, mode: alignSelect.value });
+            const unmatched = prepared.filter(p => !p.deptMatched).length;
+
+            previewSummary.innerHTML = `총 <b>${prepared.length}</b>건을 복사합니다.` +
+                (unmatched > 0 ? ` <span class="text-red-500">(대상 학년도에 없는 부서 ${unmatched}건은 부서 없이 복사)</span>` : '');
+            previewBody.innerHTML = prepared.map(p => `
+                <tr class="border-t">
+                    <td class="px-2 py-1 text-gray-500 whitespace-nowrap">${p.source.start_date}</td>
+                    <td class="px-2 py-1 font-medium whitespace-nowrap">${p.row.start_date}${p.row.end_date !== p.row.start_date ? ' ~ ' + p.row.end_date : ''}</td>
+                    <td class="px-2 py-1">${this.escapeHtml(p.row.title)}</td>
+                    <td class="px-2 py-1 ${p.deptMatched ? '' : 'text-red-500'}">${this.escapeHtml(p.row.dept_name || '-')}${p.deptMatched ? '' : ' (없음)'}</td>
+                </tr>
+            `).join('');
+            previewBox.classList.remove('hidden');
+            btnSubmit.disabled = false;
+        };
+
+        btnSubmit.onclick = async () => {
+            if (prepared.length === 0) return;
+            const rows = prepared.map(p => p.row);
+
+            if (!conflictsAcknowledged) {
+                const conflicts = await this.findScheduleConflicts(rows);
+                if (conflicts.length > 0) {
+                    // Bulk copies follow the target year's policy even for admins (the copy may span two years)
+                    const years = [...new Set(rows.map(r => this.getAcademicYear(r.start_date)))];
+                    const policies = await Promise.all(years.map(y => this.getConflictPolicy(y)));
+                    const blocked = policies.includes('block');
+                    this.renderConflictReport(conflictReport, conflicts, blocked);
+                    if (blocked) {
+                        btnSubmit.disabled = true;
+                        alert(`일정 충돌 ${conflicts.length}건이 있어 복사할 수 없습니다. 대상 학년도의 충돌 정책이 '저장 차단'입니다.`);
+                        return;
+                    }
+                    conflictsAcknowledged = true;
+                    alert(`일정 충돌 ${conflicts.length}건이 있습니다. 목록을 확인한 뒤 다시 복사를 누르면 그대로 등록됩니다.`);
+                    return;
                 }
+            }
 
-                this.closeModal();
-                this.initCalendar();
+            if (!confirm(`${rows.length}건의 일정을 복사하시겠습니까?`)) return;
+
+            btnSubmit.disabled = true;
+            btnSubmit.textContent = '복사 중...';
+            const { data, error } = await window.SupabaseClient.supabase
+                .from('schedules')
+                .insert(rows)
+                .select('id, start_date');
+
+            if (error) {
+                console.error(error);
+                alert('복사 실패: ' + error.message);
+                btnSubmit.disabled = false;
+                btnSubmit.textContent = '복사';
+                return;
             }
-        };
-    },
 
-    closeModal: function () {
-        const modalContainer = document.getElementById('modal-container');
-        modalContainer.classList.add('invisible');
-        modalContainer.innerHTML = '';
+            const { error: taskErr } = await this.copyScheduleTasks(prepared.map(p => p.source.id), data || []);
+            if (taskErr) {
+                console.error(taskErr);
+                alert('일정은 복사되었지만 준비 업무 복사에 실패했습니다: ' + taskErr.message);
+            }
+
+            this.logAction('COPY_RANGE', 'schedules', data && data[0] ? data[0].id : null, {
+                source: `${srcStartInput.value}~${srcEndInput.value}`,
+                target: tgtStartInput.value,
+                align: alignSelect.value,
+                count: rows.length
+            });
+            alert(`${rows.length}건의 일정이 복사되었습니다.`);
+            this.closeModal();
+            this.state.cache.schedules = null;
+        };
     },
 
     // --- Print Logic ---
@@ -4266,6 +8745,25 @@ const App = {
                 if (orientSelect) orientSelect.value = 'portrait';
                 const sizeSelect = document.getElementById('print-size');
                 if (sizeSelect) sizeSelect.value = 'A4';
+            } else if (mode === 'year') {
+                const viewInput = document.querySelector('input[name="print-view"]');
+                if (viewInput) viewInput.value = 'year';
+
+                const viewTitle = document.getElementById('print-view-title');
+                if (viewTitle) viewTitle.textContent = '연간 일정 (학년도)';
+
+                const viewIcon = document.getElementById('print-view-icon');
+                if (viewIcon) viewIcon.textContent = 'calendar_view_month';
+
+                // One A3 sheet: 4 x 3 months
+                const orientSelect = document.getElementById('print-orient');
+                if (orientSelect) orientSelect.value = 'landscape';
+                const sizeSelect = document.getElementById('print-size');
+                if (sizeSelect) sizeSelect.value = 'A3';
+
+                // Day counts only, nothing to scope by grade
+                const gradeWrapper = document.getElementById('print-grade-wrapper');
+                if (gradeWrapper) gradeWrapper.classList.add('hidden');
             } else if (mode === 'dept_list') {
                 const viewInput = document.querySelector('input[name="print-view"]');
                 if (viewInput) viewInput.value = 'dept_list';
@@ -4340,6 +8838,14 @@ const App = {
             return;
         }
 
+        const gradeSelect = document.getElementById('print-grade');
+        this.GRADES.forEach(g => {
+            const opt = document.createElement('option');
+            opt.value = g;
+            opt.textContent = `${g}학년`;
+            gradeSelect.appendChild(opt);
+        });
+
         // Bind Events
         document.getElementById('btn-print-close').onclick = () => this.closeModal();
         document.getElementById('btn-print-cancel').onclick = () => this.closeModal();
@@ -4356,7 +8862,9 @@ const App = {
             const customStart = document.getElementById('print-start-date')?.value;
             const customEnd = document.getElementById('print-end-date')?.value;
 
-            this.executePrint(size, orient, isScale, viewType, customStart, customEnd);
+            const grade = gradeSelect.value ? parseInt(gradeSelect.value) : null;
+
+            this.executePrint(size, orient, isScale, viewType, customStart, customEnd, grade);
         };
     },
 
@@ -4412,7 +8920,7 @@ const App = {
         };
     },
 
-    executePrint: async function (size, orient, isScale, viewType, customStart, customEnd) {
+    executePrint: async function (size, orient, isScale, viewType, customStart, customEnd, grade = null) {
         this.closeModal();
 
         // Store original state if custom range is used
@@ -4432,7 +8940,7 @@ const App = {
         // 2. Prepare View
         if (viewType === 'dept_list' && customStart && customEnd) {
             await this.renderDeptListView(customStart, customEnd);
-        } else if (viewType === 'weekly_plan' || viewType === 'dept_list') {
+        } else if (viewType === 'weekly_plan' || viewType === 'dept_list' || viewType === 'year') {
             // Just render current month if no custom range but dept_list
             if (viewType === 'dept_list') await this.renderDeptListView();
         } else if (this.state.calendar) {
@@ -4445,7 +8953,7 @@ const App = {
 
         // 3. Inject Print-Only Header (ONLY FOR CALENDAR VIEWS)
         let printHeader = null;
-        if (viewType !== 'weekly_plan' && viewType !== 'dept_list') {
+        if (viewType !== 'weekly_plan' && viewType !== 'dept_list' && viewType !== 'year') {
             printHeader = document.querySelector('.print-only-header');
             if (!printHeader) {
                 printHeader = document.createElement('div');
@@ -4453,13 +8961,31 @@ const App = {
                 document.body.prepend(printHeader);
             }
 
-            const calendarTitle = document.querySelector('.fc-toolbar-title')?.textContent || '';
+            const calendarTitle = (document.querySelector('.fc-toolbar-title')?.textContent || '') + (grade ? ` (${grade}학년)` : '');
             printHeader.innerHTML = `
                 <div class="print-header-left">${calendarTitle}</div>
                 <div class="print-header-right">${schoolDisplayName}</div>
             `;
         }
 
+        // Views are already drawn through the saved filters; say so on paper so a partial plan isn't taken for the whole
+        const filterSummary = this.describeFilters();
+        let filterNote = null;
+        if (filterSummary) {
+            const anchor = {
+                weekly_plan: document.getElementById('list-view-printable'),
+                dept_list: document.getElementById('dept-print-header'),
+                year: document.getElementById('year-print-header')
+            }[viewType] || (printHeader && printHeader.querySelector('.print-header-left'));
+            if (anchor) {
+                filterNote = document.createElement('div');
+                filterNote.className = 'print-filter-note';
+                filterNote.textContent = `필터 적용: ${filterSummary}`;
+                if (viewType === 'weekly_plan') anchor.prepend(filterNote);
+                else anchor.appendChild(filterNote);
+            }
+        }
+
         // 4. Apply Classes to Body
         const body = document.body;
         const previousClasses = body.className;
@@ -4478,9 +9004,11 @@ const App = {
         }
         // USER REQUEST: margin 10mm
         styleEl.textContent = `@page { size: ${size} ${orient}; margin: 10mm!important; } `;
+        // Grade-scoped print: hide schedules aimed only at other grades (whole-school ones stay)
+        if (grade) styleEl.textContent += `.grade-target:not(.grade-t${grade}) { display: none !important; } `;
 
         // 6. Force Layout for Print: Expand fully without internal scroll
-        if (viewType !== 'weekly_plan' && viewType !== 'dept_list' && this.state.calendar) {
+        if (viewType !== 'weekly_plan' && viewType !== 'dept_list' && viewType !== 'year' && this.state.calendar) {
             this.state.calendar.setOption('height', 'auto');
             this.state.calendar.setOption('expandRows', false);
             this.state.calendar.updateSize();
@@ -4495,12 +9023,13 @@ const App = {
             body.className = previousClasses;
             if (styleEl) styleEl.remove();
             if (printHeader) printHeader.remove();
+            if (filterNote) filterNote.remove();
 
             if (viewType === 'dept_list') {
                 await this.renderDeptListView(); // Restore original month view
             }
 
-            if (this.state.calendar && viewType !== 'weekly_plan' && viewType !== 'dept_list') {
+            if (this.state.calendar && viewType !== 'weekly_plan' && viewType !== 'dept_list' && viewType !== 'year') {
                 this.state.calendar.setOption('height', '100%');
                 this.state.calendar.setOption('expandRows', true);
                 if (viewType === 'list') {
@@ -4541,11 +9070,19 @@ const App = {
         const previewCount = document.getElementById('preview-count');
         const errorList = document.getElementById('preview-error-list');
         const yearSelect = document.getElementById('excel-year-select');
+        const conflictReport = document.getElementById('excel-conflict-report');
 
         let parsedBasic = [];
         let parsedNormal = [];
         let excelCount = 0;
         let yearDepartments = [];
+        let yearVenues = [];
+        let importConflictsAcknowledged = false;
+
+        const refreshYearDepts = async () => {
+            yearDepartments = await this.fetchDepartments(parseInt(yearSelect.value));
+            yearVenues = await this.fetchVenues(parseInt(yearSelect.value));
+        };
 
         // Populate Year Options (Do this first, synchronously)
         const currentYear = this.state.currentYear || new Date().getFullYear();
@@ -4571,7 +9108,7 @@ const App = {
         document.getElementById('btn-download-template').onclick = () => {
             const wb = XLSX.utils.book_new();
             const ws_data = [
-                ['구분(기본/휴일/일반)', '부서명(일반인 경우)', '일정명', '시작일(YYYY-MM-DD)', '종료일(YYYY-MM-DD)', '내용', '공개범위(전체/교직원/부서)', '주말포함(on)'],
+                ['구분(기본/휴일/일반)', '부서명(일반인 경우)', '일정명', '시작일(YYYY-MM-DD)', '종료일(YYYY-MM-DD)', '내용', '공개범위(전체/교직원/부서)', '주말포함(on)', '장소(일반인 경우)'],
                 ['기본', '', '여름방학', '2026-07-22', '2026-08-12', '', '전체'],
                 ['기본', '', '겨울방학', '2026-01-07', '', '', '전체'],
                 ['기본', '', '봄방학', '', '', '', '전체'],
@@ -4581,7 +9118,7 @@ const App = {
                 ['기본', '', '2학기 2차지필', '2026-12-10', '2026-12-16', '', '전체'],
                 ['기본', '', '3학년 2학기 2차지필', '', '', '', '전체'],
                 ['휴일', '', '대체공휴일', '2026-05-06', '2026-05-06', '', '전체'],
-                ['일반', '교무기획부', '학부모총회', '2026-03-15', '2026-03-16', '강당', '전체']
+                ['일반', '교무기획부', '학부모총회', '2026-03-15', '2026-03-16', '', '전체', '', '강당']
             ];
             const ws = XLSX.utils.aoa_to_sheet(ws_data);
             XLSX.utils.book_append_sheet(wb, ws, '일정양식');
@@ -4646,6 +9183,8 @@ const App = {
                 const depts = yearDepartments;
                 parsedBasic = [];
                 parsedNormal = [];
+                importConflictsAcknowledged = false;
+                this.renderConflictReport(conflictReport, [], false);
                 let errors = [];
 
                 // Use the year selected in dropdown
@@ -4677,6 +9216,7 @@ const App = {
                     const desc = (row[5] || '').toString().trim();
                     const visibilityRaw = (row[6] || '').toString().trim();
                     const weekendRaw = (row[7] || '').toString().trim().toLowerCase(); // Column index 7
+                    const venueRaw = (row[8] || '').toString().trim();
 
                     if (!title || !start) {
                         // Only skip if completely empty
@@ -4742,6 +9282,14 @@ const App = {
                             }
                         }
 
+                        // Venue by name (optional)
+                        let venueId = null;
+                        if (venueRaw) {
+                            const venue = yearVenues.find(v => normalize(v.name) === normalize(venueRaw));
+                            if (venue) venueId = venue.id;
+                            else errors.push(`${idx + 2}행: 장소 오류('${venueRaw}'은(는) ${selectedYear}학년도 장소 목록에 없습니다.)`);
+                        }
+
                         if (targetDept && targetDept.id) {
                             // Map Visibility
                             let visibility = 'internal';
@@ -4757,7 +9305,8 @@ const App = {
                                 visibility,
                                 author_id: this.state.user.id,
                                 is_printable: true,
-                                weekend: weekendRaw === 'on' ? 'on' : null
+                                weekend: weekendRaw === 'on' ? 'on' : null,
+                                venue_id: venueId
                             });
                             excelCount++;
                         }
@@ -4932,6 +9481,23 @@ const App = {
             const selectedYear = yearSelect.value;
             if (parsedBasic.length === 0 && parsedNormal.length === 0) return;
 
+            // Conflict check for department schedules (exam/vacation periods incl. this file's, timed overlaps)
+            if (parsedNormal.length > 0 && !importConflictsAcknowledged) {
+                const conflicts = await this.findScheduleConflicts(parsedNormal, { extraBasics: parsedBasic });
+                if (conflicts.length > 0) {
+                    const policy = await this.getConflictPolicy(parseInt(selectedYear));
+                    const blocked = policy === 'block' && this.state.role !== 'admin';
+                    this.renderConflictReport(conflictReport, conflicts, blocked);
+                    if (blocked) {
+                        btnUpload.disabled = true;
+                        return;
+                    }
+                    importConflictsAcknowledged = true;
+                    alert(`일정 충돌 ${conflicts.length}건이 있습니다. 목록을 확인한 뒤 다시 업로드를 누르면 그대로 등록됩니다.`);
+                    return;
+                }
+            }
+
             const total = parsedBasic.length + parsedNormal.length;
             const autoCount = total - excelCount;
 
@@ -5071,7 +9637,8 @@ const App = {
             const { data: sourceDepts, error: fetchErr } = await window.SupabaseClient.supabase
                 .from('departments')
                 .select('*')
-                .eq('academic_year', fromYear);
+                .eq('academic_year', fromYear)
+                .is('deleted_at', null);
 
             if (fetchErr) throw fetchErr;
             if (!sourceDepts || sourceDepts.length === 0) {
@@ -5082,7 +9649,8 @@ const App = {
             const { data: targetDepts, error: targetErr } = await window.SupabaseClient.supabase
                 .from('departments')
                 .select('id, dept_name')
-                .eq('academic_year', toYear);
+                .eq('academic_year', toYear)
+                .is('deleted_at', null);
 
             if (targetErr) throw targetErr;
 
@@ -5156,7 +9724,7 @@ const App = {
             // 1. Merge Sources (Schedules + Basic Schedules + Fixed Env Events)
             const activeAY = this.state.viewAcademicYear;
             const envSource = [];
-            if (activeAY) {
+            if (activeAY && this.matchesTypeFilter('env')) {
                 Object.entries(this.FIXED_ENV_EVENTS).forEach(([mmdd, title]) => {
                     const [m, d] = mmdd.split('-').map(Number);
                     // Academic Year Y covers March Y to Feb Y+1
@@ -5174,7 +9742,7 @@ const App = {
             }
 
             const allSource = [
-                ...(this.state.schedules || []).map(s => {
+                ...(this.state.schedules || []).filter(s => this.matchesPrivateFilter(s) && this.matchesScheduleFilters(s)).map(s => {
                     const deptIdKey = s.dept_id ? String(s.dept_id) : null;
                     const deptNameKey = s.dept_name;
 
@@ -5196,7 +9764,7 @@ const App = {
                     const suffix = s.description ? `(${s.description})` : '';
                     return { ...s, title: `${prefix}${s.title}${suffix} `, isBasic: false };
                 }),
-                ...(this.state.basicSchedules || []).map(b => ({
+                ...(this.state.basicSchedules || []).filter(b => this.matchesTypeFilter(this.basicScheduleType(b))).map(b => ({
                     id: b.id,
                     title: b.name || b.title,
                     start_date: b.start_date,
@@ -5221,9 +9789,10 @@ const App = {
                 // Match academic year filter (Strictly scope to current view)
                 if (activeAY && itemAY !== activeAY) return false;
 
-                // Match search query
+                // Match search query (attachment names included)
                 return s.title.toLowerCase().includes(query) ||
-                    (s.description && s.description.toLowerCase().includes(query));
+                    (s.description && s.description.toLowerCase().includes(query)) ||
+                    (s.attachments || []).some(a => (a.file_name || '').toLowerCase().includes(query));
             }).sort((a, b) => {
                 // Primary: Start Date
                 if (a.start_date !== b.start_date) return a.start_date.localeCompare(b.start_date);
@@ -5235,7 +9804,7 @@ const App = {
             if (matches.length === 0) {
                 searchResults.innerHTML = `<div class="text-gray-400 p-2 text-xs">검색 결과가 없습니다.</div>`;
             } else {
-                searchResults.innerHTML = matches.map(s => {
+                searchResults.innerHTML = matches.map((s, i) => {
                     const isRange = s.end_date && s.end_date !== s.start_date;
                     const dateDisplay = isRange ? `${s.start_date} ~${s.end_date} ` : s.start_date;
 
@@ -5243,14 +9812,35 @@ const App = {
                     if (s.isBasic) typeTag = `<span class="bg-blue-50 text-blue-600 px-1 rounded mr-1">학사</span>`;
                     else if (s.isEnv) typeTag = `<span class="bg-green-50 text-green-600 px-1 rounded mr-1">환경</span>`;
 
+                    const files = (s.attachments || []).map((a, j) => `
+                        <button type="button" data-match="${i}" data-file="${j}" class="flex items-center gap-0.5 text-[10px] text-purple-700 hover:underline max-w-full">
+                            <span class="material-symbols-outlined text-[12px]">attach_file</span><span class="truncate">${this.escapeHtml(a.file_name)}</span>
+                        </button>
+                    `).join('');
+
+                    // Search results are always selectable for bulk edit
+                    const check = (!s.isBasic && !s.isEnv && this.isBulkEditable(s))
+                        ? `<input type="checkbox" class="bulk-check rounded text-purple-600 focus:ring-purple-500 mr-1 align-middle" data-id="${s.id}" ${this.state.bulkSelection.has(String(s.id)) ? 'checked' : ''}>`
+                        : '';
+
                     return `
                         <div class="cursor-pointer hover:bg-purple-50 p-2 rounded border-b last:border-0" data-date="${s.start_date}">
-                            <div class="font-bold text-gray-700 text-xs truncate">${typeTag}${s.title}</div>
+                            <div class="font-bold text-gray-700 text-xs truncate">${check}${typeTag}${s.title}</div>
                             <div class="text-[10px] text-gray-500">${dateDisplay}</div>
+                            ${files ? `<div class="mt-0.5 space-y-0.5">${files}</div>` : ''}
                         </div>
                     `;
                 }).join('');
 
+                this.bindBulkChecks(searchResults);
+
+                searchResults.querySelectorAll('button[data-file]').forEach(btn => {
+                    btn.onclick = (ev) => {
+                        ev.stopPropagation();
+                        this.downloadAttachment(matches[btn.dataset.match].attachments[btn.dataset.file]);
+                    };
+                });
+
                 searchResults.querySelectorAll('div[data-date]').forEach(el => {
                     el.onclick = () => {
                         this.state.calendar.gotoDate(el.dataset.date);
@@ -5269,6 +9859,15 @@ const App = {
     },
 
     refreshCalendarData: async function (start, end) {
+        await this.loadAcademicWeeks(this.formatLocal(start), this.formatLocal(end));
+        const data = await this.buildCalendarData(start, end);
+        if (!data) return;
+        this.state.calendar.setOption('events', data.backgroundEvents);
+        // REMOVED: this.state.calendar.render(); // Redundant and causes freeze due to full re-render
+    },
+
+    // Day maps (holidays, tints, schedules per dept) for a date range; null if a newer request superseded it
+    buildCalendarData: async function (start, end) {
         const fetchId = ++this.state._lastFetchId;
 
         const startY = start.getFullYear();
@@ -5287,7 +9886,7 @@ const App = {
         if (missingAYs.length > 0) promises.push(window.SupabaseClient.supabase.from('basic_schedules').select('*').in('academic_year', missingAYs));
         else promises.push(Promise.resolve({ data: [] }));
 
-        if (needsDepts) promises.push(window.SupabaseClient.supabase.from('departments').select('*'));
+        if (needsDepts) promises.push(window.SupabaseClient.supabase.from('departments').select('*').is('deleted_at', null));
         else promises.push(Promise.resolve({ data: this.state.cache.departments }));
 
         if (needsSchedules) promises.push(this.fetchSchedules());
@@ -5296,7 +9895,7 @@ const App = {
         const [basicRes, departmentsRes, schedulesData] = await Promise.all(promises);
 
         // Check if this request is still valid (not superseded by a newer one)
-        if (fetchId !== this.state._lastFetchId) return;
+        if (fetchId !== this.state._lastFetchId) return null;
 
         // 2. Update Cache
         if (missingAYs.length > 0 && basicRes.data) {
@@ -5351,6 +9950,11 @@ const App = {
         allEvents.forEach(e => {
             const dateKey = e.start;
             if (e.display === 'background' || e.display === 'block') {
+                // A filtered-out holiday is still a day off: keep the red date, drop label and tint
+                if (!this.matchesTypeFilter(e.extendedProps && e.extendedProps.filterType)) {
+                    if (e.className.includes('holiday-bg-event')) data.redDayMap[dateKey] = true;
+                    return;
+                }
                 if (e.display === 'background') data.backgroundEvents.push(e);
 
                 if (e.className.includes('holiday-bg-event') || e.className.includes('event-major-text') || e.className.includes('event-env-text') || e.className.includes('event-exam-text') || e.className.includes('event-term-text')) {
@@ -5373,6 +9977,11 @@ const App = {
                     data.bgColorMap[dateKey] = '#fffcfc';
                 }
             } else {
+                if (!this.matchesTypeFilter('normal')) return;
+                if (!this.matchesVisibilityFilter(e.extendedProps && e.extendedProps.visibility)) return;
+                if (!this.matchesDeptFilter(e.extendedProps && e.extendedProps.deptIds)) return;
+                if (!this.matchesGradeFilter(e.extendedProps && e.extendedProps.grades)) return;
+
                 let current = this.parseLocal(e.start);
                 const endEv = e.end ? this.parseLocal(e.end) : this.parseLocal(e.start);
                 let daysCount = 0;
@@ -5409,8 +10018,7 @@ const App = {
         });
 
         this.state.calendarData = data;
-        this.state.calendar.setOption('events', data.backgroundEvents);
-        // REMOVED: this.state.calendar.render(); // Redundant and causes freeze due to full re-render
+        return data;
     },
 
     renderCalendarCell: function (arg) {
@@ -5491,7 +10099,9 @@ const App = {
         };
 
         // 2. Holiday Names (Right)
-        if (data.holidayMap[dateStr] || arg.isToday) {
+        // Monday cells carry the row's 학기 주차
+        const weekLabel = arg.date.getDay() === 1 ? this.getAcademicWeekLabel(dateStr) : '';
+        if (data.holidayMap[dateStr] || arg.isToday || weekLabel) {
             const nameContainer = document.createElement('div');
             nameContainer.className = 'fc-daygrid-holiday-wrapper'; // Add separate class
             nameContainer.style.overflow = 'hidden';
@@ -5500,6 +10110,14 @@ const App = {
             nameContainer.style.paddingTop = '1px';
             nameContainer.style.marginRight = '4px';
 
+            if (weekLabel) {
+                const weekSpan = document.createElement('span');
+                weekSpan.className = 'week-label';
+                weekSpan.style.marginRight = '4px';
+                weekSpan.textContent = weekLabel;
+                nameContainer.appendChild(weekSpan);
+            }
+
             // Add (오늘) Label
             if (arg.isToday) {
                 const todaySpan = document.createElement('span');
@@ -5592,7 +10210,8 @@ const App = {
                 `;
                 deptDiv.appendChild(deptHeader);
 
-                group.events.forEach(ev => {
+                const sortedEvents = [...group.events].sort((a, b) => this.compareScheduleTime(a.extendedProps, b.extendedProps));
+                sortedEvents.forEach(ev => {
                     const evDiv = document.createElement('div');
                     evDiv.className = "schedule-item cursor-pointer hover:bg-gray-100 rounded px-1 py-0.5 break-words flex items-start leading-tight";
                     evDiv.style.fontSize = '10px';
@@ -5603,6 +10222,7 @@ const App = {
                     if (ev.extendedProps.isPrintable === false) {
                         evDiv.classList.add('no-print');
                     }
+                    if (ev.extendedProps.gradeClass) evDiv.className += ' ' + ev.extendedProps.gradeClass;
 
                     const canEdit = this.state.role === 'admin' || this.state.role === 'head_teacher' || this.state.role === 'head';
 
@@ -5630,13 +10250,39 @@ const App = {
                     }
 
                     const textSpan = document.createElement('span');
+                    const timeLabel = ev.extendedProps && ev.extendedProps.timeLabel;
+                    const timeText = timeLabel ? `<b class="schedule-time">${timeLabel}</b> ` : '';
+                    const coDepts = (ev.extendedProps && ev.extendedProps.coDepts) || [];
+                    const jointText = coDepts.length > 0
+                        ? ` <span class="text-gray-500">[공동: ${coDepts.map(d => d.dept_short || d.dept_name).join(', ')}]</span>`
+                        : '';
+                    const approvalStatus = ev.extendedProps && ev.extendedProps.approvalStatus;
+                    const isPrivate = ev.extendedProps && ev.extendedProps.isPrivate;
+                    const rsvpBadge = ev.extendedProps && ev.extendedProps.rsvp ? '<span class="rsvp-badge no-print">참석 응답</span> ' : '';
+                    const overdueTasks = (ev.extendedProps && ev.extendedProps.overdueTasks) || 0;
+                    const taskBadge = overdueTasks > 0 ? `<span class="task-overdue-badge no-print" title="기한이 지난 준비 업무">준비 지연 ${overdueTasks}</span> ` : '';
+                    const commentBadge = ev.extendedProps && ev.extendedProps.unreadComments ? '<span class="comment-unread-badge no-print" title="읽지 않은 댓글">새 댓글</span> ' : '';
+                    const badgeText = (isPrivate ? '<span class="private-badge">개인</span> ' : '') + rsvpBadge + taskBadge + commentBadge +
+                        this.approvalBadgeHtml(approvalStatus) +
+                        (ev.extendedProps && ev.extendedProps.audience ? `<span class="schedule-audience">[${ev.extendedProps.audience}]</span> ` : '');
+                    // Unapproved schedules are not part of the printed calendar
+                    if (this.approvalBadgeHtml(approvalStatus)) evDiv.classList.add('no-print');
+                    // Personal schedules never go to the printed calendar
+                    if (isPrivate) evDiv.classList.add('no-print', 'private-schedule');
                     const titleText = (ev.extendedProps && ev.extendedProps.description)
-                        ? `· ${ev.title} (${ev.extendedProps.description})`
-                        : `· ${ev.title} `;
+                        ? `· ${badgeText}${timeText}${ev.title} (${ev.extendedProps.description})${jointText}`
+                        : `· ${badgeText}${timeText}${ev.title}${jointText} `;
                     textSpan.innerHTML = titleText; // [FIX] Render HTML
                     evDiv.appendChild(textSpan);
 
                     evDiv.title = titleText.replace(/<[^>]*>?/gm, ''); // [FIX] Strip tags for tooltip
+
+                    // [DND] Drag to move, edge handles to stretch the range
+                    const schedule = (this.state.cache.schedules || []).find(s => String(s.id) === String(ev.id));
+                    if (schedule && this.canMoveSchedule(schedule)) {
+                        this.bindScheduleDrag(evDiv, schedule, dateStr);
+                    }
+
                     evDiv.onclick = (e) => {
                         e.stopPropagation();
                         this.openScheduleModal(ev.id);
@@ -5649,6 +10295,148 @@ const App = {
         return { domNodes: [container] };
     },
 
+    // --- Drag & Drop Rescheduling ---
+
+    // Same gate as adding, plus: admins move anything, others only their own (dept users within their dept)
+    canMoveSchedule: function (schedule) {
+        if (!this.canAddSchedule()) return false;
+        if (this.state.role === 'admin') return true;
+
+        const isAuthor = schedule.author_id && String(schedule.author_id) === String(this.state.user.id);
+        if (this.state.role === 'dept') {
+            return isAuthor && String(schedule.dept_id) === String(this.state.myDeptId);
+        }
+        return !!isAuthor;
+    },
+
+    bindScheduleDrag: function (evDiv, schedule, cellDateStr) {
+        const startDrag = (e, mode) => {
+            e.stopPropagation();
+            this._scheduleDrag = { id: schedule.id, mode, originDate: cellDateStr };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(schedule.id));
+            evDiv.classList.add('is-dragging');
+        };
+        const endDrag = () => {
+            evDiv.classList.remove('is-dragging');
+            // Cleared after drop handlers have run
+            setTimeout(() => { this._scheduleDrag = null; }, 0);
+        };
+
+        evDiv.draggable = true;
+        evDiv.addEventListener('dragstart', (e) => startDrag(e, 'move'));
+        evDiv.addEventListener('dragend', endDrag);
+
+        // Handles only on the range's own edges
+        const addHandle = (mode, prepend) => {
+            const handle = document.createElement('span');
+            handle.className = `schedule-resize-handle no-print ${prepend ? 'mr-1' : 'ml-auto'}`;
+            handle.draggable = true;
+            handle.title = mode === 'resize-start' ? '시작일 변경' : '종료일 변경';
+            handle.addEventListener('dragstart', (e) => startDrag(e, mode));
+            handle.addEventListener('dragend', endDrag);
+            handle.addEventListener('click', (e) => e.stopPropagation());
+            if (prepend) evDiv.insertBefore(handle, evDiv.firstChild);
+            else evDiv.appendChild(handle);
+        };
+        if (cellDateStr === schedule.start_date) addHandle('resize-start', true);
+        if (cellDateStr === (schedule.end_date || schedule.start_date)) addHandle('resize-end', false);
+    },
+
+    handleScheduleDrop: async function (targetDateStr) {
+        const drag = this._scheduleDrag;
+        this._scheduleDrag = null;
+        if (!drag) return;
+
+        const schedule = (this.state.cache.schedules || []).find(s => String(s.id) === String(drag.id));
+        if (!schedule || !this.canMoveSchedule(schedule)) return;
+
+        const from = { start_date: schedule.start_date, end_date: schedule.end_date || schedule.start_date };
+        const to = { ...from };
+
+        if (drag.mode === 'move') {
+            const shift = this.diffDays(drag.originDate, targetDateStr);
+            if (shift === 0) return;
+            to.start_date = this.shiftDateStr(from.start_date, shift);
+            to.end_date = this.shiftDateStr(from.end_date, shift);
+        } else if (drag.mode === 'resize-start') {
+            if (targetDateStr > from.end_date) return alert('시작일은 종료일보다 늦을 수 없습니다.');
+            to.start_date = targetDateStr;
+        } else if (drag.mode === 'resize-end') {
+            if (targetDateStr < from.start_date) return alert('종료일은 시작일보다 빠를 수 없습니다.');
+            to.end_date = targetDateStr;
+        }
+        if (to.start_date === from.start_date && to.end_date === from.end_date) return;
+
+        const action = drag.mode === 'move' ? 'MOVE' : 'RESIZE';
+        const ok = await this.updateScheduleDates(schedule, to, action, from);
+        if (!ok) return;
+
+        const fmt = (r) => r.start_date === r.end_date ? r.start_date : `${r.start_date} ~ ${r.end_date}`;
+        this.showToast(`'${schedule.title}' 일정을 ${fmt(to)}(으)로 ${action === 'MOVE' ? '옮겼습니다' : '변경했습니다'}.`, {
+            actionLabel: '실행 취소',
+            onAction: () => this.updateScheduleDates(schedule, from, `${action}_UNDO`, to)
+        });
+    },
+
+    updateScheduleDates: async function (schedule, dates, action, previous) {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('schedules')
+            .update({ start_date: dates.start_date, end_date: dates.end_date })
+            .eq('id', schedule.id)
+            .select();
+
+        if (error) {
+            console.error(error);
+            alert('일정 이동 실패: ' + error.message);
+            return false;
+        }
+        // RLS filters out rows the user may not update instead of raising an error
+        if (!data || data.length === 0) {
+            alert('일정 이동 실패: 이 일정을 수정할 권한이 없습니다.');
+            return false;
+        }
+
+        this.logAction(action, 'schedules', schedule.id, this.redactPrivate(schedule.visibility, { title: schedule.title, from: previous, to: dates }));
+        this.reloadCalendar();
+        return true;
+    },
+
+    // Re-fetch schedules and redraw the calendar on the month being viewed
+    reloadCalendar: function () {
+        this.state.cache.schedules = null;
+        this.state.initialDate = this.captureCurrentDate();
+        this.initCalendar();
+    },
+
+    // Bottom toast with an optional action button (e.g. undo)
+    showToast: function (message, { actionLabel = null, onAction = null, duration = 6000 } = {}) {
+        const prev = document.getElementById('app-toast');
+        if (prev) prev.remove();
+
+        const toast = document.createElement('div');
+        toast.id = 'app-toast';
+        toast.className = 'app-toast';
+
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
+
+        if (actionLabel && onAction) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = actionLabel;
+            btn.onclick = () => {
+                toast.remove();
+                onAction();
+            };
+            toast.appendChild(btn);
+        }
+
+        document.body.appendChild(toast);
+        setTimeout(() => toast.remove(), duration);
+    },
+
     // --- Logging System ---
 
     distributeVerticalSpace: function (force = false) {
@@ -5758,6 +10546,13 @@ const App = {
         });
     },
 
+    // Admins read the audit log but not personal schedules: those are logged by id only
+    redactPrivate: function (visibility, details) {
+        if (visibility !== 'private') return details;
+        const { title, file, files, ...rest } = details;
+        return { ...rest, private: true };
+    },
+
     logAction: async function (action, table, targetId, details) {
         if (!this.state.user) return;
 